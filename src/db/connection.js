@@ -5,15 +5,9 @@
  */
 
 import pg from 'pg';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 
 const { Pool } = pg;
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 // Create connection pool
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -56,22 +50,12 @@ export async function getClient() {
 
 /**
  * Initialize database schema
+ * 
+ * Applies any pending migrations (see ./migrate.js).
  */
 export async function initializeDatabase() {
-  const migrationPath = path.join(__dirname, 'migrations', '001_initial.sql');
-  
-  try {
-    const migration = fs.readFileSync(migrationPath, 'utf8');
-    await pool.query(migration);
-    console.log('Database migration completed');
-  } catch (error) {
-    // If tables already exist, that's fine
-    if (error.code === '42P07') {
-      console.log('Database tables already exist');
-    } else {
-      throw error;
-    }
-  }
+  const { runMigrations } = await import('./migrate.js');
+  await runMigrations();
 }
 
 export default { query, getClient, initializeDatabase };
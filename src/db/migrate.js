@@ -0,0 +1,198 @@
+/**
+ * Database Migration Runner
+ * 
+ * Applies versioned SQL files from ./migrations (NNN_description.sql) in order.
+ * Each migration runs in its own transaction and is recorded in schema_migrations,
+ * and the whole run holds a Postgres advisory lock so two instances booting at
+ * once can't apply the same migration twice.
+ * 
+ * Usage:
+ *   npm run migrate          # apply pending migrations
+ *   npm run migrate:status   # list applied and pending migrations
+ */
+
+import 'dotenv/config';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getClient } from './connection.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary constant identifying the migration lock
+const MIGRATION_LOCK_KEY = 724_601;
+
+/**
+ * Read migration files from disk, sorted by version
+ * 
+ * @returns {Array} - [{ version, name, file, sql, checksum }]
+ */
+function loadMigrationFiles() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.sql$/.test(file))
+    .map(file => {
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      const [, version, name] = file.match(/^(\d+)_(.+)\.sql$/);
+      
+      return {
+        version: parseInt(version),
+        name,
+        file,
+        sql,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex')
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Create the schema_migrations bookkeeping table
+ */
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version       INTEGER PRIMARY KEY,
+      name          VARCHAR(255) NOT NULL,
+      checksum      VARCHAR(64) NOT NULL,
+      applied_at    TIMESTAMP DEFAULT NOW()
+    )
+  `);
+}
+
+/**
+ * Get applied migrations keyed by version
+ */
+async function getAppliedMigrations(client) {
+  const result = await client.query('SELECT * FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+/**
+ * Apply all pending migrations
+ * 
+ * @returns {Array} - Files applied in this run
+ */
+export async function runMigrations() {
+  const migrations = loadMigrationFiles();
+  const client = await getClient();
+  const appliedNow = [];
+  
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    
+    await ensureMigrationsTable(client);
+    const applied = await getAppliedMigrations(client);
+    
+    for (const migration of migrations) {
+      const existing = applied.get(migration.version);
+      
+      if (existing) {
+        if (existing.checksum !== migration.checksum) {
+          console.warn(`Migration ${migration.file} was modified after it was applied`);
+        }
+        continue;
+      }
+      
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.sql);
+        await client.query(`
+          INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)
+        `, [migration.version, migration.name, migration.checksum]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+      }
+      
+      console.log(`Applied migration: ${migration.file}`);
+      appliedNow.push(migration.file);
+    }
+    
+    if (appliedNow.length === 0) {
+      console.log('Database schema is up to date');
+    }
+    
+    return appliedNow;
+  
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+/**
+ * Report which migrations are applied, pending, or modified since applying
+ * 
+ * @returns {Array} - [{ version, file, status: 'applied'|'pending'|'modified', applied_at }]
+ */
+export async function getMigrationStatus() {
+  const migrations = loadMigrationFiles();
+  const client = await getClient();
+  
+  try {
+    await ensureMigrationsTable(client);
+    const applied = await getAppliedMigrations(client);
+    
+    return migrations.map(migration => {
+      const existing = applied.get(migration.version);
+      
+      let status = 'pending';
+      if (existing) {
+        status = existing.checksum === migration.checksum ? 'applied' : 'modified';
+      }
+      
+      return {
+        version: migration.version,
+        file: migration.file,
+        status,
+        applied_at: existing?.applied_at || null
+      };
+    });
+  
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================================
+// CLI
+// ============================================================
+
+async function main(command) {
+  if (command === 'status') {
+    const status = await getMigrationStatus();
+    
+    for (const migration of status) {
+      const appliedAt = migration.applied_at ? migration.applied_at.toISOString() : '';
+      console.log(`${migration.status.padEnd(9)} ${migration.file.padEnd(40)} ${appliedAt}`);
+    }
+    
+    const pending = status.filter(m => m.status === 'pending').length;
+    console.log(`\n${status.length - pending} applied, ${pending} pending`);
+    return;
+  }
+  
+  if (command === 'up') {
+    await runMigrations();
+    return;
+  }
+  
+  throw new Error(`Unknown command "${command}". Use "up" or "status".`);
+}
+
+if (process.argv[1] === __filename) {
+  try {
+    await main(process.argv[2] || 'up');
+    process.exit(0);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+export default { runMigrations, getMigrationStatus };
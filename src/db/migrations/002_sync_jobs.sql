@@ -0,0 +1,44 @@
+-- ============================================================
+-- VivaSpot → GoHighLevel Integration
+-- Durable Sync Queue
+-- ============================================================
+
+-- Table: sync_jobs
+-- Webhook payloads waiting to be (or already) synced to GHL.
+-- The worker claims pending jobs whose next_run_at has passed and
+-- retries transient failures with exponential backoff.
+CREATE TABLE IF NOT EXISTS sync_jobs (
+    id                  SERIAL PRIMARY KEY,
+    payload             JSONB NOT NULL,
+    status              VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts            INTEGER NOT NULL DEFAULT 0,
+    max_attempts        INTEGER NOT NULL DEFAULT 5,
+    next_run_at         TIMESTAMP NOT NULL DEFAULT NOW(),
+    locked_at           TIMESTAMP,
+    last_error          TEXT,
+    result              JSONB,
+    created_at          TIMESTAMP DEFAULT NOW(),
+    updated_at          TIMESTAMP DEFAULT NOW(),
+
+    CONSTRAINT sync_jobs_status_valid
+        CHECK (status IN ('pending', 'running', 'completed', 'failed', 'dead'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_runnable
+    ON sync_jobs(status, next_run_at);
+
+-- Table: sync_dead_letters
+-- Jobs that exhausted their retry attempts, kept for inspection and replay
+CREATE TABLE IF NOT EXISTS sync_dead_letters (
+    id                  SERIAL PRIMARY KEY,
+    job_id              INTEGER NOT NULL
+                        REFERENCES sync_jobs(id) ON DELETE CASCADE,
+    payload             JSONB NOT NULL,
+    attempts            INTEGER NOT NULL,
+    last_error          TEXT,
+    failed_at           TIMESTAMP DEFAULT NOW(),
+    replayed_at         TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_dead_letters_job
+    ON sync_dead_letters(job_id);
@@ -0,0 +1,15 @@
+-- ============================================================
+-- VivaSpot → GoHighLevel Integration
+-- Token Health Tracking
+-- ============================================================
+
+-- Result of the most recent token refresh, so broken connections are
+-- visible instead of silently failing every sync.
+ALTER TABLE ghl_connections
+    ADD COLUMN IF NOT EXISTS last_refresh_at       TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS last_refresh_status   VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS last_refresh_error    TEXT,
+    ADD COLUMN IF NOT EXISTS needs_reauth          BOOLEAN DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_ghl_connections_token_expiry
+    ON ghl_connections(token_expires_at) WHERE is_active = true;
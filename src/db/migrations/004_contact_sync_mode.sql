@@ -0,0 +1,12 @@
+-- ============================================================
+-- VivaSpot → GoHighLevel Integration
+-- Per-Location Contact Sync Mode
+-- ============================================================
+
+-- How the sync handles a guest who already exists in GHL:
+--   create_only     always POST a new contact (original behaviour)
+--   upsert          update the existing contact, filling empty fields and appending tags
+--   skip_if_exists  leave existing contacts untouched
+ALTER TABLE ghl_connections
+    ADD COLUMN IF NOT EXISTS contact_sync_mode VARCHAR(20) NOT NULL DEFAULT 'upsert'
+        CHECK (contact_sync_mode IN ('create_only', 'upsert', 'skip_if_exists'));
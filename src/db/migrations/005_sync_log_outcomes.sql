@@ -0,0 +1,23 @@
+-- ============================================================
+-- VivaSpot → GoHighLevel Integration
+-- Sync Log Outcomes
+-- ============================================================
+
+-- Every webhook outcome is logged, including ones that never resolve to a
+-- connected location (unmapped MAC, missing connection), so the location
+-- column becomes optional and no longer references ghl_connections.
+ALTER TABLE sync_log
+    DROP CONSTRAINT IF EXISTS sync_log_ghl_location_id_fkey;
+
+ALTER TABLE sync_log
+    ALTER COLUMN ghl_location_id DROP NOT NULL,
+    ALTER COLUMN vivaspot_mac TYPE VARCHAR(64);
+
+-- action: created | updated | skipped (what happened in GHL)
+-- reason: why a contact was skipped or failed
+ALTER TABLE sync_log
+    ADD COLUMN IF NOT EXISTS action    VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS reason    TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_sync_log_mac 
+    ON sync_log(vivaspot_mac);
@@ -0,0 +1,46 @@
+-- ============================================================
+-- VivaSpot → GoHighLevel Integration
+-- Core Schema Gaps
+-- ============================================================
+
+-- Columns written by the OAuth callback (storeGHLConnection)
+ALTER TABLE ghl_connections
+    ADD COLUMN IF NOT EXISTS location_name     VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS user_email        VARCHAR(255);
+
+-- Table: vivaspot_sites
+-- VivaSpot restaurant inventory used to auto-map MACs on install
+CREATE TABLE IF NOT EXISTS vivaspot_sites (
+    id                  SERIAL PRIMARY KEY,
+    restaurant_name     VARCHAR(255) NOT NULL,
+    hospitality_group   VARCHAR(255),
+    address             TEXT,
+    merchant_emails     TEXT[] NOT NULL DEFAULT '{}',
+    mac_addresses       TEXT[] NOT NULL DEFAULT '{}',
+    created_at          TIMESTAMP DEFAULT NOW(),
+    updated_at          TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_vivaspot_sites_emails 
+    ON vivaspot_sites USING GIN (merchant_emails);
+
+CREATE INDEX IF NOT EXISTS idx_vivaspot_sites_macs 
+    ON vivaspot_sites USING GIN (mac_addresses);
+
+-- Table: mac_mappings
+-- Routes a WiFi access point MAC to the GHL location its guests sync to.
+-- A MAC belongs to exactly one location; source_tag carries the restaurant
+-- tag for hospitality-group installs.
+CREATE TABLE IF NOT EXISTS mac_mappings (
+    id                  SERIAL PRIMARY KEY,
+    mac_address         VARCHAR(17) UNIQUE NOT NULL,
+    ghl_location_id     VARCHAR(50) NOT NULL
+                        REFERENCES ghl_connections(ghl_location_id) ON DELETE CASCADE,
+    source_restaurant   VARCHAR(255),
+    source_tag          VARCHAR(255),
+    created_at          TIMESTAMP DEFAULT NOW(),
+    updated_at          TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mac_mappings_location 
+    ON mac_mappings(ghl_location_id);
@@ -0,0 +1,54 @@
+-- ============================================================
+-- VivaSpot → GoHighLevel Integration
+-- Unify MAC Mappings
+-- ============================================================
+
+-- location_mappings (written by the setup UI / POST /api/mappings, uppercase
+-- MACs) and mac_mappings (read by the sync, lowercase MACs) are merged into
+-- mac_mappings. Every MAC is stored in one canonical form: aa:bb:cc:dd:ee:ff
+
+ALTER TABLE mac_mappings
+    ADD COLUMN IF NOT EXISTS label VARCHAR(100);
+
+-- Same rules as normalizeMacAddress() in src/db/queries.js
+CREATE FUNCTION pg_temp.normalize_mac(mac TEXT) RETURNS TEXT AS $$
+    SELECT CASE
+        WHEN lower(regexp_replace(mac, '[:.\s-]', '', 'g')) ~ '^[0-9a-f]{12}$'
+        THEN regexp_replace(
+            lower(regexp_replace(mac, '[:.\s-]', '', 'g')),
+            '^(..)(..)(..)(..)(..)(..)$', '\1:\2:\3:\4:\5:\6'
+        )
+    END
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- Drop mac_mappings rows that collapse onto the same MAC once normalized,
+-- keeping the most recently updated one. updated_at is nullable, and a NULL
+-- in the row comparison would keep both rows and break the UPDATE below.
+DELETE FROM mac_mappings m
+USING mac_mappings newer
+WHERE pg_temp.normalize_mac(m.mac_address) = pg_temp.normalize_mac(newer.mac_address)
+  AND (COALESCE(newer.updated_at, newer.created_at, 'epoch'), newer.id)
+    > (COALESCE(m.updated_at, m.created_at, 'epoch'), m.id);
+
+UPDATE mac_mappings
+SET mac_address = pg_temp.normalize_mac(mac_address)
+WHERE pg_temp.normalize_mac(mac_address) IS NOT NULL
+  AND mac_address <> pg_temp.normalize_mac(mac_address);
+
+-- Bring over location_mappings. Where a MAC already routes somewhere in
+-- mac_mappings, that mapping wins (it is what the sync has been using);
+-- the setup-page label is kept if both point at the same location.
+INSERT INTO mac_mappings (mac_address, ghl_location_id, label, created_at)
+SELECT DISTINCT ON (pg_temp.normalize_mac(lm.vivaspot_mac))
+    pg_temp.normalize_mac(lm.vivaspot_mac),
+    lm.ghl_location_id,
+    NULLIF(lm.vivaspot_location, ''),
+    lm.created_at
+FROM location_mappings lm
+WHERE pg_temp.normalize_mac(lm.vivaspot_mac) IS NOT NULL
+ORDER BY pg_temp.normalize_mac(lm.vivaspot_mac), lm.created_at DESC
+ON CONFLICT (mac_address) DO UPDATE
+SET label = COALESCE(mac_mappings.label, EXCLUDED.label)
+WHERE mac_mappings.ghl_location_id = EXCLUDED.ghl_location_id;
+
+DROP TABLE location_mappings;
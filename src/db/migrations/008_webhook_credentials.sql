@@ -0,0 +1,24 @@
+-- ============================================================
+-- VivaSpot → GoHighLevel Integration
+-- Webhook Credentials
+-- ============================================================
+
+-- Table: webhook_credentials
+-- Shared secrets for callers of /webhook/contact (e.g. an n8n instance).
+-- A secret is accepted as a bearer token or as the HMAC key for signed
+-- requests. Rotation issues a new secret and sets expires_at on the old
+-- one, so both work during the overlap period.
+CREATE TABLE IF NOT EXISTS webhook_credentials (
+    id                  SERIAL PRIMARY KEY,
+    source              VARCHAR(50) NOT NULL,
+    secret              TEXT NOT NULL,
+    created_at          TIMESTAMP DEFAULT NOW(),
+    expires_at          TIMESTAMP,
+    revoked_at          TIMESTAMP,
+    last_used_at        TIMESTAMP,
+    
+    CONSTRAINT webhook_credentials_source_not_empty CHECK (source <> '')
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_credentials_source 
+    ON webhook_credentials(source);
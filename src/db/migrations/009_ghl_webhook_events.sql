@@ -0,0 +1,22 @@
+-- ============================================================
+-- VivaSpot → GoHighLevel Integration
+-- GHL Webhook Events
+-- ============================================================
+
+-- Table: ghl_webhook_events
+-- Marketplace webhooks received from GHL, keyed by webhookId.
+-- GHL retries deliveries, so an event already recorded here is not
+-- processed again.
+CREATE TABLE IF NOT EXISTS ghl_webhook_events (
+    webhook_id          VARCHAR(100) PRIMARY KEY,
+    event_type          VARCHAR(50) NOT NULL,
+    ghl_location_id     VARCHAR(50),
+    ghl_company_id      VARCHAR(50),
+    payload             JSONB NOT NULL,
+    outcome             TEXT,
+    received_at         TIMESTAMP DEFAULT NOW(),
+    processed_at        TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ghl_webhook_events_location 
+    ON ghl_webhook_events(ghl_location_id, received_at DESC);
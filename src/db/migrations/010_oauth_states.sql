@@ -0,0 +1,17 @@
+-- ============================================================
+-- VivaSpot → GoHighLevel Integration
+-- OAuth State
+-- ============================================================
+
+-- Table: oauth_states
+-- Nonces minted by /oauth/authorize. The state parameter itself is signed;
+-- this table makes each one single-use so a captured callback URL can't be replayed.
+CREATE TABLE IF NOT EXISTS oauth_states (
+    nonce               VARCHAR(64) PRIMARY KEY,
+    created_at          TIMESTAMP DEFAULT NOW(),
+    expires_at          TIMESTAMP NOT NULL,
+    used_at             TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_oauth_states_expires 
+    ON oauth_states(expires_at);
@@ -0,0 +1,34 @@
+-- ============================================================
+-- VivaSpot → GoHighLevel Integration
+-- Agency (Company) Installs
+-- ============================================================
+
+-- Table: ghl_companies
+-- Agency-level OAuth tokens from company installs. Location tokens for the
+-- agency's sub-accounts are minted from this token.
+CREATE TABLE IF NOT EXISTS ghl_companies (
+    id                  SERIAL PRIMARY KEY,
+    ghl_company_id      VARCHAR(50) UNIQUE NOT NULL,
+    access_token        TEXT NOT NULL,
+    refresh_token       TEXT NOT NULL,
+    token_expires_at    TIMESTAMP NOT NULL,
+    user_email          VARCHAR(255),
+    installed_at        TIMESTAMP DEFAULT NOW(),
+    last_provisioned_at TIMESTAMP,
+    is_active           BOOLEAN DEFAULT TRUE,
+    needs_reauth        BOOLEAN DEFAULT FALSE,
+    
+    CONSTRAINT ghl_company_id_not_empty CHECK (ghl_company_id <> '')
+);
+
+-- 'location': installed directly, refreshed with its own refresh token
+-- 'company': provisioned from an agency install, re-minted from the agency token
+ALTER TABLE ghl_connections
+    ADD COLUMN IF NOT EXISTS install_type VARCHAR(20) NOT NULL DEFAULT 'location'
+        CHECK (install_type IN ('location', 'company'));
+
+-- Location tokens minted from an agency token may come without a refresh token
+ALTER TABLE ghl_connections ALTER COLUMN refresh_token DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_ghl_connections_company 
+    ON ghl_connections(ghl_company_id);
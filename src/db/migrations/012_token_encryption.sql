@@ -0,0 +1,15 @@
+-- ============================================================
+-- VivaSpot → GoHighLevel Integration
+-- Token Encryption
+-- ============================================================
+
+-- access_token / refresh_token hold ciphertext once encryption is enabled.
+-- token_key_id: master key that wrapped the row's data key (NULL = plaintext row)
+-- token_dek:    the row's data key, wrapped with that master key
+ALTER TABLE ghl_connections
+    ADD COLUMN IF NOT EXISTS token_key_id VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS token_dek TEXT;
+
+ALTER TABLE ghl_companies
+    ADD COLUMN IF NOT EXISTS token_key_id VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS token_dek TEXT;
@@ -0,0 +1,28 @@
+-- ============================================================
+-- VivaSpot → GoHighLevel Integration
+-- Mapping Proposals
+-- ============================================================
+
+-- Table: mapping_proposals
+-- Auto-mapping results awaiting the installer's review. Nothing is written to
+-- mac_mappings until the proposal is confirmed.
+--   items: [{ mac, site_id, restaurant_name, source_restaurant, source_tag }]
+CREATE TABLE IF NOT EXISTS mapping_proposals (
+    id                  SERIAL PRIMARY KEY,
+    ghl_location_id     VARCHAR(50) NOT NULL 
+                        REFERENCES ghl_connections(ghl_location_id) ON DELETE CASCADE,
+    match_type          VARCHAR(20) NOT NULL CHECK (match_type IN ('single', 'group')),
+    group_name          VARCHAR(255),
+    items               JSONB NOT NULL DEFAULT '[]',
+    confidence          NUMERIC(4, 3) NOT NULL,
+    reasons             TEXT[] NOT NULL DEFAULT '{}',
+    status              VARCHAR(20) NOT NULL DEFAULT 'pending'
+                        CHECK (status IN ('pending', 'confirmed', 'rejected', 'superseded')),
+    applied_count       INTEGER,
+    decided_by          VARCHAR(100),
+    created_at          TIMESTAMP DEFAULT NOW(),
+    decided_at          TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_mapping_proposals_location 
+    ON mapping_proposals(ghl_location_id, status);
@@ -0,0 +1,23 @@
+-- ============================================================
+-- VivaSpot → GoHighLevel Integration
+-- Admin Audit Log
+-- ============================================================
+
+-- Table: admin_audit_log
+-- Who changed what through the admin API. `changes` holds the row
+-- before and after the change: { before, after } (either may be null).
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id                  SERIAL PRIMARY KEY,
+    actor               VARCHAR(100) NOT NULL,
+    action              VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+    entity_type         VARCHAR(50) NOT NULL,
+    entity_id           VARCHAR(100) NOT NULL,
+    changes             JSONB NOT NULL DEFAULT '{}',
+    created_at          TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_entity 
+    ON admin_audit_log(entity_type, entity_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created 
+    ON admin_audit_log(created_at DESC);
@@ -0,0 +1,65 @@
+-- ============================================================
+-- VivaSpot → GoHighLevel Integration
+-- Unmapped MACs & Held Contacts
+-- ============================================================
+
+-- Table: unmapped_macs
+-- MACs that sent guests to the webhook without a mac_mappings row.
+-- resolved_at is set when an admin assigns the MAC to a location, and
+-- cleared again if the MAC turns up unmapped later.
+CREATE TABLE IF NOT EXISTS unmapped_macs (
+    id                  SERIAL PRIMARY KEY,
+    mac_address         VARCHAR(17) UNIQUE NOT NULL,
+    hit_count           INTEGER NOT NULL DEFAULT 0,
+    sample_payload      JSONB,
+    first_seen_at       TIMESTAMP DEFAULT NOW(),
+    last_seen_at        TIMESTAMP DEFAULT NOW(),
+    resolved_at         TIMESTAMP,
+    resolved_location_id VARCHAR(50),
+    resolved_by         VARCHAR(100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_unmapped_macs_open
+    ON unmapped_macs(last_seen_at DESC) WHERE resolved_at IS NULL;
+
+-- Table: held_contacts
+-- Opted-in guests that couldn't be routed, kept so they can be replayed
+-- through the sync queue once the cause is fixed. A guest held twice for
+-- the same MAC is kept once (latest payload wins).
+--   status: pending | replayed | discarded
+CREATE TABLE IF NOT EXISTS held_contacts (
+    id                  SERIAL PRIMARY KEY,
+    reason              VARCHAR(30) NOT NULL,
+    mac_address         VARCHAR(17) NOT NULL,
+    contact_email       VARCHAR(255) NOT NULL,
+    payload             JSONB NOT NULL,
+    status              VARCHAR(20) NOT NULL DEFAULT 'pending'
+                        CHECK (status IN ('pending', 'replayed', 'discarded')),
+    sync_job_id         INTEGER,
+    held_at             TIMESTAMP DEFAULT NOW(),
+    released_at         TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_held_contacts_pending
+    ON held_contacts(reason, mac_address, LOWER(contact_email)) WHERE status = 'pending';
+
+-- Backfill from the sync log so MACs seen before this migration show up.
+-- Their payloads weren't kept, so there is nothing to replay for them.
+INSERT INTO unmapped_macs (mac_address, hit_count, first_seen_at, last_seen_at)
+SELECT
+    regexp_replace(mac_key, '(..)(?!$)', '\1:', 'g'),
+    COUNT(*),
+    MIN(synced_at),
+    MAX(synced_at)
+FROM (
+    SELECT LOWER(regexp_replace(vivaspot_mac, '[^0-9a-fA-F]', '', 'g')) AS mac_key, synced_at
+    FROM sync_log
+    WHERE ghl_location_id IS NULL
+    AND reason = 'MAC address not mapped to any GHL location'
+) hits
+WHERE length(mac_key) = 12
+AND NOT EXISTS (
+    SELECT 1 FROM mac_mappings mm WHERE REPLACE(mm.mac_address, ':', '') = hits.mac_key
+)
+GROUP BY mac_key
+ON CONFLICT (mac_address) DO NOTHING;
@@ -0,0 +1,12 @@
+-- ============================================================
+-- VivaSpot → GoHighLevel Integration
+-- Held Contacts for Disconnected Locations
+-- ============================================================
+
+-- Guests for a mapped location whose connection is inactive (uninstalled or
+-- token revoked) are held under that location and replayed when it reconnects.
+ALTER TABLE held_contacts
+    ADD COLUMN IF NOT EXISTS ghl_location_id VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_held_contacts_location
+    ON held_contacts(ghl_location_id, reason) WHERE status = 'pending';
@@ -0,0 +1,29 @@
+-- ============================================================
+-- VivaSpot → GoHighLevel Integration
+-- Field Mappings
+-- ============================================================
+
+-- Table: field_mappings
+-- Per-location mapping of webhook payload keys to GHL contact fields.
+--   source_path: payload key, dot-separated for nested values (form.birthday)
+--   target_type: standard (a GHL contact field such as dateOfBirth) or
+--                custom (a GHL custom field id, or key like contact.favorite_dish)
+--   value_type:  string | number | date | boolean, what the value is coerced to
+--   overwrite:   replace a value the GHL contact already has (otherwise only fill blanks)
+CREATE TABLE IF NOT EXISTS field_mappings (
+    id                  SERIAL PRIMARY KEY,
+    ghl_location_id     VARCHAR(50) NOT NULL 
+                        REFERENCES ghl_connections(ghl_location_id) ON DELETE CASCADE,
+    source_path         VARCHAR(255) NOT NULL,
+    target_type         VARCHAR(20) NOT NULL CHECK (target_type IN ('standard', 'custom')),
+    target              VARCHAR(255) NOT NULL,
+    value_type          VARCHAR(20) NOT NULL DEFAULT 'string'
+                        CHECK (value_type IN ('string', 'number', 'date', 'boolean')),
+    overwrite           BOOLEAN NOT NULL DEFAULT false,
+    position            INTEGER NOT NULL DEFAULT 0,
+    created_at          TIMESTAMP DEFAULT NOW(),
+    UNIQUE(ghl_location_id, target_type, target)
+);
+
+CREATE INDEX IF NOT EXISTS idx_field_mappings_location 
+    ON field_mappings(ghl_location_id, position);
@@ -0,0 +1,23 @@
+-- ============================================================
+-- VivaSpot → GoHighLevel Integration
+-- GHL Custom Field Cache
+-- ============================================================
+
+-- Table: ghl_custom_fields
+-- A location's contact custom fields as last fetched from GHL, so the setup
+-- page can list them and the sync can resolve keys (contact.wifi_venue) to ids.
+-- The whole list is replaced on each fetch.
+CREATE TABLE IF NOT EXISTS ghl_custom_fields (
+    id                  SERIAL PRIMARY KEY,
+    ghl_location_id     VARCHAR(50) NOT NULL 
+                        REFERENCES ghl_connections(ghl_location_id) ON DELETE CASCADE,
+    field_id            VARCHAR(50) NOT NULL,
+    name                VARCHAR(255) NOT NULL,
+    field_key           VARCHAR(255),
+    data_type           VARCHAR(50),
+    UNIQUE(ghl_location_id, field_id)
+);
+
+-- When the cache was last filled (NULL: never fetched)
+ALTER TABLE ghl_connections
+    ADD COLUMN IF NOT EXISTS custom_fields_synced_at TIMESTAMP;
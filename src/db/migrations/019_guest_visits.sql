@@ -0,0 +1,61 @@
+-- ============================================================
+-- VivaSpot → GoHighLevel Integration
+-- Guest Visits
+-- ============================================================
+
+-- Table: guest_visits
+-- One row per WiFi login synced for a location. sync_job_id makes a retried
+-- job count once; visited_at is when the webhook arrived, not when the job ran.
+CREATE TABLE IF NOT EXISTS guest_visits (
+    id                  SERIAL PRIMARY KEY,
+    ghl_location_id     VARCHAR(50) NOT NULL 
+                        REFERENCES ghl_connections(ghl_location_id) ON DELETE CASCADE,
+    contact_email       VARCHAR(255) NOT NULL,
+    mac_address         VARCHAR(17),
+    sync_job_id         INTEGER UNIQUE,
+    visited_at          TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_guest_visits_guest 
+    ON guest_visits(ghl_location_id, LOWER(contact_email), visited_at DESC);
+
+-- Table: guest_visit_stats
+-- Per-guest aggregates, kept up to date as visits are recorded and pushed to
+-- GHL custom fields. contact_email is stored lowercased.
+CREATE TABLE IF NOT EXISTS guest_visit_stats (
+    ghl_location_id     VARCHAR(50) NOT NULL 
+                        REFERENCES ghl_connections(ghl_location_id) ON DELETE CASCADE,
+    contact_email       VARCHAR(255) NOT NULL,
+    first_visit_at      TIMESTAMP NOT NULL,
+    last_visit_at       TIMESTAMP NOT NULL,
+    visit_count         INTEGER NOT NULL DEFAULT 0,
+    last_mac_address    VARCHAR(17),
+    PRIMARY KEY (ghl_location_id, contact_email)
+);
+
+CREATE INDEX IF NOT EXISTS idx_guest_visit_stats_last_visit 
+    ON guest_visit_stats(ghl_location_id, last_visit_at);
+
+-- When the webhook arrived. Replayed held contacts keep the time they were
+-- held, so their visit isn't dated to the replay.
+ALTER TABLE sync_jobs
+    ADD COLUMN IF NOT EXISTS received_at TIMESTAMP NOT NULL DEFAULT NOW();
+
+-- Seed the aggregates from past successful syncs. Those visits aren't
+-- itemized in guest_visits.
+INSERT INTO guest_visit_stats (ghl_location_id, contact_email, first_visit_at, last_visit_at, visit_count, last_mac_address)
+SELECT DISTINCT ON (ghl_location_id, LOWER(contact_email))
+    ghl_location_id,
+    LOWER(contact_email),
+    MIN(synced_at) OVER guest,
+    MAX(synced_at) OVER guest,
+    COUNT(*) OVER guest,
+    vivaspot_mac
+FROM sync_log
+WHERE status = 'success'
+AND ghl_location_id IS NOT NULL
+AND contact_email IS NOT NULL
+AND synced_at IS NOT NULL
+WINDOW guest AS (PARTITION BY ghl_location_id, LOWER(contact_email))
+ORDER BY ghl_location_id, LOWER(contact_email), synced_at DESC
+ON CONFLICT (ghl_location_id, contact_email) DO NOTHING;
@@ -0,0 +1,30 @@
+-- ============================================================
+-- VivaSpot → GoHighLevel Integration
+-- Tag Rules
+-- ============================================================
+
+-- Table: tag_rules
+-- Per-location rules adding tags to synced guests (see services/tagRules.js).
+--   tag:        the tag, or a template such as WiFi_{restaurant}_{yyyy_mm}
+--   conditions: all must match, e.g.
+--               { "visit_count": { "min": 10 }, "days": ["sat", "sun"],
+--                 "time": { "from": "10:00", "to": "14:00" }, "macs": [...],
+--                 "payload": [{ "path": "form.source", "equals": "instagram" }] }
+CREATE TABLE IF NOT EXISTS tag_rules (
+    id                  SERIAL PRIMARY KEY,
+    ghl_location_id     VARCHAR(50) NOT NULL 
+                        REFERENCES ghl_connections(ghl_location_id) ON DELETE CASCADE,
+    name                VARCHAR(100) NOT NULL,
+    tag                 VARCHAR(100) NOT NULL,
+    conditions          JSONB NOT NULL DEFAULT '{}',
+    is_active           BOOLEAN NOT NULL DEFAULT true,
+    position            INTEGER NOT NULL DEFAULT 0,
+    created_at          TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tag_rules_location 
+    ON tag_rules(ghl_location_id, position);
+
+-- The location's timezone from GHL (IANA name), for day and time rules
+ALTER TABLE ghl_connections
+    ADD COLUMN IF NOT EXISTS timezone VARCHAR(50);
@@ -0,0 +1,25 @@
+-- ============================================================
+-- VivaSpot → GoHighLevel Integration
+-- Location Settings
+-- ============================================================
+
+-- Table: location_settings
+-- Per-location overrides of the sync defaults (see services/locationSettings.js).
+-- Only keys that differ from the defaults are stored, e.g.
+--   { "source_label": "Patio WiFi", "opt_in_policy": "unless_declined" }
+CREATE TABLE IF NOT EXISTS location_settings (
+    ghl_location_id     VARCHAR(50) PRIMARY KEY 
+                        REFERENCES ghl_connections(ghl_location_id) ON DELETE CASCADE,
+    settings            JSONB NOT NULL DEFAULT '{}',
+    updated_at          TIMESTAMP DEFAULT NOW(),
+    updated_by          VARCHAR(100)
+);
+
+-- Contact sync modes chosen before settings existed move over (upsert was the default)
+INSERT INTO location_settings (ghl_location_id, settings)
+SELECT ghl_location_id, jsonb_build_object('contact_sync_mode', contact_sync_mode)
+FROM ghl_connections
+WHERE contact_sync_mode <> 'upsert'
+ON CONFLICT (ghl_location_id) DO NOTHING;
+
+ALTER TABLE ghl_connections DROP COLUMN IF EXISTS contact_sync_mode;
@@ -4,12 +4,31 @@
  * Provides convenient functions for common database operations.
  */
 
-import { query } from './connection.js';
+import { query, getClient } from './connection.js';
+import { sealTokens, openTokens } from '../services/tokenCrypto.js';
+import { rankCandidates, companyEmailDomain, DEFAULT_MIN_SCORE } from '../services/matcher.js';
 
 // ============================================================
 // GHL Connections
 // ============================================================
 
+/**
+ * Decrypt the tokens of a ghl_connections / ghl_companies row
+ * Tokens are attached as non-enumerable properties, so they never appear when
+ * a row is logged or serialized into an API response.
+ */
+function decryptTokenRow(row) {
+  if (!row) return row;
+  
+  const { accessToken, refreshToken } = openTokens(row);
+  const { access_token, refresh_token, token_dek, ...rest } = row;
+  
+  return Object.defineProperties(rest, {
+    access_token: { value: accessToken, enumerable: false },
+    refresh_token: { value: refreshToken, enumerable: false }
+  });
+}
+
 /**
  * Save or update GHL OAuth tokens
  */
@@ -21,25 +40,34 @@ export async function saveGHLConnection({
   expiresIn 
 }) {
   const expiresAt = new Date(Date.now() + (expiresIn * 1000));
+  const sealed = sealTokens({ accessToken, refreshToken });
   
   const result = await query(`
     INSERT INTO ghl_connections (
-      ghl_location_id, ghl_company_id, access_token, refresh_token, token_expires_at
-    ) VALUES ($1, $2, $3, $4, $5)
+      ghl_location_id, ghl_company_id, access_token, refresh_token, token_expires_at,
+      token_key_id, token_dek
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
     ON CONFLICT (ghl_location_id) 
     DO UPDATE SET 
       access_token = EXCLUDED.access_token,
       refresh_token = EXCLUDED.refresh_token,
       token_expires_at = EXCLUDED.token_expires_at,
-      is_active = true
+      token_key_id = EXCLUDED.token_key_id,
+      token_dek = EXCLUDED.token_dek,
+      is_active = true,
+      needs_reauth = false
     RETURNING *
-  `, [locationId, companyId, accessToken, refreshToken, expiresAt]);
+  `, [locationId, companyId, sealed.accessToken, sealed.refreshToken, expiresAt, sealed.keyId, sealed.wrappedKey]);
   
-  return result.rows[0];
+  return decryptTokenRow(result.rows[0]);
 }
 
 /**
  * Store GHL connection (alternative signature for OAuth callback)
+ * 
+ * installType 'company' marks a location provisioned from an agency install,
+ * whose tokens are re-minted from the agency token rather than refreshed.
+ * A missing timezone keeps the one already stored.
  */
 export async function storeGHLConnection({
   locationId,
@@ -47,24 +75,39 @@ export async function storeGHLConnection({
   accessToken,
   refreshToken,
   expiresAt,
-  userEmail
+  userEmail,
+  companyId = null,
+  installType = 'location',
+  timezone = null
 }) {
+  const sealed = sealTokens({ accessToken, refreshToken });
+  
   const result = await query(`
     INSERT INTO ghl_connections (
-      ghl_location_id, location_name, access_token, refresh_token, token_expires_at, user_email
-    ) VALUES ($1, $2, $3, $4, $5, $6)
+      ghl_location_id, location_name, access_token, refresh_token, token_expires_at, user_email,
+      ghl_company_id, install_type, token_key_id, token_dek, timezone
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
     ON CONFLICT (ghl_location_id) 
     DO UPDATE SET 
       location_name = EXCLUDED.location_name,
       access_token = EXCLUDED.access_token,
       refresh_token = EXCLUDED.refresh_token,
       token_expires_at = EXCLUDED.token_expires_at,
+      token_key_id = EXCLUDED.token_key_id,
+      token_dek = EXCLUDED.token_dek,
       user_email = EXCLUDED.user_email,
-      is_active = true
+      ghl_company_id = COALESCE(EXCLUDED.ghl_company_id, ghl_connections.ghl_company_id),
+      install_type = EXCLUDED.install_type,
+      timezone = COALESCE(EXCLUDED.timezone, ghl_connections.timezone),
+      is_active = true,
+      needs_reauth = false
     RETURNING *
-  `, [locationId, locationName, accessToken, refreshToken, expiresAt, userEmail]);
+  `, [
+    locationId, locationName, sealed.accessToken, sealed.refreshToken, expiresAt, userEmail, 
+    companyId, installType, sealed.keyId, sealed.wrappedKey, timezone
+  ]);
   
-  return result.rows[0];
+  return decryptTokenRow(result.rows[0]);
 }
 
 /**
@@ -76,7 +119,20 @@ export async function getGHLConnection(locationId) {
     WHERE ghl_location_id = $1 AND is_active = true
   `, [locationId]);
   
-  return result.rows[0];
+  return decryptTokenRow(result.rows[0]);
+}
+
+/**
+ * Get GHL connection by location ID, including inactive ones
+ * Used to report why a location stopped syncing (e.g. needs re-authorization)
+ */
+export async function getGHLConnectionAnyStatus(locationId) {
+  const result = await query(`
+    SELECT * FROM ghl_connections 
+    WHERE ghl_location_id = $1
+  `, [locationId]);
+  
+  return decryptTokenRow(result.rows[0]);
 }
 
 /**
@@ -89,15 +145,23 @@ export async function updateGHLTokens({
   expiresIn 
 }) {
   const expiresAt = new Date(Date.now() + (expiresIn * 1000));
+  const sealed = sealTokens({ accessToken, refreshToken });
   
   const result = await query(`
     UPDATE ghl_connections 
-    SET access_token = $2, refresh_token = $3, token_expires_at = $4
+    SET access_token = $2, 
+        refresh_token = $3, 
+        token_expires_at = $4,
+        token_key_id = $5,
+        token_dek = $6,
+        last_refresh_at = NOW(),
+        last_refresh_status = 'success',
+        last_refresh_error = NULL
     WHERE ghl_location_id = $1
     RETURNING *
-  `, [locationId, accessToken, refreshToken, expiresAt]);
+  `, [locationId, sealed.accessToken, sealed.refreshToken, expiresAt, sealed.keyId, sealed.wrappedKey]);
   
-  return result.rows[0];
+  return decryptTokenRow(result.rows[0]);
 }
 
 /**
@@ -109,65 +173,162 @@ export async function deactivateGHLConnection(locationId) {
   `, [locationId]);
 }
 
+/**
+ * Deactivate the connections provisioned from an agency install (agency uninstall)
+ * Locations the agency's sub-accounts installed directly are left alone.
+ * 
+ * @returns {number} - Number of connections deactivated
+ */
+export async function deactivateCompanyConnections(companyId) {
+  const result = await query(`
+    UPDATE ghl_connections SET is_active = false 
+    WHERE ghl_company_id = $1 AND install_type = 'company' AND is_active = true
+  `, [companyId]);
+  
+  return result.rowCount;
+}
+
+/**
+ * Update the stored name of a GHL location (after a rename in GHL)
+ */
+export async function updateLocationName(locationId, locationName) {
+  const result = await query(`
+    UPDATE ghl_connections SET location_name = $2 WHERE ghl_location_id = $1
+  `, [locationId, locationName]);
+  
+  return result.rowCount > 0;
+}
+
+/**
+ * Record a failed token refresh that may succeed on a later attempt
+ */
+export async function recordTokenRefreshFailure(locationId, errorMessage) {
+  await query(`
+    UPDATE ghl_connections 
+    SET last_refresh_at = NOW(), last_refresh_status = 'error', last_refresh_error = $2
+    WHERE ghl_location_id = $1
+  `, [locationId, errorMessage]);
+}
+
+/**
+ * Flag a connection whose refresh token was rejected
+ * The location must re-install the app before it can sync again.
+ */
+export async function markConnectionNeedsReauth(locationId, errorMessage) {
+  await query(`
+    UPDATE ghl_connections 
+    SET is_active = false,
+        needs_reauth = true,
+        last_refresh_at = NOW(),
+        last_refresh_status = 'error',
+        last_refresh_error = $2
+    WHERE ghl_location_id = $1
+  `, [locationId, errorMessage]);
+}
+
+/**
+ * Get active connections whose access token expires before the given time
+ * 
+ * @param {Date} expiringBefore - Cutoff for token_expires_at
+ * @returns {Array} - ghl_connections rows, soonest expiry first
+ */
+export async function getConnectionsExpiringBefore(expiringBefore) {
+  const result = await query(`
+    SELECT * FROM ghl_connections 
+    WHERE is_active = true AND token_expires_at < $1
+    ORDER BY token_expires_at
+  `, [expiringBefore]);
+  
+  return result.rows.map(decryptTokenRow);
+}
+
 // ============================================================
-// Location Mappings (Original)
+// Companies (agency installs)
 // ============================================================
 
 /**
- * Add a MAC address mapping for a GHL location
+ * Save an agency-level install
  */
-export async function addLocationMapping({ locationId, mac, locationName }) {
-  // Normalize MAC address format (uppercase, colon-separated)
-  const normalizedMac = mac.toUpperCase().replace(/-/g, ':');
+export async function saveGHLCompany({
+  companyId,
+  accessToken,
+  refreshToken,
+  expiresAt,
+  userEmail
+}) {
+  const sealed = sealTokens({ accessToken, refreshToken });
   
   const result = await query(`
-    INSERT INTO location_mappings (ghl_location_id, vivaspot_mac, vivaspot_location)
-    VALUES ($1, $2, $3)
-    ON CONFLICT (ghl_location_id, vivaspot_mac) DO UPDATE
-    SET vivaspot_location = EXCLUDED.vivaspot_location
+    INSERT INTO ghl_companies (
+      ghl_company_id, access_token, refresh_token, token_expires_at, user_email,
+      token_key_id, token_dek
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (ghl_company_id) 
+    DO UPDATE SET 
+      access_token = EXCLUDED.access_token,
+      refresh_token = EXCLUDED.refresh_token,
+      token_expires_at = EXCLUDED.token_expires_at,
+      token_key_id = EXCLUDED.token_key_id,
+      token_dek = EXCLUDED.token_dek,
+      user_email = COALESCE(EXCLUDED.user_email, ghl_companies.user_email),
+      is_active = true,
+      needs_reauth = false
     RETURNING *
-  `, [locationId, normalizedMac, locationName]);
+  `, [companyId, sealed.accessToken, sealed.refreshToken, expiresAt, userEmail, sealed.keyId, sealed.wrappedKey]);
   
-  return result.rows[0];
+  return decryptTokenRow(result.rows[0]);
 }
 
 /**
- * Get all mappings for a GHL location
+ * Get an active agency install by company ID
  */
-export async function getMappingsForLocation(locationId) {
+export async function getGHLCompany(companyId) {
   const result = await query(`
-    SELECT * FROM location_mappings WHERE ghl_location_id = $1
-  `, [locationId]);
+    SELECT * FROM ghl_companies 
+    WHERE ghl_company_id = $1 AND is_active = true
+  `, [companyId]);
   
-  return result.rows;
+  return decryptTokenRow(result.rows[0]);
 }
 
 /**
- * Get GHL location by MAC address
+ * Update agency tokens after refresh
  */
-export async function getLocationByMAC(mac) {
-  // Normalize MAC address format
-  const normalizedMac = mac.toUpperCase().replace(/-/g, ':');
+export async function updateGHLCompanyTokens({ companyId, accessToken, refreshToken, expiresIn }) {
+  const expiresAt = new Date(Date.now() + (expiresIn * 1000));
+  const sealed = sealTokens({ accessToken, refreshToken });
   
   const result = await query(`
-    SELECT lm.*, gc.access_token, gc.refresh_token, gc.token_expires_at
-    FROM location_mappings lm
-    JOIN ghl_connections gc ON lm.ghl_location_id = gc.ghl_location_id
-    WHERE lm.vivaspot_mac = $1 AND gc.is_active = true
-  `, [normalizedMac]);
+    UPDATE ghl_companies 
+    SET access_token = $2, refresh_token = $3, token_expires_at = $4, token_key_id = $5, token_dek = $6
+    WHERE ghl_company_id = $1
+    RETURNING *
+  `, [companyId, sealed.accessToken, sealed.refreshToken, expiresAt, sealed.keyId, sealed.wrappedKey]);
   
-  return result.rows[0];
+  return decryptTokenRow(result.rows[0]);
+}
+
+/**
+ * Deactivate an agency install (uninstall or revoked refresh token)
+ */
+export async function deactivateGHLCompany(companyId, { needsReauth = false } = {}) {
+  await query(`
+    UPDATE ghl_companies SET is_active = false, needs_reauth = $2
+    WHERE ghl_company_id = $1
+  `, [companyId, needsReauth]);
 }
 
 /**
- * Delete a mapping
+ * Record when an agency's locations were last provisioned
  */
-export async function deleteMapping(mappingId) {
-  await query(`DELETE FROM location_mappings WHERE id = $1`, [mappingId]);
+export async function markCompanyProvisioned(companyId) {
+  await query(`
+    UPDATE ghl_companies SET last_provisioned_at = NOW() WHERE ghl_company_id = $1
+  `, [companyId]);
 }
 
 // ============================================================
-// MAC Mappings (New - for auto-mapping)
+// MAC Mappings
 // ============================================================
 
 /**
@@ -183,6 +344,89 @@ export function nameToTag(name) {
     .replace(/\s+/g, '_');          // Replace spaces with underscores
 }
 
+/**
+ * Normalize a MAC address to the canonical stored form (lowercase, colons)
+ * Accepts aa:bb:cc:dd:ee:ff, AA-BB-CC-DD-EE-FF, aabb.ccdd.eeff and aabbccddeeff.
+ * 
+ * @param {string} mac - MAC address in any common format
+ * @returns {string|null} - e.g. "00:18:0a:27:29:76", or null if invalid
+ */
+export function normalizeMacAddress(mac) {
+  if (!mac || typeof mac !== 'string') return null;
+  
+  // Remove all separators and whitespace
+  const cleaned = mac.replace(/[:\-\.\s]/g, '').toLowerCase();
+  
+  // Must be exactly 12 hex characters
+  if (!/^[0-9a-f]{12}$/.test(cleaned)) {
+    return null;
+  }
+  
+  // Format as xx:xx:xx:xx:xx:xx
+  return cleaned.match(/.{2}/g).join(':');
+}
+
+/**
+ * Map a single MAC address to a GHL location
+ * This is the one write path for mappings: the REST API, the setup page
+ * and OAuth auto-mapping all go through it. A MAC routes to exactly one
+ * location. A MAC mapped to another *active* location is only moved when
+ * allowReassign is set; mappings of inactive locations move freely.
+ * 
+ * @param {string} locationId - The GHL location ID
+ * @param {string} mac - MAC address in any common format
+ * @param {Object} options
+ * @param {string} options.label - Friendly name for the access point (kept if omitted)
+ * @param {string|null} options.sourceRestaurant - Original restaurant name (for hospitality groups)
+ * @param {string|null} options.sourceTag - Tag to apply in GHL (e.g., "Maggies_Restaurant")
+ * @param {boolean} options.allowReassign - Move the MAC even if another active location has it
+ * @returns {Object|null} - The mac_mappings row (with `inserted` flag); 
+ *   { conflict: true, mac_address, ghl_location_id } if another active location has it;
+ *   null if the MAC is invalid
+ */
+export async function saveMacMapping(locationId, mac, { 
+  label, 
+  sourceRestaurant = null, 
+  sourceTag = null, 
+  allowReassign = false 
+} = {}) {
+  const normalizedMac = normalizeMacAddress(mac);
+  
+  if (!normalizedMac) {
+    return null;
+  }
+  
+  const result = await query(`
+    INSERT INTO mac_mappings (mac_address, ghl_location_id, label, source_restaurant, source_tag)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (mac_address) DO UPDATE
+    SET ghl_location_id = EXCLUDED.ghl_location_id,
+        label = COALESCE(EXCLUDED.label, mac_mappings.label),
+        source_restaurant = EXCLUDED.source_restaurant,
+        source_tag = EXCLUDED.source_tag,
+        updated_at = NOW()
+    WHERE $6 
+      OR mac_mappings.ghl_location_id = EXCLUDED.ghl_location_id
+      OR NOT EXISTS (
+        SELECT 1 FROM ghl_connections gc 
+        WHERE gc.ghl_location_id = mac_mappings.ghl_location_id AND gc.is_active = true
+      )
+    RETURNING *, (xmax = 0) AS inserted
+  `, [normalizedMac, locationId, label || null, sourceRestaurant, sourceTag, allowReassign]);
+  
+  if (result.rows[0]) {
+    return result.rows[0];
+  }
+  
+  // The update was refused: another active location owns this MAC
+  const owner = await query(
+    'SELECT ghl_location_id FROM mac_mappings WHERE mac_address = $1',
+    [normalizedMac]
+  );
+  
+  return { conflict: true, mac_address: normalizedMac, ghl_location_id: owner.rows[0]?.ghl_location_id };
+}
+
 /**
  * Create MAC address mappings for a GHL location (single restaurant)
  * 
@@ -212,38 +456,21 @@ export async function createMacMappingsWithTag(locationId, macAddresses, sourceR
   let created = 0;
   
   for (const mac of macAddresses) {
-    const normalizedMac = mac.toLowerCase().trim();
+    const mapping = await saveMacMapping(locationId, mac, { sourceRestaurant, sourceTag });
     
     // Skip invalid MACs
-    if (!normalizedMac || normalizedMac.length < 11) continue;
-    
-    // Check if already mapped
-    const existing = await query(
-      'SELECT id FROM mac_mappings WHERE mac_address = $1',
-      [normalizedMac]
-    );
+    if (!mapping) {
+      console.log(`Skipping invalid MAC address: ${mac}`);
+      continue;
+    }
     
-    if (existing.rows.length > 0) {
-      // Update existing mapping to new location
-      await query(
-        `UPDATE mac_mappings 
-         SET ghl_location_id = $1, 
-             source_restaurant = $3,
-             source_tag = $4,
-             updated_at = NOW() 
-         WHERE mac_address = $2`,
-        [locationId, normalizedMac, sourceRestaurant, sourceTag]
-      );
-      console.log(`Updated existing mapping for MAC: ${normalizedMac}${sourceTag ? ` (tag: ${sourceTag})` : ''}`);
-    } else {
-      // Create new mapping
-      await query(
-        `INSERT INTO mac_mappings (mac_address, ghl_location_id, source_restaurant, source_tag) 
-         VALUES ($1, $2, $3, $4)`,
-        [normalizedMac, locationId, sourceRestaurant, sourceTag]
-      );
-      console.log(`Created new mapping for MAC: ${normalizedMac}${sourceTag ? ` (tag: ${sourceTag})` : ''}`);
+    if (mapping.conflict) {
+      console.log(`Skipping MAC ${mapping.mac_address}: mapped to active location ${mapping.ghl_location_id}`);
+      continue;
     }
+    
+    const verb = mapping.inserted ? 'Created new' : 'Updated existing';
+    console.log(`${verb} mapping for MAC: ${mapping.mac_address}${sourceTag ? ` (tag: ${sourceTag})` : ''}`);
     created++;
   }
   
@@ -290,29 +517,56 @@ export async function createHospitalityGroupMappings(locationId, sites) {
  * Used during contact sync to apply restaurant-specific tags
  * 
  * @param {string} macAddress - The MAC address to look up
- * @returns {Object|null} - { ghl_location_id, source_tag } or null
+ * @returns {Object|null} - { ghl_location_id, label, source_restaurant, source_tag } or null
  */
 export async function getMacMappingWithTag(macAddress) {
+  const normalizedMac = normalizeMacAddress(macAddress);
+  
+  if (!normalizedMac) {
+    return null;
+  }
+  
   const result = await query(
-    `SELECT ghl_location_id, source_restaurant, source_tag 
+    `SELECT ghl_location_id, label, source_restaurant, source_tag 
      FROM mac_mappings 
      WHERE mac_address = $1`,
-    [macAddress.toLowerCase().trim()]
+    [normalizedMac]
   );
   
   return result.rows[0] || null;
 }
 
+/**
+ * Find which locations currently own a set of MACs
+ * 
+ * @param {string[]} macAddresses - Normalized MAC addresses
+ * @returns {Array} - [{ mac_address, ghl_location_id, location_name, is_active }]
+ */
+export async function getMacMappingOwners(macAddresses) {
+  if (!macAddresses || macAddresses.length === 0) {
+    return [];
+  }
+  
+  const result = await query(`
+    SELECT mm.mac_address, mm.ghl_location_id, gc.location_name, COALESCE(gc.is_active, false) AS is_active
+    FROM mac_mappings mm
+    LEFT JOIN ghl_connections gc ON gc.ghl_location_id = mm.ghl_location_id
+    WHERE mm.mac_address = ANY($1)
+  `, [macAddresses]);
+  
+  return result.rows;
+}
+
 /**
  * Get all MAC mappings for a GHL location
  * Used by the setup page to show existing mappings
  * 
  * @param {string} locationId - The GHL location ID
- * @returns {Array} - Array of { mac_address, source_restaurant, source_tag }
+ * @returns {Array} - Array of { id, mac_address, label, source_restaurant, source_tag }
  */
 export async function getMacMappingsForLocation(locationId) {
   const result = await query(
-    `SELECT mac_address, source_restaurant, source_tag, created_at
+    `SELECT id, mac_address, label, source_restaurant, source_tag, created_at
      FROM mac_mappings 
      WHERE ghl_location_id = $1
      ORDER BY created_at DESC`,
@@ -322,24 +576,65 @@ export async function getMacMappingsForLocation(locationId) {
   return result.rows;
 }
 
+/**
+ * Get a single MAC mapping by id
+ */
+export async function getMacMapping(mappingId) {
+  const result = await query(
+    'SELECT * FROM mac_mappings WHERE id = $1',
+    [mappingId]
+  );
+  
+  return result.rows[0] || null;
+}
+
+/**
+ * Get every MAC mapping with its location (for export)
+ * 
+ * @param {string|null} locationId - Limit to one location
+ */
+export async function listAllMacMappings(locationId = null) {
+  const result = await query(`
+    SELECT 
+      mm.*,
+      gc.location_name,
+      COALESCE(gc.is_active, false) AS location_active
+    FROM mac_mappings mm
+    LEFT JOIN ghl_connections gc ON gc.ghl_location_id = mm.ghl_location_id
+    WHERE ($1::text IS NULL OR mm.ghl_location_id = $1)
+    ORDER BY gc.location_name, mm.ghl_location_id, mm.mac_address
+  `, [locationId]);
+  
+  return result.rows;
+}
+
+/**
+ * Delete a MAC mapping
+ */
+export async function deleteMacMapping(mappingId) {
+  await query('DELETE FROM mac_mappings WHERE id = $1', [mappingId]);
+}
+
 // ============================================================
 // VivaSpot Sites (for auto-mapping)
 // ============================================================
 
 /**
- * Find matching VivaSpot site(s) by email and location name
- * Returns either a single site or a hospitality group with multiple sites
+ * Rank VivaSpot sites and hospitality groups for a GHL location
+ * Candidates are sites listing the installer's email, or another email at
+ * the same company domain; see services/matcher.js for the scoring.
  * 
- * @param {string} email - The merchant email to match
- * @param {string} locationName - The GHL location name to match
- * @returns {Object} - { type: 'single'|'group'|'none', site?: Object, sites?: Array, groupName?: string }
+ * @param {string} email - The installer's email
+ * @param {string} locationName - The GHL location name
+ * @param {Object} options
+ * @param {string|null} options.address - The GHL location address (one line)
+ * @returns {Array} - Scored candidates, best first
  */
-export async function findVivaSpotMatch(email, locationName) {
+export async function rankVivaSpotSites(email, locationName, { address = null } = {}) {
   const normalizedEmail = email.toLowerCase().trim();
-  const normalizedName = locationName.toLowerCase().trim();
+  const domain = companyEmailDomain(normalizedEmail);
   
-  // Strategy 1: Check if locationName matches a hospitality_group
-  const groupResult = await query(`
+  const result = await query(`
     SELECT 
       id,
       restaurant_name,
@@ -349,94 +644,51 @@ export async function findVivaSpotMatch(email, locationName) {
       mac_addresses
     FROM vivaspot_sites
     WHERE $1 = ANY(merchant_emails)
-    AND LOWER(hospitality_group) LIKE $2
+    OR ($2::text IS NOT NULL AND EXISTS (
+      SELECT 1 FROM unnest(merchant_emails) AS e WHERE split_part(LOWER(e), '@', 2) = $2
+    ))
     ORDER BY restaurant_name
-  `, [
-    normalizedEmail,
-    `%${normalizedName}%`
-  ]);
+  `, [normalizedEmail, domain]);
   
-  if (groupResult.rows.length > 1) {
-    console.log(`Found hospitality group match: ${groupResult.rows[0].hospitality_group} with ${groupResult.rows.length} sites`);
-    return {
-      type: 'group',
-      groupName: groupResult.rows[0].hospitality_group,
-      sites: groupResult.rows
-    };
-  }
-  
-  // Strategy 2: Exact email match + fuzzy restaurant name match
-  let result = await query(`
-    SELECT 
-      id,
-      restaurant_name,
-      hospitality_group,
-      address,
-      merchant_emails,
-      mac_addresses
-    FROM vivaspot_sites
-    WHERE $1 = ANY(merchant_emails)
-    AND (
-      LOWER(restaurant_name) = $2
-      OR LOWER(restaurant_name) LIKE $3
-      OR $2 LIKE '%' || LOWER(restaurant_name) || '%'
-      OR LOWER(restaurant_name) LIKE '%' || $4 || '%'
-    )
-    LIMIT 1
-  `, [
-    normalizedEmail,
-    normalizedName,
-    `%${normalizedName}%`,
-    normalizedName.split(' ')[0] // First word match
-  ]);
+  return rankCandidates(result.rows, { email: normalizedEmail, name: locationName, address });
+}
+
+/**
+ * Find matching VivaSpot site(s) by email, location name and address
+ * Returns either a single site or a hospitality group with multiple sites.
+ * Matches are proposals: `confidence` (0..1) and `reasons` are shown to the
+ * installer, who confirms them before anything is mapped.
+ * 
+ * @param {string} email - The merchant email to match
+ * @param {string} locationName - The GHL location name to match
+ * @param {Object} options
+ * @param {string|null} options.address - The GHL location address (one line)
+ * @param {number} options.minScore - Lowest score accepted as a match
+ * @returns {Object} - { type: 'single'|'group'|'none', site?, sites?, groupName?, confidence?, reasons?, candidates }
+ */
+export async function findVivaSpotMatch(email, locationName, { address = null, minScore = DEFAULT_MIN_SCORE } = {}) {
+  const candidates = await rankVivaSpotSites(email, locationName, { address });
+  const best = candidates[0];
   
-  if (result.rows.length > 0) {
-    console.log(`Found site by email + name match: ${result.rows[0].restaurant_name}`);
-    return { type: 'single', site: result.rows[0] };
+  if (!best || best.score < minScore) {
+    if (candidates.length > 0) {
+      console.log(`No site scored above ${minScore}. Best: ${candidates.slice(0, 3).map(describeCandidate).join(', ')}`);
+    }
+    return { type: 'none', candidates };
   }
   
-  // Strategy 3: Just email match if only one site for this email
-  result = await query(`
-    SELECT 
-      id,
-      restaurant_name,
-      hospitality_group,
-      address,
-      merchant_emails,
-      mac_addresses
-    FROM vivaspot_sites
-    WHERE $1 = ANY(merchant_emails)
-  `, [normalizedEmail]);
-  
-  // If only one site for this email, use it regardless of name
-  if (result.rows.length === 1) {
-    console.log(`Found single site for email: ${result.rows[0].restaurant_name}`);
-    return { type: 'single', site: result.rows[0] };
-  }
+  console.log(`Best VivaSpot match: ${describeCandidate(best)}`);
   
-  // Strategy 4: Multiple sites - try to find best name match
-  if (result.rows.length > 1) {
-    for (const site of result.rows) {
-      const siteName = site.restaurant_name.toLowerCase();
-      
-      // Check for strong name overlap
-      const nameWords = normalizedName.split(/[\s\-]+/).filter(w => w.length > 2);
-      const siteWords = siteName.split(/[\s\-]+/).filter(w => w.length > 2);
-      
-      const matchingWords = nameWords.filter(word => 
-        siteWords.some(sw => sw.includes(word) || word.includes(sw))
-      );
-      
-      if (matchingWords.length >= 1) {
-        console.log(`Found site by word match: ${site.restaurant_name} (matched: ${matchingWords.join(', ')})`);
-        return { type: 'single', site };
-      }
-    }
-    
-    console.log(`Multiple sites for email but no name match. Sites: ${result.rows.map(r => r.restaurant_name).join(', ')}`);
-  }
+  const match = { confidence: Number(best.score.toFixed(3)), reasons: best.reasons, candidates };
   
-  return { type: 'none' };
+  return best.type === 'group'
+    ? { type: 'group', groupName: best.groupName, sites: best.sites, ...match }
+    : { type: 'single', site: best.site, ...match };
+}
+
+function describeCandidate(candidate) {
+  const name = candidate.type === 'group' ? `group ${candidate.groupName}` : candidate.site.restaurant_name;
+  return `${name} (${candidate.score.toFixed(2)})`;
 }
 
 /**
@@ -487,69 +739,1452 @@ export async function getVivaSpotSiteMacs(siteId) {
   return result.rows[0]?.mac_addresses || [];
 }
 
-// ============================================================
-// Synced Contacts
-// ============================================================
-
 /**
- * Check if contact has already been synced
+ * Get a VivaSpot site by ID
+ * 
+ * @param {number} siteId - The vivaspot_sites.id
  */
-export async function isContactSynced(locationId, email) {
-  const result = await query(`
-    SELECT id FROM synced_contacts 
-    WHERE ghl_location_id = $1 AND contact_email = $2
-  `, [locationId, email.toLowerCase()]);
+export async function getVivaSpotSite(siteId) {
+  const result = await query(
+    'SELECT * FROM vivaspot_sites WHERE id = $1',
+    [siteId]
+  );
   
-  return result.rows.length > 0;
+  return result.rows[0];
 }
 
 /**
- * Record a synced contact
+ * Escape LIKE wildcards so user text matches literally
+ * Backslash is Postgres' default LIKE escape character.
  */
-export async function recordSyncedContact({ locationId, email, ghlContactId }) {
-  await query(`
-    INSERT INTO synced_contacts (ghl_location_id, contact_email, ghl_contact_id)
-    VALUES ($1, $2, $3)
-    ON CONFLICT (ghl_location_id, contact_email) DO NOTHING
-  `, [locationId, email.toLowerCase(), ghlContactId]);
+function escapeLikePattern(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
 }
 
-// ============================================================
-// Sync Log
-// ============================================================
+/**
+ * Search VivaSpot sites for the admin API
+ * `q` matches any of name, email or MAC. MACs match by prefix, ignoring
+ * separators and case, so "00:18:0a" and "00180A" find the same sites.
+ * 
+ * @param {Object} filters
+ * @param {string} filters.q - Free text: restaurant/group name, email or MAC
+ * @param {string} filters.name - Restaurant or hospitality group name (substring)
+ * @param {string} filters.email - Merchant email (substring)
+ * @param {string} filters.mac - MAC address or prefix
+ * @param {number} filters.limit
+ * @param {number} filters.offset
+ * @returns {Object} - { sites, total }
+ */
+export async function searchVivaSpotSites({ q, name, email, mac, limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+  
+  const nameCondition = value => {
+    params.push(`%${escapeLikePattern(value.toLowerCase())}%`);
+    return `(LOWER(restaurant_name) LIKE $${params.length} OR LOWER(hospitality_group) LIKE $${params.length})`;
+  };
+  const emailCondition = value => {
+    params.push(`%${escapeLikePattern(value.toLowerCase())}%`);
+    return `EXISTS (SELECT 1 FROM unnest(merchant_emails) AS e WHERE LOWER(e) LIKE $${params.length})`;
+  };
+  const macCondition = value => {
+    params.push(`${value.replace(/[^0-9a-fA-F]/g, '').toLowerCase()}%`);
+    return `EXISTS (
+      SELECT 1 FROM unnest(mac_addresses) AS m 
+      WHERE LOWER(regexp_replace(m, '[^0-9a-fA-F]', '', 'g')) LIKE $${params.length}
+    )`;
+  };
+  
+  if (name) conditions.push(nameCondition(name));
+  if (email) conditions.push(emailCondition(email));
+  if (mac) conditions.push(macCondition(mac));
+  
+  if (q) {
+    const alternatives = [nameCondition(q), emailCondition(q)];
+    
+    // Only search MACs when the text could be one
+    if (/^[0-9a-fA-F:\-\.\s]+$/.test(q) && /[0-9a-fA-F]{2}/.test(q)) {
+      alternatives.push(macCondition(q));
+    }
+    
+    conditions.push(`(${alternatives.join(' OR ')})`);
+  }
+  
+  params.push(limit, offset);
+  
+  const result = await query(`
+    SELECT *, COUNT(*) OVER() AS total_count
+    FROM vivaspot_sites
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY restaurant_name, id
+    LIMIT $${params.length - 1} OFFSET $${params.length}
+  `, params);
+  
+  return {
+    sites: result.rows.map(({ total_count, ...site }) => site),
+    total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+  };
+}
 
 /**
- * Log a sync attempt
+ * Get every VivaSpot site (for export and import planning)
  */
-export async function logSync({ 
-  locationId, 
-  mac, 
-  email, 
-  status, 
-  ghlContactId, 
-  errorMessage 
-}) {
-  await query(`
-    INSERT INTO sync_log (
-      ghl_location_id, vivaspot_mac, contact_email, status, ghl_contact_id, error_message
-    ) VALUES ($1, $2, $3, $4, $5, $6)
-  `, [locationId, mac, email, status, ghlContactId, errorMessage]);
+export async function listAllVivaSpotSites() {
+  const result = await query('SELECT * FROM vivaspot_sites ORDER BY restaurant_name, id');
+  return result.rows;
 }
 
 /**
- * Get recent sync logs for a location
+ * Find other sites that already list any of these MACs
+ * 
+ * @param {string[]} macAddresses - Normalized MAC addresses
+ * @param {number|null} excludeSiteId - Site being updated
+ * @returns {Array} - [{ id, restaurant_name, mac_address }]
  */
-export async function getSyncLogs(locationId, limit = 50) {
+export async function findSitesWithMacs(macAddresses, excludeSiteId = null) {
+  if (!macAddresses || macAddresses.length === 0) {
+    return [];
+  }
+  
   const result = await query(`
-    SELECT * FROM sync_log 
-    WHERE ghl_location_id = $1 
-    ORDER BY synced_at DESC 
+    SELECT s.id, s.restaurant_name, m AS mac_address
+    FROM vivaspot_sites s, unnest(s.mac_addresses) AS m
+    WHERE LOWER(regexp_replace(m, '[^0-9a-fA-F]', '', 'g')) = ANY($1)
+    AND ($2::int IS NULL OR s.id <> $2)
+  `, [macAddresses.map(mac => mac.replace(/:/g, '')), excludeSiteId]);
+  
+  return result.rows;
+}
+
+/**
+ * Insert a VivaSpot site and its audit entry on a transaction's client
+ */
+async function insertVivaSpotSite(client, site, actor) {
+  const result = await client.query(`
+    INSERT INTO vivaspot_sites (restaurant_name, hospitality_group, address, merchant_emails, mac_addresses)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [
+    site.restaurant_name,
+    site.hospitality_group ?? null,
+    site.address ?? null,
+    site.merchant_emails || [],
+    site.mac_addresses || []
+  ]);
+  
+  const created = result.rows[0];
+  await recordAdminAudit(client, { actor, action: 'create', entityType: 'vivaspot_site', entityId: created.id, after: created });
+  
+  return created;
+}
+
+/**
+ * Create a VivaSpot site and record it in the audit log
+ * 
+ * @param {Object} site - { restaurant_name, hospitality_group, address, merchant_emails, mac_addresses }
+ * @param {string} actor - Who made the change
+ */
+export async function createVivaSpotSite(site, actor) {
+  const client = await getClient();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const created = await insertVivaSpotSite(client, site, actor);
+    
+    await client.query('COMMIT');
+    return created;
+  
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Columns of vivaspot_sites the admin API may change
+const SITE_FIELDS = ['restaurant_name', 'hospitality_group', 'address', 'merchant_emails', 'mac_addresses'];
+
+/**
+ * Update a VivaSpot site and record the change on a transaction's client
+ * 
+ * @returns {Object|undefined} - The updated row, or undefined if not found
+ */
+async function changeVivaSpotSite(client, siteId, changes, actor) {
+  const fields = SITE_FIELDS.filter(field => changes[field] !== undefined);
+  
+  const existing = await client.query(
+    'SELECT * FROM vivaspot_sites WHERE id = $1 FOR UPDATE',
+    [siteId]
+  );
+  
+  if (!existing.rows[0] || fields.length === 0) {
+    return existing.rows[0];
+  }
+  
+  const result = await client.query(`
+    UPDATE vivaspot_sites
+    SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')},
+        updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [siteId, ...fields.map(field => changes[field])]);
+  
+  const updated = result.rows[0];
+  await recordAdminAudit(client, { 
+    actor, 
+    action: 'update', 
+    entityType: 'vivaspot_site', 
+    entityId: siteId, 
+    before: existing.rows[0], 
+    after: updated 
+  });
+  
+  return updated;
+}
+
+/**
+ * Update some fields of a VivaSpot site and record the change
+ * 
+ * @param {number} siteId
+ * @param {Object} changes - Any of SITE_FIELDS
+ * @param {string} actor - Who made the change
+ * @returns {Object|undefined} - The updated row, or undefined if not found
+ */
+export async function updateVivaSpotSite(siteId, changes, actor) {
+  const client = await getClient();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const updated = await changeVivaSpotSite(client, siteId, changes, actor);
+    
+    await client.query('COMMIT');
+    return updated;
+  
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Create and update sites for an import in one transaction
+ * Either every write (with its audit entry) commits or none does.
+ * 
+ * @param {Array} writes - [{ site }] to create or [{ siteId, changes }] to update
+ * @param {string} actor - Who ran the import
+ * @returns {Array} - The created or updated rows, in the order of `writes`
+ */
+export async function importVivaSpotSites(writes, actor) {
+  const client = await getClient();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const results = [];
+    
+    for (const write of writes) {
+      if (write.siteId) {
+        const updated = await changeVivaSpotSite(client, write.siteId, write.changes, actor);
+        
+        if (!updated) {
+          throw new Error(`Site ${write.siteId} was deleted during the import`);
+        }
+        results.push(updated);
+      } else {
+        results.push(await insertVivaSpotSite(client, write.site, actor));
+      }
+    }
+    
+    await client.query('COMMIT');
+    return results;
+  
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete a VivaSpot site and record it in the audit log
+ * Existing mac_mappings are left alone; only future auto-mapping is affected.
+ * 
+ * @returns {Object|undefined} - The deleted row, or undefined if not found
+ */
+export async function deleteVivaSpotSite(siteId, actor) {
+  const client = await getClient();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const result = await client.query(
+      'DELETE FROM vivaspot_sites WHERE id = $1 RETURNING *',
+      [siteId]
+    );
+    
+    const deleted = result.rows[0];
+    
+    if (deleted) {
+      await recordAdminAudit(client, { actor, action: 'delete', entityType: 'vivaspot_site', entityId: siteId, before: deleted });
+    }
+    
+    await client.query('COMMIT');
+    return deleted;
+  
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================================
+// Admin Audit Log
+// ============================================================
+
+/**
+ * Record an admin change
+ * Takes the transaction's client so the entry commits with the change, or
+ * null for a change made outside a transaction.
+ * 
+ * @param {Object|null} client - pg client (or anything with .query)
+ * @param {Object} entry - { actor, action, entityType, entityId, before, after }
+ */
+export async function recordAdminAudit(client, { actor, action, entityType, entityId, before = null, after = null }) {
+  await (client || { query }).query(`
+    INSERT INTO admin_audit_log (actor, action, entity_type, entity_id, changes)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [actor, action, entityType, String(entityId), JSON.stringify({ before, after })]);
+}
+
+/**
+ * List audit entries, newest first
+ * 
+ * @param {Object} filters - { entityType, entityId, actor, limit, offset }
+ */
+export async function listAdminAuditLog({ entityType, entityId, actor, limit = 50, offset = 0 } = {}) {
+  const result = await query(`
+    SELECT * FROM admin_audit_log
+    WHERE ($1::text IS NULL OR entity_type = $1)
+    AND ($2::text IS NULL OR entity_id = $2)
+    AND ($3::text IS NULL OR actor = $3)
+    ORDER BY created_at DESC, id DESC
+    LIMIT $4 OFFSET $5
+  `, [entityType || null, entityId != null ? String(entityId) : null, actor || null, limit, offset]);
+  
+  return result.rows;
+}
+
+// ============================================================
+// Admin Dashboard
+// ============================================================
+
+/**
+ * Every connection with its health and sync statistics
+ * Tokens are not selected.
+ * 
+ * @param {Object} options
+ * @param {string|null} options.locationId - Only this location
+ * @param {number} options.errorWindowDays - Window for recent_total / recent_errors
+ * @returns {Array} - ghl_connections columns plus mac_count, pending_proposals,
+ *   held_count, last_success_at, recent_total, recent_errors
+ */
+export async function getConnectionOverview({ locationId = null, errorWindowDays = 7 } = {}) {
+  const result = await query(`
+    SELECT 
+      gc.ghl_location_id,
+      gc.location_name,
+      gc.ghl_company_id,
+      gc.install_type,
+      gc.user_email,
+      gc.installed_at,
+      gc.is_active,
+      gc.needs_reauth,
+      gc.token_expires_at,
+      gc.last_refresh_at,
+      gc.last_refresh_status,
+      gc.last_refresh_error,
+      (SELECT COUNT(*)::int FROM mac_mappings mm WHERE mm.ghl_location_id = gc.ghl_location_id) AS mac_count,
+      (SELECT COUNT(*)::int FROM mapping_proposals mp 
+        WHERE mp.ghl_location_id = gc.ghl_location_id AND mp.status = 'pending') AS pending_proposals,
+      (SELECT COUNT(*)::int FROM held_contacts hc 
+        WHERE hc.ghl_location_id = gc.ghl_location_id AND hc.status = 'pending') AS held_count,
+      stats.last_success_at,
+      COALESCE(stats.recent_total, 0)::int AS recent_total,
+      COALESCE(stats.recent_errors, 0)::int AS recent_errors
+    FROM ghl_connections gc
+    LEFT JOIN LATERAL (
+      SELECT 
+        MAX(synced_at) FILTER (WHERE status = 'success') AS last_success_at,
+        COUNT(*) FILTER (WHERE synced_at > NOW() - make_interval(days => $1)) AS recent_total,
+        COUNT(*) FILTER (WHERE status = 'error' AND synced_at > NOW() - make_interval(days => $1)) AS recent_errors
+      FROM sync_log sl
+      WHERE sl.ghl_location_id = gc.ghl_location_id
+    ) stats ON true
+    WHERE $2::text IS NULL OR gc.ghl_location_id = $2
+    ORDER BY gc.is_active DESC, gc.location_name NULLS LAST, gc.ghl_location_id
+  `, [errorWindowDays, locationId]);
+  
+  return result.rows;
+}
+
+// ============================================================
+// Mapping Proposals
+// ============================================================
+
+/**
+ * Store an auto-mapping proposal for review
+ * Any older pending proposal for the location is superseded.
+ * 
+ * @param {Object} proposal
+ * @param {string} proposal.locationId - The GHL location ID
+ * @param {string} proposal.matchType - 'single' | 'group'
+ * @param {string|null} proposal.groupName - Hospitality group name (group matches)
+ * @param {Array} proposal.items - [{ mac, site_id, restaurant_name, source_restaurant, source_tag }]
+ * @param {number} proposal.confidence - 0..1
+ * @param {string[]} proposal.reasons - Why the site(s) matched
+ */
+export async function createMappingProposal({ locationId, matchType, groupName = null, items, confidence, reasons }) {
+  const client = await getClient();
+  
+  try {
+    await client.query('BEGIN');
+    
+    await client.query(`
+      UPDATE mapping_proposals SET status = 'superseded', decided_at = NOW()
+      WHERE ghl_location_id = $1 AND status = 'pending'
+    `, [locationId]);
+    
+    const result = await client.query(`
+      INSERT INTO mapping_proposals (ghl_location_id, match_type, group_name, items, confidence, reasons)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [locationId, matchType, groupName, JSON.stringify(items), confidence, reasons]);
+    
+    await client.query('COMMIT');
+    return result.rows[0];
+  
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a mapping proposal by ID
+ */
+export async function getMappingProposal(proposalId) {
+  const result = await query(
+    'SELECT * FROM mapping_proposals WHERE id = $1',
+    [proposalId]
+  );
+  
+  return result.rows[0];
+}
+
+/**
+ * Get pending mapping proposals for a location, newest first
+ */
+export async function getPendingMappingProposals(locationId) {
+  const result = await query(`
+    SELECT * FROM mapping_proposals 
+    WHERE ghl_location_id = $1 AND status = 'pending'
+    ORDER BY created_at DESC
+  `, [locationId]);
+  
+  return result.rows;
+}
+
+/**
+ * Close a pending proposal as confirmed or rejected
+ * 
+ * @returns {Object|undefined} - The updated row, or undefined if it was no longer pending
+ */
+export async function resolveMappingProposal(proposalId, status, { decidedBy = null, appliedCount = null } = {}) {
+  const result = await query(`
+    UPDATE mapping_proposals 
+    SET status = $2, decided_by = $3, applied_count = $4, decided_at = NOW()
+    WHERE id = $1 AND status = 'pending'
+    RETURNING *
+  `, [proposalId, status, decidedBy, appliedCount]);
+  
+  return result.rows[0];
+}
+
+// ============================================================
+// Location Settings
+// ============================================================
+
+/**
+ * Get a location's setting overrides
+ * 
+ * @param {string} locationId - The GHL location ID
+ * @returns {Object} - The overrides ({} if none)
+ */
+export async function getLocationSettingOverrides(locationId) {
+  const result = await query(`
+    SELECT settings FROM location_settings WHERE ghl_location_id = $1
+  `, [locationId]);
+  
+  return result.rows[0]?.settings || {};
+}
+
+/**
+ * Replace a location's setting overrides
+ * 
+ * @param {string} locationId - The GHL location ID
+ * @param {Object} overrides - Validated overrides
+ * @param {string} updatedBy - Who changed them
+ * @returns {Object} - The location_settings row
+ */
+export async function saveLocationSettingOverrides(locationId, overrides, updatedBy = null) {
+  const result = await query(`
+    INSERT INTO location_settings (ghl_location_id, settings, updated_by)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (ghl_location_id) 
+    DO UPDATE SET 
+      settings = EXCLUDED.settings,
+      updated_by = EXCLUDED.updated_by,
+      updated_at = NOW()
+    RETURNING *
+  `, [locationId, JSON.stringify(overrides), updatedBy]);
+  
+  return result.rows[0];
+}
+
+// ============================================================
+// Field Mappings
+// ============================================================
+
+/**
+ * Get a location's payload-to-GHL field mappings, in configured order
+ * 
+ * @param {string} locationId - The GHL location ID
+ * @returns {Array} - field_mappings rows
+ */
+export async function getFieldMappings(locationId) {
+  const result = await query(`
+    SELECT * FROM field_mappings 
+    WHERE ghl_location_id = $1 
+    ORDER BY position, id
+  `, [locationId]);
+  
+  return result.rows;
+}
+
+/**
+ * Replace a location's field mappings
+ * 
+ * @param {string} locationId - The GHL location ID
+ * @param {Array} mappings - Validated mappings: [{ source_path, target_type, target, value_type, overwrite }]
+ * @returns {Array} - The saved rows
+ */
+export async function replaceFieldMappings(locationId, mappings) {
+  const client = await getClient();
+  
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM field_mappings WHERE ghl_location_id = $1', [locationId]);
+    
+    const rows = [];
+    
+    for (const [position, mapping] of mappings.entries()) {
+      const result = await client.query(`
+        INSERT INTO field_mappings (ghl_location_id, source_path, target_type, target, value_type, overwrite, position)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `, [
+        locationId, 
+        mapping.source_path, 
+        mapping.target_type, 
+        mapping.target, 
+        mapping.value_type, 
+        mapping.overwrite, 
+        position
+      ]);
+      rows.push(result.rows[0]);
+    }
+    
+    await client.query('COMMIT');
+    return rows;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================================
+// GHL Custom Fields
+// ============================================================
+
+/**
+ * Get a location's cached GHL custom fields, by name
+ * 
+ * @param {string} locationId - The GHL location ID
+ * @returns {Array} - ghl_custom_fields rows
+ */
+export async function getCachedCustomFields(locationId) {
+  const result = await query(`
+    SELECT * FROM ghl_custom_fields 
+    WHERE ghl_location_id = $1 
+    ORDER BY LOWER(name), id
+  `, [locationId]);
+  
+  return result.rows;
+}
+
+/**
+ * Replace a location's cached GHL custom fields and stamp the fetch time
+ * 
+ * @param {string} locationId - The GHL location ID
+ * @param {Array} fields - [{ id, name, fieldKey, dataType }] as returned by GHL
+ * @returns {Array} - The saved rows
+ */
+export async function replaceCachedCustomFields(locationId, fields) {
+  const client = await getClient();
+  
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM ghl_custom_fields WHERE ghl_location_id = $1', [locationId]);
+    
+    const rows = [];
+    
+    for (const field of fields) {
+      const result = await client.query(`
+        INSERT INTO ghl_custom_fields (ghl_location_id, field_id, name, field_key, data_type)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (ghl_location_id, field_id) DO NOTHING
+        RETURNING *
+      `, [locationId, field.id, field.name, field.fieldKey || null, field.dataType || null]);
+      
+      if (result.rows[0]) rows.push(result.rows[0]);
+    }
+    
+    await client.query(`
+      UPDATE ghl_connections SET custom_fields_synced_at = NOW() 
+      WHERE ghl_location_id = $1
+    `, [locationId]);
+    
+    await client.query('COMMIT');
+    return rows;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================================
+// Tag Rules
+// ============================================================
+
+/**
+ * Get a location's tag rules, in evaluation order
+ * 
+ * @param {string} locationId - The GHL location ID
+ * @returns {Array} - tag_rules rows
+ */
+export async function getTagRules(locationId) {
+  const result = await query(`
+    SELECT * FROM tag_rules 
+    WHERE ghl_location_id = $1 
+    ORDER BY position, id
+  `, [locationId]);
+  
+  return result.rows;
+}
+
+/**
+ * Replace a location's tag rules
+ * 
+ * @param {string} locationId - The GHL location ID
+ * @param {Array} rules - Validated rules: [{ name, tag, conditions, is_active }]
+ * @returns {Array} - The saved rows
+ */
+export async function replaceTagRules(locationId, rules) {
+  const client = await getClient();
+  
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM tag_rules WHERE ghl_location_id = $1', [locationId]);
+    
+    const rows = [];
+    
+    for (const [position, rule] of rules.entries()) {
+      const result = await client.query(`
+        INSERT INTO tag_rules (ghl_location_id, name, tag, conditions, is_active, position)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [locationId, rule.name, rule.tag, JSON.stringify(rule.conditions), rule.is_active, position]);
+      rows.push(result.rows[0]);
+    }
+    
+    await client.query('COMMIT');
+    return rows;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================================
+// Synced Contacts
+// ============================================================
+
+/**
+ * Check if contact has already been synced
+ * 
+ * @param {string} locationId - The GHL location ID
+ * @param {string} email - Contact email
+ * @param {number|null} withinMinutes - Only count syncs this recent (null = ever)
+ * @returns {boolean}
+ */
+export async function isContactSynced(locationId, email, withinMinutes = null) {
+  return (await getSyncedContact(locationId, email, withinMinutes)) !== null;
+}
+
+/**
+ * Get a contact's synced_contacts row (with its GHL contact id)
+ * 
+ * @param {string} locationId - The GHL location ID
+ * @param {string} email - Contact email
+ * @param {number|null} withinMinutes - Only count syncs this recent (null = ever)
+ * @returns {Object|null}
+ */
+export async function getSyncedContact(locationId, email, withinMinutes = null) {
+  const result = await query(`
+    SELECT * FROM synced_contacts 
+    WHERE ghl_location_id = $1 AND contact_email = $2
+    AND ($3::integer IS NULL OR synced_at > NOW() - make_interval(mins => $3::integer))
+  `, [locationId, email.toLowerCase(), withinMinutes]);
+  
+  return result.rows[0] || null;
+}
+
+/**
+ * Record a synced contact (refreshes the timestamp on repeat syncs)
+ */
+export async function recordSyncedContact({ locationId, email, ghlContactId }) {
+  await query(`
+    INSERT INTO synced_contacts (ghl_location_id, contact_email, ghl_contact_id)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (ghl_location_id, contact_email) DO UPDATE
+    SET ghl_contact_id = COALESCE(EXCLUDED.ghl_contact_id, synced_contacts.ghl_contact_id),
+        synced_at = NOW()
+  `, [locationId, email.toLowerCase(), ghlContactId]);
+}
+
+/**
+ * Forget a contact that was deleted in GHL, so the next visit recreates it
+ * 
+ * @param {string} locationId - GHL location ID
+ * @param {Object} contact - { contactId, email }; either identifies the contact
+ * @returns {number} - Number of rows removed
+ */
+export async function forgetSyncedContact(locationId, { contactId = null, email = null }) {
+  const result = await query(`
+    DELETE FROM synced_contacts
+    WHERE ghl_location_id = $1
+    AND (ghl_contact_id = $2 OR contact_email = $3)
+  `, [locationId, contactId, email ? email.toLowerCase() : null]);
+  
+  return result.rowCount;
+}
+
+// ============================================================
+// Guest Visits
+// ============================================================
+
+/**
+ * Record a guest's WiFi login and update their visit aggregates
+ * A sync job is counted once, however often it's retried.
+ * 
+ * @param {string} locationId - The GHL location ID
+ * @param {Object} visit
+ * @param {string} visit.email - Guest email
+ * @param {string} visit.mac - MAC address of the access point
+ * @param {number|null} visit.syncJobId - The sync job the visit came in on
+ * @param {Date|null} visit.visitedAt - When the webhook arrived (default: now)
+ * @returns {Object} - The guest's guest_visit_stats row
+ */
+export async function recordGuestVisit(locationId, { email, mac, syncJobId = null, visitedAt = null }) {
+  const client = await getClient();
+  const normalizedEmail = email.toLowerCase();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const visit = await client.query(`
+      INSERT INTO guest_visits (ghl_location_id, contact_email, mac_address, sync_job_id, visited_at)
+      VALUES ($1, $2, $3, $4, COALESCE($5, NOW()))
+      ON CONFLICT (sync_job_id) DO NOTHING
+      RETURNING visited_at
+    `, [locationId, normalizedEmail, normalizeMacAddress(mac), syncJobId, visitedAt]);
+    
+    // Replayed guests can arrive out of order, so first/last are min/max
+    if (visit.rows[0]) {
+      await client.query(`
+        INSERT INTO guest_visit_stats 
+          (ghl_location_id, contact_email, first_visit_at, last_visit_at, visit_count, last_mac_address)
+        VALUES ($1, $2, $3, $3, 1, $4)
+        ON CONFLICT (ghl_location_id, contact_email) 
+        DO UPDATE SET 
+          first_visit_at = LEAST(guest_visit_stats.first_visit_at, EXCLUDED.first_visit_at),
+          last_visit_at = GREATEST(guest_visit_stats.last_visit_at, EXCLUDED.last_visit_at),
+          visit_count = guest_visit_stats.visit_count + 1,
+          last_mac_address = CASE 
+            WHEN EXCLUDED.last_visit_at >= guest_visit_stats.last_visit_at THEN EXCLUDED.last_mac_address 
+            ELSE guest_visit_stats.last_mac_address 
+          END
+      `, [locationId, normalizedEmail, visit.rows[0].visited_at, normalizeMacAddress(mac)]);
+    }
+    
+    const stats = await client.query(`
+      SELECT * FROM guest_visit_stats 
+      WHERE ghl_location_id = $1 AND contact_email = $2
+    `, [locationId, normalizedEmail]);
+    
+    await client.query('COMMIT');
+    return stats.rows[0] || null;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a guest's visit aggregates for a location
+ * 
+ * @param {string} locationId - The GHL location ID
+ * @param {string} email - Guest email
+ * @returns {Object|null} - guest_visit_stats row or null
+ */
+export async function getGuestVisitStats(locationId, email) {
+  const result = await query(`
+    SELECT * FROM guest_visit_stats 
+    WHERE ghl_location_id = $1 AND contact_email = LOWER($2)
+  `, [locationId, email]);
+  
+  return result.rows[0] || null;
+}
+
+// ============================================================
+// Sync Log
+// ============================================================
+
+/**
+ * Log a sync attempt
+ */
+export async function logSync({ 
+  locationId, 
+  mac, 
+  email, 
+  status, 
+  action,
+  reason,
+  ghlContactId, 
+  errorMessage 
+}) {
+  await query(`
+    INSERT INTO sync_log (
+      ghl_location_id, vivaspot_mac, contact_email, status, action, reason, ghl_contact_id, error_message
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+  `, [locationId, mac, email, status, action, reason, ghlContactId, errorMessage]);
+}
+
+/**
+ * Get recent sync logs for a location
+ * 
+ * @param {string} locationId
+ * @param {number} limit
+ * @param {string|null} status - Only this status (success | skipped | error)
+ */
+export async function getSyncLogs(locationId, limit = 50, status = null) {
+  const result = await query(`
+    SELECT * FROM sync_log 
+    WHERE ghl_location_id = $1 
+    AND ($3::text IS NULL OR status = $3)
+    ORDER BY synced_at DESC 
     LIMIT $2
-  `, [locationId, limit]);
+  `, [locationId, limit, status]);
+  
+  return result.rows;
+}
+
+// ============================================================
+// Unmapped MACs & Held Contacts
+// ============================================================
+
+/**
+ * Count a webhook hit from a MAC with no mapping
+ * A MAC that was resolved but shows up unmapped again is reopened.
+ * 
+ * @param {string} mac - Normalized MAC address
+ * @param {Object} payload - The contact payload, kept as a sample
+ * @returns {Object} - The unmapped_macs row
+ */
+export async function recordUnmappedMac(mac, payload) {
+  const result = await query(`
+    INSERT INTO unmapped_macs (mac_address, hit_count, sample_payload)
+    VALUES ($1, 1, $2)
+    ON CONFLICT (mac_address) DO UPDATE
+    SET hit_count = unmapped_macs.hit_count + 1,
+        sample_payload = EXCLUDED.sample_payload,
+        last_seen_at = NOW(),
+        resolved_at = NULL,
+        resolved_location_id = NULL,
+        resolved_by = NULL
+    RETURNING *
+  `, [mac, JSON.stringify(payload)]);
+  
+  return result.rows[0];
+}
+
+/**
+ * List unmapped MACs, most recently seen first
+ * mapped_location_id is set if the MAC has since been mapped another way.
+ * 
+ * @param {Object} options
+ * @param {string} options.status - open | resolved | all
+ * @param {number} options.limit
+ * @param {number} options.offset
+ * @returns {Object} - { unmappedMacs: [row + held_count + mapped_location_id], total }
+ */
+export async function listUnmappedMacs({ status = 'open', limit = 50, offset = 0 } = {}) {
+  const result = await query(`
+    SELECT um.*, 
+      (SELECT COUNT(*)::int FROM held_contacts hc 
+        WHERE hc.mac_address = um.mac_address AND hc.status = 'pending') AS held_count,
+      mm.ghl_location_id AS mapped_location_id,
+      COUNT(*) OVER()::int AS total
+    FROM unmapped_macs um
+    LEFT JOIN mac_mappings mm ON mm.mac_address = um.mac_address
+    WHERE $1 = 'all' 
+      OR ($1 = 'open' AND um.resolved_at IS NULL) 
+      OR ($1 = 'resolved' AND um.resolved_at IS NOT NULL)
+    ORDER BY um.last_seen_at DESC
+    LIMIT $2 OFFSET $3
+  `, [status, limit, offset]);
+  
+  const total = result.rows[0]?.total || 0;
+  
+  return { unmappedMacs: result.rows.map(({ total, ...row }) => row), total };
+}
+
+/**
+ * Mark an unmapped MAC as assigned to a location
+ */
+export async function resolveUnmappedMac(mac, { locationId, resolvedBy }) {
+  const result = await query(`
+    UPDATE unmapped_macs
+    SET resolved_at = NOW(),
+        resolved_location_id = $2,
+        resolved_by = $3
+    WHERE mac_address = $1
+    RETURNING *
+  `, [mac, locationId, resolvedBy]);
+  
+  return result.rows[0] || null;
+}
+
+/**
+ * Hold a contact that couldn't be routed, for replay later
+ * A guest already held for the same reason and MAC is refreshed, not duplicated.
+ * 
+ * @param {Object} held
+ * @param {string} held.reason - Why it is held (e.g. 'unmapped_mac')
+ * @param {string} held.mac - Normalized MAC address
+ * @param {string} held.email - Guest email
+ * @param {Object} held.payload - The contact payload, replayed as-is
+ * @param {string|null} held.locationId - The location it is held for, if known
+ */
+export async function holdContact({ reason, mac, email, payload, locationId = null }) {
+  const result = await query(`
+    INSERT INTO held_contacts (reason, mac_address, contact_email, payload, ghl_location_id)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (reason, mac_address, LOWER(contact_email)) WHERE status = 'pending' DO UPDATE
+    SET payload = EXCLUDED.payload,
+        ghl_location_id = EXCLUDED.ghl_location_id,
+        held_at = NOW()
+    RETURNING *
+  `, [reason, mac, email, JSON.stringify(payload), locationId]);
+  
+  return result.rows[0];
+}
+
+/**
+ * Get the contacts still held for a reason and MAC, oldest first
+ */
+export async function getPendingHeldContacts(reason, mac) {
+  const result = await query(`
+    SELECT * FROM held_contacts 
+    WHERE reason = $1 AND mac_address = $2 AND status = 'pending'
+    ORDER BY held_at
+  `, [reason, mac]);
+  
+  return result.rows;
+}
+
+/**
+ * Get the contacts still held for a reason and location, oldest first
+ */
+export async function getPendingHeldContactsForLocation(reason, locationId) {
+  const result = await query(`
+    SELECT * FROM held_contacts 
+    WHERE reason = $1 AND ghl_location_id = $2 AND status = 'pending'
+    ORDER BY held_at
+  `, [reason, locationId]);
+  
+  return result.rows;
+}
+
+/**
+ * Claim pending held contacts and queue each as a sync job, in one transaction
+ * Only rows still pending are claimed, so two reconnects (or a callback and
+ * an agency provision) racing over the same rows queue each guest once, and
+ * a crash before COMMIT leaves them pending. Jobs keep the time the guest
+ * was held.
+ * 
+ * @param {number[]} ids - held_contacts ids
+ * @param {number} maxAttempts - Attempts allowed before dead-lettering
+ * @returns {Array} - The created sync_jobs rows
+ */
+export async function replayHeldContacts(ids, maxAttempts = 5) {
+  const client = await getClient();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const claimed = await client.query(`
+      UPDATE held_contacts
+      SET status = 'replayed',
+          released_at = NOW()
+      WHERE id = ANY($1) AND status = 'pending'
+      RETURNING id, payload, held_at
+    `, [ids]);
+    
+    const jobs = [];
+    
+    for (const held of claimed.rows.sort((a, b) => a.held_at - b.held_at || a.id - b.id)) {
+      const job = await client.query(`
+        INSERT INTO sync_jobs (payload, max_attempts, received_at)
+        VALUES ($1, $2, COALESCE($3, NOW()))
+        RETURNING *
+      `, [JSON.stringify(held.payload), maxAttempts, held.held_at]);
+      
+      await client.query(
+        'UPDATE held_contacts SET sync_job_id = $2 WHERE id = $1',
+        [held.id, job.rows[0].id]
+      );
+      jobs.push(job.rows[0]);
+    }
+    
+    await client.query('COMMIT');
+    return jobs;
+  
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Close pending held contacts as discarded
+ * 
+ * @param {number[]} ids - held_contacts ids
+ * @returns {number} - Contacts discarded (ones no longer pending are skipped)
+ */
+export async function discardHeldContacts(ids) {
+  const result = await query(`
+    UPDATE held_contacts
+    SET status = 'discarded',
+        released_at = NOW()
+    WHERE id = ANY($1) AND status = 'pending'
+  `, [ids]);
+  
+  return result.rowCount;
+}
+
+// ============================================================
+// Sync Jobs (durable webhook queue)
+// ============================================================
+
+/**
+ * Persist a webhook payload as a pending sync job
+ * 
+ * @param {Object} payload - Raw contact payload from the webhook
+ * @param {number} maxAttempts - Attempts allowed before dead-lettering
+ * @param {Date|null} receivedAt - When the webhook arrived (default: now)
+ * @returns {Object} - The created sync_jobs row
+ */
+export async function enqueueSyncJob(payload, maxAttempts = 5, receivedAt = null) {
+  const result = await query(`
+    INSERT INTO sync_jobs (payload, max_attempts, received_at)
+    VALUES ($1, $2, COALESCE($3, NOW()))
+    RETURNING *
+  `, [JSON.stringify(payload), maxAttempts, receivedAt]);
+  
+  return result.rows[0];
+}
+
+/**
+ * Persist several webhook payloads as pending sync jobs in one INSERT
+ * Either every job is queued or none is.
+ * 
+ * @param {Object[]} payloads - Raw contact payloads
+ * @param {number} maxAttempts - Attempts allowed before dead-lettering
+ * @returns {Array} - The created sync_jobs rows, in the order of `payloads`
+ */
+export async function enqueueSyncJobs(payloads, maxAttempts = 5) {
+  if (payloads.length === 0) {
+    return [];
+  }
+  
+  // Ids come from the sequence in insert order, so sorting by id restores it
+  const result = await query(`
+    INSERT INTO sync_jobs (payload, max_attempts)
+    SELECT payload, $2
+    FROM unnest($1::jsonb[]) WITH ORDINALITY AS batch(payload, position)
+    ORDER BY position
+    RETURNING *
+  `, [payloads.map(payload => JSON.stringify(payload)), maxAttempts]);
+  
+  return result.rows.sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Claim the next runnable job and mark it as running
+ * Also reclaims jobs left "running" by a worker that died mid-job.
+ * 
+ * @returns {Object|null} - The claimed job (attempts already incremented) or null
+ */
+export async function claimNextSyncJob() {
+  const result = await query(`
+    UPDATE sync_jobs
+    SET status = 'running',
+        attempts = attempts + 1,
+        locked_at = NOW(),
+        updated_at = NOW()
+    WHERE id = (
+      SELECT id FROM sync_jobs
+      WHERE (status = 'pending' AND next_run_at <= NOW())
+         OR (status = 'running' AND locked_at < NOW() - INTERVAL '5 minutes')
+      ORDER BY next_run_at
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `);
+  
+  return result.rows[0] || null;
+}
+
+/**
+ * Mark a job as finished
+ * 
+ * @param {number} jobId - The sync_jobs.id
+ * @param {string} status - 'completed' or 'failed' (permanent, not retried)
+ * @param {Object} outcome - Result returned by processContact
+ */
+export async function finishSyncJob(jobId, status, outcome) {
+  await query(`
+    UPDATE sync_jobs
+    SET status = $2,
+        result = $3,
+        last_error = $4,
+        locked_at = NULL,
+        updated_at = NOW()
+    WHERE id = $1
+  `, [jobId, status, JSON.stringify(outcome), status === 'failed' ? outcome.reason : null]);
+}
+
+/**
+ * Put a job back in the queue to be retried later
+ * 
+ * @param {number} jobId - The sync_jobs.id
+ * @param {string} errorMessage - Why this attempt failed
+ * @param {Date} nextRunAt - When the job becomes runnable again
+ */
+export async function rescheduleSyncJob(jobId, errorMessage, nextRunAt) {
+  await query(`
+    UPDATE sync_jobs
+    SET status = 'pending',
+        last_error = $2,
+        next_run_at = $3,
+        locked_at = NULL,
+        updated_at = NOW()
+    WHERE id = $1
+  `, [jobId, errorMessage, nextRunAt]);
+}
+
+/**
+ * Move a job that exhausted its attempts to the dead-letter table
+ * 
+ * @param {number} jobId - The sync_jobs.id
+ * @param {string} errorMessage - The last error seen
+ */
+export async function deadLetterSyncJob(jobId, errorMessage) {
+  const client = await getClient();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const result = await client.query(`
+      UPDATE sync_jobs
+      SET status = 'dead',
+          last_error = $2,
+          locked_at = NULL,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [jobId, errorMessage]);
+    
+    const job = result.rows[0];
+    
+    if (job) {
+      await client.query(`
+        INSERT INTO sync_dead_letters (job_id, payload, attempts, last_error)
+        VALUES ($1, $2, $3, $4)
+      `, [job.id, job.payload, job.attempts, errorMessage]);
+    }
+    
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a sync job with its most recent dead-letter entry (if any)
+ */
+export async function getSyncJob(jobId) {
+  const result = await query(`
+    SELECT sj.*, dl.failed_at AS dead_lettered_at, dl.replayed_at
+    FROM sync_jobs sj
+    LEFT JOIN LATERAL (
+      SELECT failed_at, replayed_at FROM sync_dead_letters
+      WHERE job_id = sj.id
+      ORDER BY failed_at DESC
+      LIMIT 1
+    ) dl ON true
+    WHERE sj.id = $1
+  `, [jobId]);
+  
+  return result.rows[0];
+}
+
+/**
+ * Reset a failed or dead job so the worker picks it up again
+ * 
+ * @param {number} jobId - The sync_jobs.id
+ * @returns {Object|null} - The requeued job, or null if it was not retryable
+ */
+export async function requeueSyncJob(jobId) {
+  const result = await query(`
+    UPDATE sync_jobs
+    SET status = 'pending',
+        attempts = 0,
+        result = NULL,
+        next_run_at = NOW(),
+        locked_at = NULL,
+        updated_at = NOW()
+    WHERE id = $1 AND status IN ('failed', 'dead')
+    RETURNING *
+  `, [jobId]);
+  
+  if (result.rows.length === 0) {
+    return null;
+  }
+  
+  await query(`
+    UPDATE sync_dead_letters SET replayed_at = NOW()
+    WHERE job_id = $1 AND replayed_at IS NULL
+  `, [jobId]);
+  
+  return result.rows[0];
+}
+
+// ============================================================
+// Webhook Credentials
+// ============================================================
+
+/**
+ * Create a webhook credential for a source
+ * 
+ * @param {string} source - Caller name (e.g. "n8n")
+ * @param {string} secret - The shared secret
+ * @returns {Object} - The created row
+ */
+export async function createWebhookCredential(source, secret) {
+  const result = await query(`
+    INSERT INTO webhook_credentials (source, secret)
+    VALUES ($1, $2)
+    RETURNING *
+  `, [source, secret]);
+  
+  return result.rows[0];
+}
+
+/**
+ * Get credentials that are currently accepted (not revoked, not past expiry)
+ * 
+ * @param {string|null} source - Limit to one source, or null for all
+ */
+export async function getActiveWebhookCredentials(source = null) {
+  const result = await query(`
+    SELECT * FROM webhook_credentials
+    WHERE revoked_at IS NULL
+    AND (expires_at IS NULL OR expires_at > NOW())
+    AND ($1::varchar IS NULL OR source = $1)
+    ORDER BY created_at DESC
+  `, [source]);
+  
+  return result.rows;
+}
+
+/**
+ * List all credentials (active and retired) for admin display
+ */
+export async function listWebhookCredentials() {
+  const result = await query(`
+    SELECT * FROM webhook_credentials ORDER BY source, created_at DESC
+  `);
   
   return result.rows;
 }
 
+/**
+ * Schedule a source's current credentials to expire (rotation overlap)
+ * 
+ * @param {string} source - Caller name
+ * @param {Date} expiresAt - When the old credentials stop working
+ * @param {number} keepId - The new credential, which is left untouched
+ * @returns {number} - Number of credentials scheduled to expire
+ */
+export async function expireWebhookCredentials(source, expiresAt, keepId) {
+  const result = await query(`
+    UPDATE webhook_credentials
+    SET expires_at = LEAST(COALESCE(expires_at, $2), $2)
+    WHERE source = $1 AND id <> $3 AND revoked_at IS NULL
+    AND (expires_at IS NULL OR expires_at > NOW())
+  `, [source, expiresAt, keepId]);
+  
+  return result.rowCount;
+}
+
+/**
+ * Revoke a credential immediately
+ */
+export async function revokeWebhookCredential(credentialId) {
+  const result = await query(`
+    UPDATE webhook_credentials SET revoked_at = NOW()
+    WHERE id = $1 AND revoked_at IS NULL
+    RETURNING *
+  `, [credentialId]);
+  
+  return result.rows[0];
+}
+
+/**
+ * Record that a credential was just used
+ */
+export async function touchWebhookCredential(credentialId) {
+  await query(`
+    UPDATE webhook_credentials SET last_used_at = NOW() WHERE id = $1
+  `, [credentialId]);
+}
+
+// ============================================================
+// GHL Webhook Events
+// ============================================================
+
+/**
+ * Record a GHL webhook event before processing it
+ * 
+ * @returns {boolean} - false if this webhookId was already recorded (a redelivery)
+ */
+export async function recordGHLWebhookEvent({ webhookId, type, locationId, companyId, payload }) {
+  const result = await query(`
+    INSERT INTO ghl_webhook_events (webhook_id, event_type, ghl_location_id, ghl_company_id, payload)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (webhook_id) DO NOTHING
+    RETURNING webhook_id
+  `, [webhookId, type, locationId, companyId, JSON.stringify(payload)]);
+  
+  return result.rowCount > 0;
+}
+
+/**
+ * Mark a GHL webhook event as processed
+ */
+export async function markGHLWebhookEventProcessed(webhookId, outcome) {
+  await query(`
+    UPDATE ghl_webhook_events SET processed_at = NOW(), outcome = $2
+    WHERE webhook_id = $1
+  `, [webhookId, outcome]);
+}
+
+/**
+ * Forget a GHL webhook event whose processing failed, so GHL's retry is handled
+ */
+export async function deleteGHLWebhookEvent(webhookId) {
+  await query('DELETE FROM ghl_webhook_events WHERE webhook_id = $1', [webhookId]);
+}
+
+// ============================================================
+// OAuth State
+// ============================================================
+
+/**
+ * Record a newly minted OAuth state nonce
+ * Long-expired nonces are pruned at the same time.
+ */
+export async function createOAuthState(nonce, expiresAt) {
+  await query(`
+    DELETE FROM oauth_states WHERE expires_at < NOW() - INTERVAL '1 day'
+  `);
+  
+  await query(`
+    INSERT INTO oauth_states (nonce, expires_at) VALUES ($1, $2)
+  `, [nonce, expiresAt]);
+}
+
+/**
+ * Mark an OAuth state nonce as used
+ * 
+ * @returns {boolean} - false if the nonce is unknown, expired or already used
+ */
+export async function consumeOAuthState(nonce) {
+  const result = await query(`
+    UPDATE oauth_states SET used_at = NOW()
+    WHERE nonce = $1 AND used_at IS NULL AND expires_at > NOW()
+    RETURNING nonce
+  `, [nonce]);
+  
+  return result.rowCount > 0;
+}
+
 // ============================================================
 // Default Export
 // ============================================================
@@ -559,29 +2194,110 @@ export default {
   saveGHLConnection,
   storeGHLConnection,
   getGHLConnection,
+  getGHLConnectionAnyStatus,
   updateGHLTokens,
   deactivateGHLConnection,
-  // Location Mappings (Original)
-  addLocationMapping,
-  getMappingsForLocation,
-  getLocationByMAC,
-  deleteMapping,
-  // MAC Mappings (New)
+  deactivateCompanyConnections,
+  updateLocationName,
+  recordTokenRefreshFailure,
+  markConnectionNeedsReauth,
+  getConnectionsExpiringBefore,
+  // Companies
+  saveGHLCompany,
+  getGHLCompany,
+  updateGHLCompanyTokens,
+  deactivateGHLCompany,
+  markCompanyProvisioned,
+  // MAC Mappings
   nameToTag,
+  normalizeMacAddress,
+  saveMacMapping,
   createMacMappings,
   createMacMappingsWithTag,
   createHospitalityGroupMappings,
   getMacMappingWithTag,
+  getMacMappingOwners,
+  listAllMacMappings,
   getMacMappingsForLocation,
+  getMacMapping,
+  deleteMacMapping,
   // VivaSpot Sites
+  rankVivaSpotSites,
   findVivaSpotMatch,
   findVivaSpotSiteByEmailAndName,
   getVivaSpotSitesByEmail,
   getVivaSpotSiteMacs,
+  getVivaSpotSite,
+  searchVivaSpotSites,
+  listAllVivaSpotSites,
+  findSitesWithMacs,
+  createVivaSpotSite,
+  updateVivaSpotSite,
+  importVivaSpotSites,
+  deleteVivaSpotSite,
+  // Admin Audit Log
+  recordAdminAudit,
+  listAdminAuditLog,
+  // Admin Dashboard
+  getConnectionOverview,
+  // Mapping Proposals
+  createMappingProposal,
+  getMappingProposal,
+  getPendingMappingProposals,
+  resolveMappingProposal,
+  // Location Settings
+  getLocationSettingOverrides,
+  saveLocationSettingOverrides,
+  // Field Mappings
+  getFieldMappings,
+  replaceFieldMappings,
+  // GHL Custom Fields
+  getCachedCustomFields,
+  replaceCachedCustomFields,
+  // Tag Rules
+  getTagRules,
+  replaceTagRules,
   // Synced Contacts
   isContactSynced,
+  getSyncedContact,
   recordSyncedContact,
+  forgetSyncedContact,
+  // Guest Visits
+  recordGuestVisit,
+  getGuestVisitStats,
   // Sync Log
   logSync,
-  getSyncLogs
+  getSyncLogs,
+  // Unmapped MACs & Held Contacts
+  recordUnmappedMac,
+  listUnmappedMacs,
+  resolveUnmappedMac,
+  holdContact,
+  getPendingHeldContacts,
+  getPendingHeldContactsForLocation,
+  replayHeldContacts,
+  discardHeldContacts,
+  // Sync Jobs
+  enqueueSyncJob,
+  enqueueSyncJobs,
+  claimNextSyncJob,
+  finishSyncJob,
+  rescheduleSyncJob,
+  deadLetterSyncJob,
+  getSyncJob,
+  requeueSyncJob,
+  // Webhook Credentials
+  createWebhookCredential,
+  getActiveWebhookCredentials,
+  listWebhookCredentials,
+  expireWebhookCredentials,
+  revokeWebhookCredential,
+  touchWebhookCredential,
+  // GHL Webhook Events
+  recordGHLWebhookEvent,
+  markGHLWebhookEventProcessed,
+  deleteGHLWebhookEvent,
+  // OAuth State
+  createOAuthState,
+  consumeOAuthState
 };
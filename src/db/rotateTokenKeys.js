@@ -0,0 +1,105 @@
+/**
+ * Token Key Rotation
+ * 
+ * Re-encrypts every stored OAuth token row under the current master key
+ * (TOKEN_ENCRYPTION_KEY_ID). Rows already on a different key only have their
+ * data key re-wrapped; plaintext rows are encrypted. Keep the old key in
+ * TOKEN_ENCRYPTION_KEYS until this has run, then it can be removed.
+ * 
+ * Usage:
+ *   npm run rotate-token-keys
+ */
+
+import 'dotenv/config';
+import { fileURLToPath } from 'url';
+import { query } from './connection.js';
+import { getCurrentKeyId, sealTokens, rewrapDataKey } from '../services/tokenCrypto.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const TOKEN_TABLES = ['ghl_connections', 'ghl_companies'];
+
+/**
+ * Move one table's rows onto the current key
+ * 
+ * Each update is conditional on the row being unchanged since it was read, so a
+ * token refresh that lands mid-rotation (and is already on the current key) wins.
+ * 
+ * @returns {Object} - { table, rewrapped, encrypted, skipped }
+ */
+async function rotateTable(table, currentKeyId) {
+  const summary = { table, rewrapped: 0, encrypted: 0, skipped: 0 };
+  
+  const result = await query(`
+    SELECT id, access_token, refresh_token, token_key_id, token_dek 
+    FROM ${table}
+    WHERE token_key_id IS DISTINCT FROM $1
+  `, [currentKeyId]);
+  
+  for (const row of result.rows) {
+    let update;
+    
+    if (row.token_key_id) {
+      const { keyId, wrappedKey } = rewrapDataKey(row.token_key_id, row.token_dek);
+      
+      update = await query(`
+        UPDATE ${table} SET token_key_id = $2, token_dek = $3
+        WHERE id = $1 AND token_dek = $4
+      `, [row.id, keyId, wrappedKey, row.token_dek]);
+      
+      if (update.rowCount > 0) summary.rewrapped++;
+    } else {
+      const sealed = sealTokens({ accessToken: row.access_token, refreshToken: row.refresh_token });
+      
+      update = await query(`
+        UPDATE ${table} 
+        SET access_token = $2, refresh_token = $3, token_key_id = $4, token_dek = $5
+        WHERE id = $1 AND token_key_id IS NULL AND access_token = $6
+      `, [row.id, sealed.accessToken, sealed.refreshToken, sealed.keyId, sealed.wrappedKey, row.access_token]);
+      
+      if (update.rowCount > 0) summary.encrypted++;
+    }
+    
+    if (update.rowCount === 0) summary.skipped++;
+  }
+  
+  return summary;
+}
+
+/**
+ * Re-encrypt all token rows under the current master key
+ * 
+ * @returns {Array} - Per-table summaries
+ */
+export async function rotateTokenKeys() {
+  const currentKeyId = getCurrentKeyId();
+  
+  if (!currentKeyId) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS is not configured');
+  }
+  
+  const summaries = [];
+  
+  for (const table of TOKEN_TABLES) {
+    summaries.push(await rotateTable(table, currentKeyId));
+  }
+  
+  return summaries;
+}
+
+if (process.argv[1] === __filename) {
+  try {
+    const summaries = await rotateTokenKeys();
+    
+    for (const summary of summaries) {
+      console.log(`${summary.table}: ${summary.rewrapped} re-wrapped, ${summary.encrypted} encrypted, ${summary.skipped} changed during rotation (already current)`);
+    }
+    
+    process.exit(0);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+export default { rotateTokenKeys };
@@ -14,11 +14,17 @@ import { fileURLToPath } from 'url';
 import oauthRoutes from './routes/oauth.js';
 import setupRoutes from './routes/setup.js';
 import apiRoutes from './routes/api.js';
+import adminRoutes from './routes/admin.js';
+import dashboardRoutes from './routes/dashboard.js';
 import webhookRoutes from './routes/webhook.js';
 
 // Database
 import { initializeDatabase } from './db/connection.js';
 
+// Background workers
+import { startSyncWorker } from './services/queue.js';
+import { startTokenKeeper } from './services/tokenKeeper.js';
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -26,7 +32,10 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body for webhook signature verification
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, '../public')));
 
@@ -42,6 +51,8 @@ app.get('/health', (req, res) => {
 // Routes
 app.use('/oauth', oauthRoutes);
 app.use('/setup', setupRoutes);
+app.use('/admin', dashboardRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/api', apiRoutes);
 app.use('/webhook', webhookRoutes);
 
@@ -54,6 +65,7 @@ app.get('/', (req, res) => {
       health: '/health',
       oauth: '/oauth/authorize',
       setup: '/setup',
+      admin: '/admin',
       webhook: '/webhook/contact'
     }
   });
@@ -80,6 +92,12 @@ async function start() {
     // Initialize database
     await initializeDatabase();
     console.log('Database initialized');
+    
+    // Drain queued webhook contacts in the background
+    startSyncWorker();
+    
+    // Keep GHL tokens fresh for locations that rarely receive webhooks
+    startTokenKeeper();
 
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
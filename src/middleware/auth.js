@@ -0,0 +1,303 @@
+/**
+ * Authentication Middleware
+ * 
+ * Two kinds of callers are recognised:
+ * - Location sessions: a signed cookie issued at the end of the OAuth callback,
+ *   listing the GHL location(s) this browser installed the app for.
+ * - API keys: for VivaSpot's internal tooling, configured in API_KEYS as
+ *   comma-separated name:key pairs. API keys can access every location.
+ * - Admin sessions: a signed cookie issued when staff sign in to the /admin
+ *   dashboard with an API key. Same access as the key, for the browser.
+ */
+
+import crypto from 'crypto';
+import { signPayload, verifySignedPayload } from '../services/signing.js';
+
+const SESSION_COOKIE = 'vs_session';
+const SESSION_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const ADMIN_COOKIE = 'vs_admin';
+const ADMIN_SESSION_TTL_SECONDS = 12 * 60 * 60;
+
+// ============================================================
+// Helpers
+// ============================================================
+
+/**
+ * Parse the Cookie header into an object
+ */
+function parseCookies(req) {
+  const cookies = {};
+  const header = req.headers.cookie;
+  
+  if (!header) return cookies;
+  
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  }
+  
+  return cookies;
+}
+
+/**
+ * Load configured API keys as [{ name, digest }]
+ */
+function getApiKeys() {
+  return (process.env.API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const index = entry.indexOf(':');
+      const name = index === -1 ? 'api' : entry.slice(0, index);
+      const key = index === -1 ? entry : entry.slice(index + 1);
+      return { name, digest: sha256(key) };
+    });
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Find the API key matching the presented value (constant-time compare)
+ */
+function matchApiKey(presented) {
+  const digest = sha256(presented);
+  return getApiKeys().find(key => crypto.timingSafeEqual(key.digest, digest)) || null;
+}
+
+/**
+ * Check an API key typed into the admin sign-in form
+ * 
+ * @returns {string|null} - The key's name, or null if it doesn't match
+ */
+export function checkApiKey(presented) {
+  if (!presented || typeof presented !== 'string') return null;
+  return matchApiKey(presented.trim())?.name || null;
+}
+
+/**
+ * Extract an API key from Authorization: Bearer or X-API-Key
+ */
+function getPresentedApiKey(req) {
+  const header = req.headers.authorization || '';
+  
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  
+  return req.headers['x-api-key'] || null;
+}
+
+// ============================================================
+// Sessions
+// ============================================================
+
+/**
+ * Read the location session from the request cookie
+ * 
+ * @returns {Object|null} - { locations: [locationId] } or null
+ */
+function getSession(req) {
+  const payload = verifySignedPayload(parseCookies(req)[SESSION_COOKIE]);
+  
+  if (!payload || !Array.isArray(payload.locations)) {
+    return null;
+  }
+  
+  return payload;
+}
+
+/**
+ * Issue (or extend) a session cookie granting access to a location
+ * Locations already in the caller's session are kept, so one browser can
+ * manage several installs.
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string|string[]} locationId - The GHL location(s) the caller just authorized
+ */
+export function issueLocationSession(req, res, locationId) {
+  const existing = getSession(req)?.locations || [];
+  const locations = [...new Set([...existing, ...[].concat(locationId)])];
+  
+  const token = signPayload({ locations }, SESSION_TTL_SECONDS);
+  const isProduction = process.env.NODE_ENV === 'production';
+  
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    secure: isProduction,
+    // The setup page is opened from inside GHL (a cross-site iframe/link)
+    sameSite: isProduction ? 'none' : 'lax',
+    maxAge: SESSION_TTL_SECONDS * 1000,
+    path: '/'
+  });
+}
+
+/**
+ * Read the admin session from the request cookie
+ * 
+ * @returns {Object|null} - { admin: keyName } or null
+ */
+function getAdminSession(req) {
+  const payload = verifySignedPayload(parseCookies(req)[ADMIN_COOKIE]);
+  
+  if (!payload || typeof payload.admin !== 'string') {
+    return null;
+  }
+  
+  // A key removed from API_KEYS ends its sessions too
+  if (!getApiKeys().some(key => key.name === payload.admin)) {
+    return null;
+  }
+  
+  return payload;
+}
+
+/**
+ * Issue the admin dashboard cookie for a signed-in API key
+ * SameSite=Strict: the dashboard is never embedded or linked cross-site.
+ */
+export function issueAdminSession(res, keyName) {
+  const token = signPayload({ admin: keyName }, ADMIN_SESSION_TTL_SECONDS);
+  
+  res.cookie(ADMIN_COOKIE, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: ADMIN_SESSION_TTL_SECONDS * 1000,
+    path: '/'
+  });
+}
+
+export function clearAdminSession(res) {
+  res.clearCookie(ADMIN_COOKIE, { path: '/' });
+}
+
+// ============================================================
+// Middleware
+// ============================================================
+
+/**
+ * Identify the caller and attach req.auth
+ * 
+ * req.auth is one of:
+ * - { type: 'api_key', name, admin: true }
+ * - { type: 'admin_session', name, admin: true }
+ * - { type: 'session', locations: [locationId], admin: false }
+ * - null (anonymous)
+ */
+export function authenticate(req, res, next) {
+  req.auth = null;
+  
+  const presentedKey = getPresentedApiKey(req);
+  
+  if (presentedKey) {
+    const apiKey = matchApiKey(presentedKey);
+    
+    if (!apiKey) {
+      console.warn(`Rejected invalid API key from ${req.ip} for ${req.method} ${req.originalUrl}`);
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    
+    req.auth = { type: 'api_key', name: apiKey.name, admin: true };
+    return next();
+  }
+  
+  const adminSession = getAdminSession(req);
+  const session = adminSession ? null : getSession(req);
+  
+  if (adminSession || session) {
+    // Cookie-authenticated POSTs must be JSON: browsers can't send that
+    // cross-site without a CORS preflight, which blocks CSRF form posts.
+    if (req.method === 'POST' && !req.is('application/json')) {
+      return res.status(403).json({ error: 'Requests must be sent as application/json' });
+    }
+  }
+  
+  if (adminSession) {
+    req.auth = { type: 'admin_session', name: adminSession.admin, admin: true };
+  } else if (session) {
+    req.auth = { type: 'session', locations: session.locations, admin: false };
+  }
+  
+  next();
+}
+
+/**
+ * Check whether the authenticated caller may act on a location
+ */
+export function canAccessLocation(req, locationId) {
+  if (!req.auth || !locationId) return false;
+  if (req.auth.admin) return true;
+  return req.auth.locations.includes(locationId);
+}
+
+/**
+ * Require any authenticated caller
+ */
+export function requireAuth(req, res, next) {
+  if (!req.auth) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  
+  next();
+}
+
+/**
+ * Require an API key (VivaSpot staff / internal tooling)
+ */
+export function requireAdmin(req, res, next) {
+  if (!req.auth) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  
+  if (!req.auth.admin) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  
+  next();
+}
+
+/**
+ * Require access to the location a request targets
+ * 
+ * @param {Function} getLocationId - (req) => locationId being accessed
+ * @returns {Function} - Express middleware
+ */
+export function requireLocationAccess(getLocationId) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    
+    if (!canAccessLocation(req, getLocationId(req))) {
+      return res.status(403).json({ error: 'You do not have access to this location' });
+    }
+    
+    next();
+  };
+}
+
+export default {
+  authenticate,
+  checkApiKey,
+  issueLocationSession,
+  issueAdminSession,
+  clearAdminSession,
+  canAccessLocation,
+  requireAuth,
+  requireAdmin,
+  requireLocationAccess
+};
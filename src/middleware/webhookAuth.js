@@ -0,0 +1,209 @@
+/**
+ * Webhook Authentication Middleware
+ * 
+ * Callers of the contact webhooks (n8n) must present a webhook credential,
+ * either:
+ * - As a bearer token: Authorization: Bearer <secret>
+ * - As an HMAC-SHA256 signature over "<timestamp>.<raw body>":
+ *     X-VivaSpot-Timestamp: <epoch seconds>
+ *     X-VivaSpot-Signature: sha256=<hex digest>
+ *   Signed requests older than the replay window are rejected.
+ * 
+ * Credentials live in webhook_credentials (per source, rotated via the admin
+ * API). WEBHOOK_SECRET, if set, is accepted as an extra "env" credential.
+ * An optional X-VivaSpot-Source header limits matching to one source.
+ * 
+ * GHL marketplace webhooks are verified separately: GHL signs the raw body
+ * with its private key (RSA-SHA256, base64 in x-wh-signature), checked against
+ * the public key in GHL_WEBHOOK_PUBLIC_KEY.
+ */
+
+import crypto from 'crypto';
+import { getActiveWebhookCredentials, touchWebhookCredential } from '../db/queries.js';
+
+const REPLAY_WINDOW_SECONDS = parseInt(process.env.WEBHOOK_REPLAY_WINDOW_SECONDS) || 300;
+
+/**
+ * Generate a new webhook secret
+ */
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * Load the credentials a request may match
+ */
+async function getCandidateCredentials(source) {
+  const credentials = await getActiveWebhookCredentials(source);
+  
+  if (process.env.WEBHOOK_SECRET && (!source || source === 'env')) {
+    credentials.push({ id: null, source: 'env', secret: process.env.WEBHOOK_SECRET });
+  }
+  
+  return credentials;
+}
+
+function safeEqual(a, b) {
+  const digestA = crypto.createHash('sha256').update(a).digest();
+  const digestB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+}
+
+/**
+ * Match a bearer token against the candidate credentials
+ */
+function matchBearer(credentials, token) {
+  return credentials.find(credential => safeEqual(credential.secret, token)) || null;
+}
+
+/**
+ * Match an HMAC signature against the candidate credentials
+ * 
+ * @returns {Object} - { credential } or { error }
+ */
+function matchSignature(req, credentials, signatureHeader) {
+  const timestamp = req.headers['x-vivaspot-timestamp'];
+  
+  if (!timestamp || !/^\d+$/.test(timestamp)) {
+    return { error: 'Missing or invalid X-VivaSpot-Timestamp' };
+  }
+  
+  const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp));
+  if (age > REPLAY_WINDOW_SECONDS) {
+    return { error: `Timestamp outside the ${REPLAY_WINDOW_SECONDS}s window` };
+  }
+  
+  const signature = signatureHeader.replace(/^sha256=/, '').trim().toLowerCase();
+  const signedContent = `${timestamp}.${req.rawBody ? req.rawBody.toString('utf8') : ''}`;
+  
+  const credential = credentials.find(candidate => {
+    const expected = crypto.createHmac('sha256', candidate.secret).update(signedContent).digest('hex');
+    return safeEqual(expected, signature);
+  });
+  
+  return credential ? { credential } : { error: 'Signature mismatch' };
+}
+
+/**
+ * Reject the request with 401 and log why
+ */
+function reject(req, res, reason) {
+  console.warn(`Webhook auth failed from ${req.ip} for ${req.method} ${req.originalUrl}: ${reason}`);
+  return res.status(401).json({ status: 'error', reason: 'Unauthorized' });
+}
+
+/**
+ * Require a valid webhook credential
+ * Sets req.webhookSource to the matched credential's source.
+ */
+export async function requireWebhookAuth(req, res, next) {
+  try {
+    const source = req.headers['x-vivaspot-source'] || null;
+    const signatureHeader = req.headers['x-vivaspot-signature'];
+    const authorization = req.headers.authorization || '';
+    
+    if (!signatureHeader && !authorization.startsWith('Bearer ')) {
+      return reject(req, res, 'No credentials presented');
+    }
+    
+    const credentials = await getCandidateCredentials(source);
+    
+    if (credentials.length === 0) {
+      return reject(req, res, `No active webhook credentials${source ? ` for source "${source}"` : ''}`);
+    }
+    
+    let credential;
+    
+    if (signatureHeader) {
+      const match = matchSignature(req, credentials, signatureHeader);
+      if (match.error) {
+        return reject(req, res, match.error);
+      }
+      credential = match.credential;
+    } else {
+      credential = matchBearer(credentials, authorization.slice(7).trim());
+      if (!credential) {
+        return reject(req, res, 'Invalid bearer token');
+      }
+    }
+    
+    req.webhookSource = credential.source;
+    
+    if (credential.id) {
+      touchWebhookCredential(credential.id).catch(error => {
+        console.error('Failed to update webhook credential usage:', error.message);
+      });
+    }
+    
+    next();
+  
+  } catch (error) {
+    console.error('Webhook auth error:', error);
+    res.status(500).json({ status: 'error', reason: error.message });
+  }
+}
+
+// ============================================================
+// GHL Marketplace Webhooks
+// ============================================================
+
+/**
+ * Load GHL's webhook public key (PEM; "\n" escapes allowed for env vars)
+ */
+function getGHLPublicKey() {
+  const key = process.env.GHL_WEBHOOK_PUBLIC_KEY;
+  return key ? key.replace(/\\n/g, '\n') : null;
+}
+
+/**
+ * Require a valid GHL x-wh-signature
+ * Outside production a missing GHL_WEBHOOK_PUBLIC_KEY skips verification (with a warning).
+ */
+export function requireGHLSignature(req, res, next) {
+  const publicKey = getGHLPublicKey();
+  
+  if (!publicKey) {
+    if (process.env.NODE_ENV === 'production') {
+      console.error('GHL_WEBHOOK_PUBLIC_KEY not set; rejecting GHL webhook');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    
+    console.warn('GHL_WEBHOOK_PUBLIC_KEY not set; accepting unverified GHL webhook');
+    return next();
+  }
+  
+  const signature = req.headers['x-wh-signature'];
+  
+  if (!signature) {
+    return rejectGHL(req, res, 'Missing x-wh-signature');
+  }
+  
+  let valid = false;
+  try {
+    valid = crypto.verify(
+      'sha256',
+      req.rawBody || Buffer.alloc(0),
+      publicKey,
+      Buffer.from(signature, 'base64')
+    );
+  } catch (error) {
+    console.error('GHL signature verification error:', error.message);
+  }
+  
+  if (!valid) {
+    return rejectGHL(req, res, 'Invalid x-wh-signature');
+  }
+  
+  next();
+}
+
+function rejectGHL(req, res, reason) {
+  console.warn(`GHL webhook rejected from ${req.ip} for ${req.originalUrl}: ${reason}`);
+  return res.status(401).json({ error: 'Unauthorized' });
+}
+
+export default {
+  generateWebhookSecret,
+  requireWebhookAuth,
+  requireGHLSignature
+};
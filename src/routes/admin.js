@@ -0,0 +1,751 @@
+/**
+ * Admin Routes
+ * 
+ * Internal endpoints for VivaSpot staff. Every route requires an API key.
+ * Changes to VivaSpot sites are recorded in admin_audit_log under the key's name.
+ */
+
+import express, { Router } from 'express';
+import * as db from '../db/queries.js';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { generateWebhookSecret } from '../middleware/webhookAuth.js';
+import { provisionCompanyLocations } from '../services/provisioning.js';
+import { listUnmappedMacsWithSuggestions, assignUnmappedMac } from '../services/unmappedMacs.js';
+import { toCsv } from '../services/csv.js';
+import { 
+  SITE_EXPORT_COLUMNS,
+  validateSite, 
+  siteToRecord, 
+  parseSiteCsv, 
+  planSiteImport, 
+  applySiteImport, 
+  formatImportPlan 
+} from '../services/siteImport.js';
+
+const router = Router();
+
+router.use(authenticate, requireAdmin);
+
+// Default time old secrets keep working after a rotation
+const DEFAULT_OVERLAP_HOURS = 24;
+
+// Page size limits for list endpoints
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Largest CSV accepted by the site import
+const IMPORT_SIZE_LIMIT = '5mb';
+
+// Columns of the MAC mapping export
+const MAPPING_EXPORT_COLUMNS = [
+  'location_id', 'location_name', 'location_active', 'mac_address', 'label', 'source_restaurant', 'source_tag', 'created_at'
+];
+
+// ============================================================
+// Webhook Credentials
+// ============================================================
+
+/**
+ * GET /api/admin/webhook-credentials
+ * 
+ * List webhook credentials. Secrets are never returned after creation.
+ */
+router.get('/webhook-credentials', async (req, res) => {
+  try {
+    const credentials = await db.listWebhookCredentials();
+    
+    res.json({
+      credentials: credentials.map(formatCredential),
+      env_secret_configured: !!process.env.WEBHOOK_SECRET
+    });
+  
+  } catch (error) {
+    console.error('List webhook credentials error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/webhook-credentials
+ * 
+ * Create a credential for a new source. The secret is only shown in this response.
+ * 
+ * Body: { "source": "n8n" }
+ */
+router.post('/webhook-credentials', async (req, res) => {
+  try {
+    const source = validateSource(req.body.source);
+    
+    if (!source) {
+      return res.status(400).json({ error: 'source is required (letters, numbers, "-" and "_")' });
+    }
+    
+    const credential = await db.createWebhookCredential(source, generateWebhookSecret());
+    
+    console.log(`Webhook credential ${credential.id} created for source "${source}" by ${req.auth.name}`);
+    
+    res.status(201).json({
+      ...formatCredential(credential),
+      secret: credential.secret
+    });
+  
+  } catch (error) {
+    console.error('Create webhook credential error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/webhook-credentials/rotate
+ * 
+ * Issue a new secret for a source. The source's existing secrets keep working
+ * for overlap_hours (default 24) so callers can be updated without downtime.
+ * 
+ * Body: { "source": "n8n", "overlap_hours": 24 }
+ */
+router.post('/webhook-credentials/rotate', async (req, res) => {
+  try {
+    const source = validateSource(req.body.source);
+    
+    if (!source) {
+      return res.status(400).json({ error: 'source is required (letters, numbers, "-" and "_")' });
+    }
+    
+    const overlapHours = req.body.overlap_hours ?? DEFAULT_OVERLAP_HOURS;
+    
+    if (typeof overlapHours !== 'number' || overlapHours < 0 || overlapHours > 24 * 30) {
+      return res.status(400).json({ error: 'overlap_hours must be a number between 0 and 720' });
+    }
+    
+    const credential = await db.createWebhookCredential(source, generateWebhookSecret());
+    const oldExpireAt = new Date(Date.now() + overlapHours * 60 * 60 * 1000);
+    const expiring = await db.expireWebhookCredentials(source, oldExpireAt, credential.id);
+    
+    console.log(`Webhook credentials rotated for source "${source}" by ${req.auth.name} (${expiring} expiring at ${oldExpireAt.toISOString()})`);
+    
+    res.status(201).json({
+      ...formatCredential(credential),
+      secret: credential.secret,
+      previous_credentials_expire_at: expiring > 0 ? oldExpireAt : null
+    });
+  
+  } catch (error) {
+    console.error('Rotate webhook credential error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/webhook-credentials/:id
+ * 
+ * Revoke a credential immediately.
+ */
+router.delete('/webhook-credentials/:id', async (req, res) => {
+  try {
+    const credentialId = parseInt(req.params.id);
+    
+    if (!credentialId) {
+      return res.status(400).json({ error: 'Invalid credential id' });
+    }
+    
+    const credential = await db.revokeWebhookCredential(credentialId);
+    
+    if (!credential) {
+      return res.status(404).json({ error: 'Active credential not found' });
+    }
+    
+    console.log(`Webhook credential ${credentialId} revoked by ${req.auth.name}`);
+    
+    res.json({ success: true, credential: formatCredential(credential) });
+  
+  } catch (error) {
+    console.error('Revoke webhook credential error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// VivaSpot Sites
+// ============================================================
+
+/**
+ * GET /api/admin/sites
+ * 
+ * Search sites. All filters are optional and combined with AND.
+ * 
+ * Query: q (name, email or MAC), name, email, mac, limit, offset
+ */
+router.get('/sites', async (req, res) => {
+  try {
+    const { q, name, email, mac } = req.query;
+    const { limit, offset } = parsePagination(req.query);
+    
+    // Repeated parameters (?name=a&name=b) arrive as arrays
+    const filters = { q, name, email, mac };
+    const repeated = Object.keys(filters).filter(key => filters[key] !== undefined && typeof filters[key] !== 'string');
+    
+    if (repeated.length > 0) {
+      return res.status(400).json({ error: `Give each filter once: ${repeated.join(', ')}` });
+    }
+    
+    if (mac && !/[0-9a-fA-F]/.test(mac)) {
+      return res.status(400).json({ error: 'mac must contain hex digits (e.g. 00:18:0a or 00180a)' });
+    }
+    
+    const { sites, total } = await db.searchVivaSpotSites({ q, name, email, mac, limit, offset });
+    
+    res.json({ sites, total, limit, offset });
+  
+  } catch (error) {
+    console.error('Search sites error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/sites/export
+ * 
+ * Every site as CSV (default) or JSON. The CSV uses the import's columns,
+ * with emails and MACs joined by "; ", so it can be edited and re-imported.
+ * 
+ * Query: format=csv|json
+ */
+router.get('/sites/export', async (req, res) => {
+  try {
+    const sites = await db.listAllVivaSpotSites();
+    
+    if (req.query.format === 'json') {
+      return res.json({ sites });
+    }
+    
+    sendCsv(res, 'vivaspot-sites', toCsv(sites.map(siteToRecord), SITE_EXPORT_COLUMNS));
+  
+  } catch (error) {
+    console.error('Export sites error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/sites/import
+ * 
+ * Create and update sites from a CSV body (Content-Type: text/csv).
+ * Columns: id (optional), restaurant, group, address, emails, macs;
+ * emails and MACs may be separated by ";", "," or spaces.
+ * 
+ * With dry_run=true nothing is written; the response reports what each row
+ * would do. A real run with invalid or conflicting rows writes nothing and
+ * responds 422, unless skip_invalid=true applies the rest.
+ * 
+ * Query: dry_run, skip_invalid
+ */
+router.post('/sites/import', express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_SIZE_LIMIT }), async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ error: 'Send the CSV as the request body with Content-Type: text/csv' });
+    }
+    
+    const dryRun = req.query.dry_run === 'true';
+    const skipInvalid = req.query.skip_invalid === 'true';
+    
+    let rows;
+    try {
+      rows = parseSiteCsv(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    const plan = await planSiteImport(rows);
+    const problems = plan.summary.invalid + plan.summary.conflict;
+    
+    if (dryRun) {
+      return res.json({ dry_run: true, applied: false, ...formatImportPlan(plan) });
+    }
+    
+    if (problems > 0 && !skipInvalid) {
+      return res.status(422).json({
+        error: `${problems} row(s) are invalid or conflict; nothing was imported. Fix them or pass skip_invalid=true.`,
+        dry_run: false,
+        applied: false,
+        ...formatImportPlan(plan)
+      });
+    }
+    
+    await applySiteImport(plan, req.auth.name);
+    
+    console.log(`Site import by ${req.auth.name}: ${plan.summary.create} created, ${plan.summary.update} updated, ${problems} skipped`);
+    
+    res.json({ dry_run: false, applied: true, ...formatImportPlan(plan) });
+  
+  } catch (error) {
+    console.error('Import sites error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/sites/:id
+ */
+router.get('/sites/:id', async (req, res) => {
+  try {
+    const site = await getSiteOr404(req, res);
+    if (!site) return;
+    
+    res.json(site);
+  
+  } catch (error) {
+    console.error('Get site error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/sites/:id/audit
+ * 
+ * Change history of a site, newest first. Also works for deleted sites.
+ */
+router.get('/sites/:id/audit', async (req, res) => {
+  try {
+    const siteId = parseInt(req.params.id);
+    
+    if (!siteId) {
+      return res.status(400).json({ error: 'Invalid site id' });
+    }
+    
+    const { limit, offset } = parsePagination(req.query);
+    const entries = await db.listAdminAuditLog({ entityType: 'vivaspot_site', entityId: siteId, limit, offset });
+    
+    res.json({ site_id: siteId, entries });
+  
+  } catch (error) {
+    console.error('Get site audit error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/sites
+ * 
+ * Create a site. MACs are normalized and emails lowercased. A MAC already
+ * listed on another site is rejected with 409.
+ * 
+ * Body: { restaurant_name, hospitality_group?, address?, merchant_emails?, mac_addresses? }
+ */
+router.post('/sites', async (req, res) => {
+  try {
+    const { site, errors } = validateSite(req.body);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid site', details: errors });
+    }
+    
+    if (await rejectDuplicateMacs(res, site.mac_addresses)) return;
+    
+    const created = await db.createVivaSpotSite(site, req.auth.name);
+    
+    console.log(`VivaSpot site ${created.id} (${created.restaurant_name}) created by ${req.auth.name}`);
+    
+    res.status(201).json(created);
+  
+  } catch (error) {
+    console.error('Create site error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/admin/sites/:id
+ * 
+ * Update some of a site's fields; omitted fields are left unchanged.
+ * Arrays are replaced, not merged.
+ */
+router.patch('/sites/:id', async (req, res) => {
+  try {
+    const siteId = parseInt(req.params.id);
+    
+    if (!siteId) {
+      return res.status(400).json({ error: 'Invalid site id' });
+    }
+    
+    const { site, errors } = validateSite(req.body, { partial: true });
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid site', details: errors });
+    }
+    
+    if (await rejectDuplicateMacs(res, site.mac_addresses, siteId)) return;
+    
+    const updated = await db.updateVivaSpotSite(siteId, site, req.auth.name);
+    
+    if (!updated) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+    
+    console.log(`VivaSpot site ${siteId} updated by ${req.auth.name} (${Object.keys(site).join(', ') || 'no changes'})`);
+    
+    res.json(updated);
+  
+  } catch (error) {
+    console.error('Update site error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/sites/:id
+ * 
+ * Delete a site. MACs already mapped from it stay mapped.
+ */
+router.delete('/sites/:id', async (req, res) => {
+  try {
+    const siteId = parseInt(req.params.id);
+    
+    if (!siteId) {
+      return res.status(400).json({ error: 'Invalid site id' });
+    }
+    
+    const deleted = await db.deleteVivaSpotSite(siteId, req.auth.name);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+    
+    console.log(`VivaSpot site ${siteId} (${deleted.restaurant_name}) deleted by ${req.auth.name}`);
+    
+    res.json({ success: true, site: deleted });
+  
+  } catch (error) {
+    console.error('Delete site error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// MAC Mappings
+// ============================================================
+
+/**
+ * GET /api/admin/mappings/export
+ * 
+ * Every MAC mapping with its location, as CSV (default, one row per MAC)
+ * or JSON (grouped by location).
+ * 
+ * Query: format=csv|json, location_id
+ */
+router.get('/mappings/export', async (req, res) => {
+  try {
+    const mappings = await db.listAllMacMappings(req.query.location_id || null);
+    
+    if (req.query.format === 'json') {
+      const locations = new Map();
+      
+      for (const m of mappings) {
+        if (!locations.has(m.ghl_location_id)) {
+          locations.set(m.ghl_location_id, {
+            location_id: m.ghl_location_id,
+            location_name: m.location_name,
+            location_active: m.location_active,
+            mappings: []
+          });
+        }
+        
+        locations.get(m.ghl_location_id).mappings.push({
+          mac_address: m.mac_address,
+          label: m.label,
+          source_restaurant: m.source_restaurant,
+          source_tag: m.source_tag,
+          created_at: m.created_at
+        });
+      }
+      
+      return res.json({ locations: [...locations.values()] });
+    }
+    
+    const records = mappings.map(m => ({ 
+      ...m, 
+      location_id: m.ghl_location_id, 
+      created_at: m.created_at?.toISOString() 
+    }));
+    
+    sendCsv(res, 'vivaspot-mac-mappings', toCsv(records, MAPPING_EXPORT_COLUMNS));
+  
+  } catch (error) {
+    console.error('Export mappings error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// Unmapped MACs
+// ============================================================
+
+/**
+ * GET /api/admin/unmapped-macs
+ * 
+ * MACs that sent guests to the webhook without being mapped, most recently
+ * seen first. Each has its hit count, a sample payload, how many guests are
+ * held for it, and the VivaSpot site (and location) it probably belongs to.
+ * 
+ * Query: status=open|resolved|all (default open), limit, offset
+ */
+router.get('/unmapped-macs', async (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+    const { limit, offset } = parsePagination(req.query);
+    
+    if (!['open', 'resolved', 'all'].includes(status)) {
+      return res.status(400).json({ error: 'status must be open, resolved or all' });
+    }
+    
+    const { unmappedMacs, total } = await listUnmappedMacsWithSuggestions({ status, limit, offset });
+    
+    res.json({ unmapped_macs: unmappedMacs, total, limit, offset });
+  
+  } catch (error) {
+    console.error('List unmapped MACs error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/unmapped-macs/:mac/assign
+ * 
+ * Map an unmapped MAC to a location. With replay: true the guests held for
+ * it are queued for syncing, with discard: true they are dropped; otherwise
+ * they stay held. The assignment is recorded in the audit log.
+ * 
+ * Body: { location_id, label, replay, discard, allow_reassign }
+ */
+router.post('/unmapped-macs/:mac/assign', async (req, res) => {
+  try {
+    const { location_id, label, replay, discard, allow_reassign } = req.body;
+    const mac = db.normalizeMacAddress(req.params.mac);
+    
+    if (!mac) {
+      return res.status(400).json({ error: 'Invalid MAC address format. Use format: AA:BB:CC:DD:EE:FF' });
+    }
+    
+    if (!location_id) {
+      return res.status(400).json({ error: 'Missing location_id' });
+    }
+    
+    if (replay === true && discard === true) {
+      return res.status(400).json({ error: 'Pass replay or discard, not both' });
+    }
+    
+    const connection = await db.getGHLConnection(location_id);
+    if (!connection) {
+      return res.status(404).json({ error: 'No active GHL connection for this location' });
+    }
+    
+    const result = await assignUnmappedMac(mac, location_id, {
+      label,
+      replay: replay === true,
+      discard: discard === true,
+      allowReassign: allow_reassign === true,
+      actor: req.auth.name
+    });
+    
+    if (!result.success) {
+      return res.status(409).json({ 
+        error: 'MAC address is mapped to another active location',
+        current_location_id: result.conflict.ghl_location_id
+      });
+    }
+    
+    res.json({
+      success: true,
+      mac_address: mac,
+      location_id,
+      replayed: result.replayed,
+      discarded: result.discarded,
+      held: result.held
+    });
+  
+  } catch (error) {
+    console.error('Assign unmapped MAC error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// Audit Log
+// ============================================================
+
+/**
+ * GET /api/admin/audit-log
+ * 
+ * Admin changes, newest first.
+ * 
+ * Query: entity_type, entity_id, actor, limit, offset
+ */
+router.get('/audit-log', async (req, res) => {
+  try {
+    const { entity_type, entity_id, actor } = req.query;
+    const { limit, offset } = parsePagination(req.query);
+    
+    const entries = await db.listAdminAuditLog({ 
+      entityType: entity_type, 
+      entityId: entity_id, 
+      actor, 
+      limit, 
+      offset 
+    });
+    
+    res.json({ entries, limit, offset });
+  
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// Agency Installs
+// ============================================================
+
+/**
+ * POST /api/admin/companies/:companyId/provision
+ * 
+ * Re-run location provisioning for an agency install, e.g. after locations
+ * failed to connect or were added while webhooks were missed.
+ */
+router.post('/companies/:companyId/provision', async (req, res) => {
+  try {
+    const company = await db.getGHLCompany(req.params.companyId);
+    
+    if (!company) {
+      return res.status(404).json({ error: 'No active agency install for this company' });
+    }
+    
+    const results = await provisionCompanyLocations(company);
+    
+    res.json({
+      company_id: company.ghl_company_id,
+      total: results.length,
+      connected: results.filter(result => result.status === 'connected').length,
+      locations: results.map(result => ({
+        location_id: result.locationId,
+        name: result.name,
+        status: result.status,
+        error: result.error || null,
+        match_type: result.mapping?.type || null,
+        proposal_id: result.mapping?.proposal?.id || null,
+        proposed_count: result.mapping?.proposal?.items.length || 0,
+        recovered_count: result.recovered || 0
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Provision company error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// Helpers
+// ============================================================
+
+/**
+ * Validate a credential source name
+ */
+function validateSource(source) {
+  if (typeof source !== 'string') return null;
+  
+  const trimmed = source.trim();
+  return /^[A-Za-z0-9_-]{1,50}$/.test(trimmed) ? trimmed : null;
+}
+
+/**
+ * Read limit/offset query params, clamped to sane values
+ */
+function parsePagination(query) {
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(query.offset) || 0, 0);
+  return { limit, offset };
+}
+
+/**
+ * Load the site named by req.params.id, or respond 400/404
+ */
+async function getSiteOr404(req, res) {
+  const siteId = parseInt(req.params.id);
+  
+  if (!siteId) {
+    res.status(400).json({ error: 'Invalid site id' });
+    return null;
+  }
+  
+  const site = await db.getVivaSpotSite(siteId);
+  
+  if (!site) {
+    res.status(404).json({ error: 'Site not found' });
+    return null;
+  }
+  
+  return site;
+}
+
+/**
+ * Send CSV text as a dated download
+ */
+function sendCsv(res, name, csv) {
+  const date = new Date().toISOString().slice(0, 10);
+  
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${name}-${date}.csv"`);
+  res.send(csv);
+}
+
+/**
+ * Respond 409 if another site already lists any of these MACs
+ * 
+ * @returns {boolean} - true if a response was sent
+ */
+async function rejectDuplicateMacs(res, macAddresses, excludeSiteId = null) {
+  const duplicates = await db.findSitesWithMacs(macAddresses, excludeSiteId);
+  
+  if (duplicates.length === 0) {
+    return false;
+  }
+  
+  res.status(409).json({
+    error: 'MAC addresses are already listed on another site',
+    conflicts: duplicates.map(d => ({ 
+      mac: db.normalizeMacAddress(d.mac_address), 
+      site_id: d.id, 
+      restaurant_name: d.restaurant_name 
+    }))
+  });
+  
+  return true;
+}
+
+/**
+ * Shape a webhook_credentials row for API responses (without the secret)
+ */
+function formatCredential(credential) {
+  const now = new Date();
+  
+  let status = 'active';
+  if (credential.revoked_at) {
+    status = 'revoked';
+  } else if (credential.expires_at && credential.expires_at <= now) {
+    status = 'expired';
+  } else if (credential.expires_at) {
+    status = 'expiring';
+  }
+  
+  return {
+    id: credential.id,
+    source: credential.source,
+    status,
+    secret_hint: `…${credential.secret.slice(-4)}`,
+    created_at: credential.created_at,
+    expires_at: credential.expires_at,
+    revoked_at: credential.revoked_at,
+    last_used_at: credential.last_used_at
+  };
+}
+
+export default router;
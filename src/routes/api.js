@@ -2,14 +2,41 @@
  * API Routes
  * 
  * REST API endpoints for managing mappings and checking sync status.
+ * 
+ * Callers authenticate with the session cookie issued after OAuth (scoped to
+ * the installed location) or an API key (all locations, see middleware/auth.js).
  */
 
 import { Router } from 'express';
 import * as db from '../db/queries.js';
 import * as ghl from '../services/ghl.js';
+import { 
+  CONTACT_SYNC_MODES, 
+  OPT_IN_POLICIES, 
+  getLocationSettings, 
+  describeLocationSettings, 
+  saveLocationSettings 
+} from '../services/locationSettings.js';
+import { applyMappingProposal, getProposalConflicts } from '../services/provisioning.js';
+import { STANDARD_FIELDS, VALUE_TYPES, validateFieldMappings } from '../services/fieldMapping.js';
+import { listCustomFields, createVivaSpotCustomFields, toCustomFieldOption } from '../services/customFields.js';
+import { TAG_PLACEHOLDERS, validateTagRules, buildTagContext, buildTags } from '../services/tagRules.js';
+import { 
+  authenticate, 
+  canAccessLocation, 
+  requireAuth, 
+  requireAdmin, 
+  requireLocationAccess 
+} from '../middleware/auth.js';
 
 const router = Router();
 
+// Every API route needs a location session or an API key
+router.use(authenticate);
+
+const fromParams = req => req.params.locationId;
+const fromBody = req => req.body.location_id;
+
 // ============================================================
 // Location Mappings
 // ============================================================
@@ -19,20 +46,15 @@ const router = Router();
  * 
  * Get all MAC address mappings for a GHL location.
  */
-router.get('/mappings/:locationId', async (req, res) => {
+router.get('/mappings/:locationId', requireLocationAccess(fromParams), async (req, res) => {
   try {
     const { locationId } = req.params;
     
-    const mappings = await db.getMappingsForLocation(locationId);
+    const mappings = await db.getMacMappingsForLocation(locationId);
     
     res.json({
       location_id: locationId,
-      mappings: mappings.map(m => ({
-        id: m.id,
-        mac: m.vivaspot_mac,
-        name: m.vivaspot_location,
-        created_at: m.created_at
-      }))
+      mappings: mappings.map(formatMapping)
     });
     
   } catch (error) {
@@ -45,12 +67,14 @@ router.get('/mappings/:locationId', async (req, res) => {
  * POST /api/mappings
  * 
  * Add a new MAC address mapping.
+ * A MAC mapped to another active location is rejected with 409;
+ * API-key callers can move it with allow_reassign: true.
  * 
- * Body: { location_id, mac, name }
+ * Body: { location_id, mac, name, allow_reassign }
  */
-router.post('/mappings', async (req, res) => {
+router.post('/mappings', requireLocationAccess(fromBody), async (req, res) => {
   try {
-    const { location_id, mac, name } = req.body;
+    const { location_id, mac, name, allow_reassign } = req.body;
     
     if (!location_id) {
       return res.status(400).json({ error: 'Missing location_id' });
@@ -61,8 +85,7 @@ router.post('/mappings', async (req, res) => {
     }
     
     // Validate MAC address format
-    const macRegex = /^([0-9A-Fa-f]{2}[:-]){5}([0-9A-Fa-f]{2})$/;
-    if (!macRegex.test(mac)) {
+    if (!db.normalizeMacAddress(mac)) {
       return res.status(400).json({ 
         error: 'Invalid MAC address format. Use format: AA:BB:CC:DD:EE:FF' 
       });
@@ -75,20 +98,24 @@ router.post('/mappings', async (req, res) => {
     }
     
     // Add the mapping
-    const mapping = await db.addLocationMapping({
-      locationId: location_id,
-      mac,
-      locationName: name || ''
+    const mapping = await db.saveMacMapping(location_id, mac, { 
+      label: name, 
+      allowReassign: req.auth.admin && allow_reassign === true 
     });
     
-    console.log(`Added mapping: ${mac} -> ${location_id}`);
+    if (mapping.conflict) {
+      return res.status(409).json({ 
+        error: 'MAC address is mapped to another active location',
+        ...(req.auth.admin && { current_location_id: mapping.ghl_location_id })
+      });
+    }
+    
+    console.log(`Added mapping: ${mapping.mac_address} -> ${location_id}`);
     
     res.json({
       success: true,
       mapping: {
-        id: mapping.id,
-        mac: mapping.vivaspot_mac,
-        name: mapping.vivaspot_location,
+        ...formatMapping(mapping),
         location_id: mapping.ghl_location_id
       }
     });
@@ -104,11 +131,18 @@ router.post('/mappings', async (req, res) => {
  * 
  * Remove a MAC address mapping.
  */
-router.delete('/mappings/:id', async (req, res) => {
+router.delete('/mappings/:id', requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
     
-    await db.deleteMapping(id);
+    const mapping = await db.getMacMapping(id);
+    
+    // Don't reveal whether mappings of other locations exist
+    if (!mapping || !canAccessLocation(req, mapping.ghl_location_id)) {
+      return res.status(404).json({ error: 'Mapping not found' });
+    }
+    
+    await db.deleteMacMapping(id);
     
     res.json({ success: true, message: 'Mapping deleted' });
     
@@ -118,6 +152,166 @@ router.delete('/mappings/:id', async (req, res) => {
   }
 });
 
+/**
+ * Shape a mac_mappings row for API responses
+ */
+function formatMapping(m) {
+  return {
+    id: m.id,
+    mac: m.mac_address,
+    name: m.label || m.source_restaurant || null,
+    source_tag: m.source_tag,
+    created_at: m.created_at
+  };
+}
+
+// ============================================================
+// Mapping Proposals
+// ============================================================
+
+/**
+ * GET /api/mapping-proposals/:locationId
+ * 
+ * Pending auto-mapping proposals for a location, with conflicts flagged.
+ */
+router.get('/mapping-proposals/:locationId', requireLocationAccess(fromParams), async (req, res) => {
+  try {
+    const proposals = await db.getPendingMappingProposals(req.params.locationId);
+    const formatted = [];
+    
+    for (const proposal of proposals) {
+      formatted.push(formatProposal(req, proposal, await getProposalConflicts(proposal)));
+    }
+    
+    res.json({ location_id: req.params.locationId, proposals: formatted });
+    
+  } catch (error) {
+    console.error('Get mapping proposals error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/mapping-proposals/:id/confirm
+ * 
+ * Map the proposed MACs. Edit the proposal by sending a subset in `macs`.
+ * MACs mapped to another active location must be listed in `reassign`
+ * to be moved; otherwise responds 409 with the conflicts and maps nothing.
+ * 
+ * Body: { macs?: string[], reassign?: string[] }
+ */
+router.post('/mapping-proposals/:id/confirm', requireAuth, async (req, res) => {
+  try {
+    const { macs, reassign = [] } = req.body;
+    
+    if ((macs !== undefined && !Array.isArray(macs)) || !Array.isArray(reassign)) {
+      return res.status(400).json({ error: 'macs and reassign must be arrays of MAC addresses' });
+    }
+    
+    const proposal = await getAccessibleProposal(req, res);
+    if (!proposal) return;
+    
+    const result = await applyMappingProposal(proposal, { 
+      macs, 
+      reassign, 
+      decidedBy: describeCaller(req) 
+    });
+    
+    if (!result.success) {
+      return res.status(409).json({
+        error: 'Some MAC addresses are mapped to another active location. List them in reassign to move them.',
+        conflicts: result.conflicts.map(c => ({
+          mac: c.mac,
+          ...(req.auth.admin && { current_location_id: c.ghl_location_id })
+        }))
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      mapped: result.mappedCount, 
+      restaurants: result.restaurants 
+    });
+    
+  } catch (error) {
+    console.error('Confirm mapping proposal error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/mapping-proposals/:id/reject
+ * 
+ * Discard a proposal without mapping anything.
+ */
+router.post('/mapping-proposals/:id/reject', requireAuth, async (req, res) => {
+  try {
+    const proposal = await getAccessibleProposal(req, res);
+    if (!proposal) return;
+    
+    await db.resolveMappingProposal(proposal.id, 'rejected', { decidedBy: describeCaller(req) });
+    
+    console.log(`Proposal ${proposal.id} rejected for ${proposal.ghl_location_id}`);
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Reject mapping proposal error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Load a pending proposal the caller may decide on, or respond 404/409
+ */
+async function getAccessibleProposal(req, res) {
+  const proposalId = parseInt(req.params.id);
+  const proposal = proposalId ? await db.getMappingProposal(proposalId) : null;
+  
+  // Don't reveal whether proposals of other locations exist
+  if (!proposal || !canAccessLocation(req, proposal.ghl_location_id)) {
+    res.status(404).json({ error: 'Proposal not found' });
+    return null;
+  }
+  
+  if (proposal.status !== 'pending') {
+    res.status(409).json({ error: `Proposal is already ${proposal.status}` });
+    return null;
+  }
+  
+  return proposal;
+}
+
+/**
+ * Shape a mapping_proposals row for API responses
+ * Only API-key callers see which location currently holds a conflicting MAC.
+ */
+function formatProposal(req, proposal, conflicts) {
+  return {
+    id: proposal.id,
+    location_id: proposal.ghl_location_id,
+    match_type: proposal.match_type,
+    group_name: proposal.group_name,
+    confidence: Number(proposal.confidence),
+    reasons: proposal.reasons,
+    items: proposal.items.map(item => ({
+      mac: item.mac,
+      restaurant_name: item.restaurant_name,
+      source_tag: item.source_tag,
+      mapped_elsewhere: Boolean(conflicts[item.mac]),
+      ...(req.auth.admin && conflicts[item.mac] && { current_location_id: conflicts[item.mac].ghl_location_id })
+    })),
+    created_at: proposal.created_at
+  };
+}
+
+/**
+ * Identify the caller for audit columns
+ */
+function describeCaller(req) {
+  return req.auth.type === 'session' ? 'location_session' : `${req.auth.type}:${req.auth.name}`;
+}
+
 // ============================================================
 // Connection Status
 // ============================================================
@@ -127,11 +321,11 @@ router.delete('/mappings/:id', async (req, res) => {
  * 
  * Check the status of a GHL connection.
  */
-router.get('/connection/:locationId', async (req, res) => {
+router.get('/connection/:locationId', requireLocationAccess(fromParams), async (req, res) => {
   try {
     const { locationId } = req.params;
     
-    const connection = await db.getGHLConnection(locationId);
+    const connection = await db.getGHLConnectionAnyStatus(locationId);
     
     if (!connection) {
       return res.status(404).json({ 
@@ -140,17 +334,23 @@ router.get('/connection/:locationId', async (req, res) => {
       });
     }
     
+    const settings = await getLocationSettings(locationId);
     const tokenExpiresAt = new Date(connection.token_expires_at);
     const isExpired = tokenExpiresAt < new Date();
     
     res.json({
-      connected: true,
+      connected: connection.is_active,
       location_id: connection.ghl_location_id,
       company_id: connection.ghl_company_id,
       token_expires_at: connection.token_expires_at,
       token_expired: isExpired,
       installed_at: connection.installed_at,
-      is_active: connection.is_active
+      is_active: connection.is_active,
+      contact_sync_mode: settings.contact_sync_mode,
+      needs_reauth: connection.needs_reauth,
+      last_refresh_at: connection.last_refresh_at,
+      last_refresh_status: connection.last_refresh_status,
+      last_refresh_error: connection.last_refresh_error
     });
     
   } catch (error) {
@@ -159,6 +359,427 @@ router.get('/connection/:locationId', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/connection/:locationId/sync-mode
+ * 
+ * Choose how guests who already exist in GHL are handled. Shorthand for
+ * the contact_sync_mode location setting.
+ * 
+ * Body: { mode: 'create_only' | 'upsert' | 'skip_if_exists' }
+ */
+router.put('/connection/:locationId/sync-mode', requireLocationAccess(fromParams), async (req, res) => {
+  try {
+    const { locationId } = req.params;
+    const { mode } = req.body;
+    
+    if (!CONTACT_SYNC_MODES.includes(mode)) {
+      return res.status(400).json({ 
+        error: `Invalid mode. Use one of: ${CONTACT_SYNC_MODES.join(', ')}` 
+      });
+    }
+    
+    const connection = await db.getGHLConnectionAnyStatus(locationId);
+    
+    if (!connection) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+    
+    const { settings } = await saveLocationSettings(locationId, { contact_sync_mode: mode }, {
+      merge: true,
+      updatedBy: describeCaller(req)
+    });
+    
+    res.json({ 
+      success: true, 
+      location_id: locationId, 
+      contact_sync_mode: settings.contact_sync_mode 
+    });
+    
+  } catch (error) {
+    console.error('Set sync mode error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// Location Settings
+// ============================================================
+
+/**
+ * GET /api/locations/:locationId/settings
+ * 
+ * Get the settings the sync uses for a location, with the defaults and the
+ * location's overrides.
+ */
+router.get('/locations/:locationId/settings', requireLocationAccess(fromParams), async (req, res) => {
+  try {
+    const { locationId } = req.params;
+    
+    const connection = await db.getGHLConnectionAnyStatus(locationId);
+    
+    if (!connection) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+    
+    const { settings, overrides, defaults } = await describeLocationSettings(locationId);
+    
+    res.json({
+      location_id: locationId,
+      settings,
+      overrides,
+      defaults,
+      ghl_timezone: connection.timezone,
+      options: { contact_sync_mode: CONTACT_SYNC_MODES, opt_in_policy: OPT_IN_POLICIES }
+    });
+    
+  } catch (error) {
+    console.error('Get location settings error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/locations/:locationId/settings
+ * 
+ * Replace a location's settings. Settings left out (or null) use the default.
+ * 
+ * Body: {
+ *   enabled: true,
+ *   source_label: 'VivaSpot WiFi',
+ *   base_tags: ['Vivaspot-WiFi'],
+ *   contact_sync_mode: 'create_only' | 'upsert' | 'skip_if_exists',
+ *   opt_in_policy: 'required' | 'unless_declined' | 'ignore',
+ *   timezone: 'America/New_York',
+ *   dedupe_window_minutes: 60
+ * }
+ */
+router.put('/locations/:locationId/settings', requireLocationAccess(fromParams), async (req, res) => {
+  try {
+    const { locationId } = req.params;
+    
+    const connection = await db.getGHLConnectionAnyStatus(locationId);
+    
+    if (!connection) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+    
+    const result = await saveLocationSettings(locationId, req.body, { updatedBy: describeCaller(req) });
+    
+    if (!result.success) {
+      return res.status(400).json({ error: 'Invalid settings', details: result.errors });
+    }
+    
+    res.json({
+      success: true,
+      location_id: locationId,
+      settings: result.settings,
+      overrides: result.overrides,
+      defaults: result.defaults
+    });
+    
+  } catch (error) {
+    console.error('Set location settings error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// Field Mappings
+// ============================================================
+
+/**
+ * GET /api/field-mappings/:locationId
+ * 
+ * Get the payload → GHL field mappings for a location, with the fields
+ * and value types a mapping may use.
+ */
+router.get('/field-mappings/:locationId', requireLocationAccess(fromParams), async (req, res) => {
+  try {
+    const { locationId } = req.params;
+    
+    const mappings = await db.getFieldMappings(locationId);
+    
+    res.json({
+      location_id: locationId,
+      mappings,
+      standard_fields: STANDARD_FIELDS,
+      value_types: VALUE_TYPES
+    });
+    
+  } catch (error) {
+    console.error('Get field mappings error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/field-mappings/:locationId
+ * 
+ * Replace a location's field mappings. Mappings apply in the order given.
+ * 
+ * Body: {
+ *   mappings: [{
+ *     source_path: 'form.birthday',
+ *     target_type: 'standard' | 'custom',
+ *     target: 'dateOfBirth' | '<custom field id or key>',
+ *     value_type: 'string' | 'number' | 'date' | 'boolean',
+ *     overwrite: false
+ *   }]
+ * }
+ */
+router.put('/field-mappings/:locationId', requireLocationAccess(fromParams), async (req, res) => {
+  try {
+    const { locationId } = req.params;
+    
+    const { mappings, errors } = validateFieldMappings(req.body.mappings);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid field mappings', details: errors });
+    }
+    
+    const connection = await db.getGHLConnectionAnyStatus(locationId);
+    
+    if (!connection) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+    
+    const saved = await db.replaceFieldMappings(locationId, mappings);
+    
+    console.log(`Field mappings for ${locationId} set (${saved.length})`);
+    
+    res.json({ success: true, location_id: locationId, mappings: saved });
+    
+  } catch (error) {
+    console.error('Set field mappings error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// GHL Custom Fields
+// ============================================================
+
+/**
+ * GET /api/custom-fields/:locationId
+ * 
+ * List the location's GHL contact custom fields, for use as field mapping
+ * targets. Served from the cache; fetched from GHL the first time or with
+ * ?refresh=true.
+ */
+router.get('/custom-fields/:locationId', requireLocationAccess(fromParams), async (req, res) => {
+  try {
+    const { locationId } = req.params;
+    
+    const connection = await db.getGHLConnection(locationId);
+    
+    if (!connection) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+    
+    const fields = await listCustomFields(connection, { refresh: req.query.refresh === 'true' });
+    
+    res.json({
+      location_id: locationId,
+      custom_fields: fields.map(toCustomFieldOption)
+    });
+    
+  } catch (error) {
+    console.error('Get custom fields error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/custom-fields/:locationId/vivaspot
+ * 
+ * Create the VivaSpot custom fields (first/last WiFi visit, visit count,
+ * venue) the location doesn't have yet.
+ */
+router.post('/custom-fields/:locationId/vivaspot', requireLocationAccess(fromParams), async (req, res) => {
+  try {
+    const { locationId } = req.params;
+    
+    const connection = await db.getGHLConnection(locationId);
+    
+    if (!connection) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+    
+    const { created, existing, fields } = await createVivaSpotCustomFields(connection);
+    
+    res.json({
+      success: true,
+      location_id: locationId,
+      created,
+      existing,
+      custom_fields: fields.map(toCustomFieldOption)
+    });
+    
+  } catch (error) {
+    console.error('Create VivaSpot custom fields error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// Tag Rules
+// ============================================================
+
+/**
+ * GET /api/tag-rules/:locationId
+ * 
+ * Get a location's tag rules, in the order they're evaluated.
+ */
+router.get('/tag-rules/:locationId', requireLocationAccess(fromParams), async (req, res) => {
+  try {
+    const { locationId } = req.params;
+    
+    const rules = await db.getTagRules(locationId);
+    
+    res.json({ location_id: locationId, rules, placeholders: TAG_PLACEHOLDERS });
+    
+  } catch (error) {
+    console.error('Get tag rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/tag-rules/:locationId
+ * 
+ * Replace a location's tag rules. Rules are evaluated in the order given.
+ * 
+ * Body: {
+ *   rules: [{
+ *     name: 'Weekend brunch',
+ *     tag: 'Weekend_Brunch',
+ *     conditions: { days: ['sat', 'sun'], time: { from: '10:00', to: '14:00' } },
+ *     is_active: true
+ *   }]
+ * }
+ */
+router.put('/tag-rules/:locationId', requireLocationAccess(fromParams), async (req, res) => {
+  try {
+    const { locationId } = req.params;
+    
+    const { rules, errors } = validateTagRules(req.body.rules);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid tag rules', details: errors });
+    }
+    
+    const connection = await db.getGHLConnectionAnyStatus(locationId);
+    
+    if (!connection) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+    
+    const saved = await db.replaceTagRules(locationId, rules);
+    
+    console.log(`Tag rules for ${locationId} set (${saved.length})`);
+    
+    res.json({ success: true, location_id: locationId, rules: saved });
+    
+  } catch (error) {
+    console.error('Set tag rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/tag-rules/:locationId/preview
+ * 
+ * Show the tags a guest would get, without syncing anything.
+ * 
+ * Body: {
+ *   payload: { mac, email, ... },  // Sample webhook payload
+ *   rules: [...],                  // Optional: unsaved rules to try (default: the saved ones)
+ *   visit_count: 5,                // Optional (default: the guest's visits so far + 1)
+ *   visited_at: '2026-06-06T11:30:00Z', // Optional (default: now)
+ *   timezone: 'America/Chicago'    // Optional (default: the location's setting, then GHL's)
+ * }
+ */
+router.post('/tag-rules/:locationId/preview', requireLocationAccess(fromParams), async (req, res) => {
+  try {
+    const { locationId } = req.params;
+    const { payload = {}, visit_count, visited_at, timezone } = req.body;
+    
+    if (typeof payload !== 'object' || Array.isArray(payload)) {
+      return res.status(400).json({ error: 'payload must be an object' });
+    }
+    
+    if (visit_count !== undefined && (!Number.isInteger(visit_count) || visit_count < 1)) {
+      return res.status(400).json({ error: 'visit_count must be a whole number of at least 1' });
+    }
+    
+    const visitedAt = visited_at ? new Date(visited_at) : new Date();
+    
+    if (Number.isNaN(visitedAt.getTime())) {
+      return res.status(400).json({ error: 'visited_at must be a date' });
+    }
+    
+    let rules;
+    
+    if (req.body.rules !== undefined) {
+      const validation = validateTagRules(req.body.rules);
+      
+      if (validation.errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid tag rules', details: validation.errors });
+      }
+      
+      rules = validation.rules;
+    } else {
+      rules = await db.getTagRules(locationId);
+    }
+    
+    const connection = await db.getGHLConnectionAnyStatus(locationId);
+    
+    if (!connection) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+    
+    const warnings = [];
+    let mapping = payload.mac ? await db.getMacMappingWithTag(payload.mac) : null;
+    
+    if (mapping && mapping.ghl_location_id !== locationId) {
+      warnings.push(`MAC ${payload.mac} is mapped to another location; its access point and restaurant are ignored`);
+      mapping = null;
+    }
+    
+    let visitCount = visit_count;
+    
+    if (visitCount === undefined) {
+      const stats = payload.email ? await db.getGuestVisitStats(locationId, payload.email) : null;
+      visitCount = (stats?.visit_count || 0) + 1;
+    }
+    
+    const settings = await getLocationSettings(locationId);
+    const context = buildTagContext({ 
+      payload, 
+      visitCount, 
+      visitedAt, 
+      mapping, 
+      connection, 
+      timezone: timezone || settings.timezone 
+    });
+    const result = buildTags(mapping, rules, context, settings.base_tags);
+    
+    res.json({
+      location_id: locationId,
+      tags: result.tags,
+      matched: result.matched,
+      warnings: [...warnings, ...result.warnings],
+      visit_count: visitCount,
+      visited_at: visitedAt.toISOString(),
+      timezone: context.timezone
+    });
+    
+  } catch (error) {
+    console.error('Preview tag rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================================
 // Sync Status & Logs
 // ============================================================
@@ -168,7 +789,7 @@ router.get('/connection/:locationId', async (req, res) => {
  * 
  * Get recent sync logs for a location.
  */
-router.get('/sync-status/:locationId', async (req, res) => {
+router.get('/sync-status/:locationId', requireLocationAccess(fromParams), async (req, res) => {
   try {
     const { locationId } = req.params;
     const limit = parseInt(req.query.limit) || 50;
@@ -190,6 +811,8 @@ router.get('/sync-status/:locationId', async (req, res) => {
         email: l.contact_email,
         mac: l.vivaspot_mac,
         status: l.status,
+        action: l.action,
+        reason: l.reason,
         ghl_contact_id: l.ghl_contact_id,
         error: l.error_message,
         timestamp: l.synced_at
@@ -202,6 +825,94 @@ router.get('/sync-status/:locationId', async (req, res) => {
   }
 });
 
+// ============================================================
+// Sync Jobs
+// ============================================================
+
+/**
+ * GET /api/jobs/:id
+ * 
+ * Get the status of a queued webhook sync job. Admin only.
+ */
+router.get('/jobs/:id', requireAdmin, async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+    
+    if (!jobId) {
+      return res.status(400).json({ error: 'Invalid job id' });
+    }
+    
+    const job = await db.getSyncJob(jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.json(formatJob(job));
+    
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/retry
+ * 
+ * Replay a failed or dead-lettered sync job. Admin only.
+ */
+router.post('/jobs/:id/retry', requireAdmin, async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+    
+    if (!jobId) {
+      return res.status(400).json({ error: 'Invalid job id' });
+    }
+    
+    const existing = await db.getSyncJob(jobId);
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    const job = await db.requeueSyncJob(jobId);
+    
+    if (!job) {
+      return res.status(409).json({ 
+        error: `Job is ${existing.status}; only failed or dead jobs can be retried` 
+      });
+    }
+    
+    console.log(`Requeued sync job ${jobId}`);
+    
+    res.status(202).json({ success: true, job: formatJob(job) });
+    
+  } catch (error) {
+    console.error('Retry job error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Shape a sync_jobs row for API responses
+ */
+function formatJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    attempts: job.attempts,
+    max_attempts: job.max_attempts,
+    next_run_at: job.status === 'pending' ? job.next_run_at : null,
+    last_error: job.last_error,
+    result: job.result,
+    payload: job.payload,
+    dead_lettered_at: job.dead_lettered_at || null,
+    replayed_at: job.replayed_at || null,
+    created_at: job.created_at,
+    updated_at: job.updated_at
+  };
+}
+
 // ============================================================
 // Test Endpoints
 // ============================================================
@@ -211,7 +922,7 @@ router.get('/sync-status/:locationId', async (req, res) => {
  * 
  * Test the GHL API connection by fetching location details.
  */
-router.post('/test/ghl-connection', async (req, res) => {
+router.post('/test/ghl-connection', requireLocationAccess(fromBody), async (req, res) => {
   try {
     const { location_id } = req.body;
     
@@ -225,11 +936,10 @@ router.post('/test/ghl-connection', async (req, res) => {
       return res.status(404).json({ error: 'Connection not found' });
     }
     
-    // Ensure token is valid
-    const accessToken = await ghl.ensureValidToken(connection);
-    
-    // Test by fetching location details
-    const location = await ghl.getLocation(accessToken, location_id);
+    // Test by fetching location details (refreshing the token if needed)
+    const location = await ghl.withValidToken(connection, accessToken =>
+      ghl.getLocation(accessToken, location_id)
+    );
     
     res.json({
       success: true,
@@ -0,0 +1,500 @@
+/**
+ * Admin Dashboard
+ * 
+ * Server-rendered overview of every GHL connection for VivaSpot staff:
+ * connection and token health, sync activity, mapped MACs, and MACs that
+ * hit the webhook without being mapped. Staff sign in with an API key,
+ * which is exchanged for an admin session cookie.
+ */
+
+import { Router } from 'express';
+import {
+  getConnectionOverview,
+  getMacMappingsForLocation,
+  getPendingMappingProposals,
+  getSyncLogs
+} from '../db/queries.js';
+import { authenticate, checkApiKey, issueAdminSession, clearAdminSession } from '../middleware/auth.js';
+import { listUnmappedMacsWithSuggestions } from '../services/unmappedMacs.js';
+
+const router = Router();
+
+// Window for the error rate column
+const ERROR_WINDOW_DAYS = 7;
+
+// Open unmapped MACs shown on the overview
+const UNMAPPED_LIMIT = 100;
+
+const SYNC_LOG_LIMIT = 100;
+const SYNC_LOG_STATUSES = ['success', 'skipped', 'error'];
+
+// ============================================================
+// Sign In
+// ============================================================
+
+/**
+ * GET /admin/login
+ */
+router.get('/login', (req, res) => {
+  res.send(renderLoginPage());
+});
+
+/**
+ * POST /admin/login
+ * 
+ * Form post with an API key; on success sets the admin session cookie.
+ */
+router.post('/login', (req, res) => {
+  const keyName = checkApiKey(req.body?.api_key);
+  
+  if (!keyName) {
+    console.warn('Admin dashboard sign-in failed');
+    return res.status(401).send(renderLoginPage('That API key is not valid.'));
+  }
+  
+  issueAdminSession(res, keyName);
+  console.log(`Admin dashboard sign-in: ${keyName}`);
+  res.redirect('/admin');
+});
+
+/**
+ * POST /admin/logout
+ */
+router.post('/logout', (req, res) => {
+  clearAdminSession(res);
+  res.redirect('/admin/login');
+});
+
+// Everything below needs an admin (API key or admin session)
+router.use(authenticate, (req, res, next) => {
+  if (!req.auth?.admin) {
+    return res.redirect('/admin/login');
+  }
+  
+  next();
+});
+
+// ============================================================
+// Pages
+// ============================================================
+
+/**
+ * GET /admin
+ * 
+ * All connections with their health, plus unmapped MACs hitting the webhook.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const connections = await getConnectionOverview({ errorWindowDays: ERROR_WINDOW_DAYS });
+    const { unmappedMacs, total: unmappedTotal } = await listUnmappedMacsWithSuggestions({ limit: UNMAPPED_LIMIT });
+    
+    const activeCount = connections.filter(c => c.is_active).length;
+    const attentionCount = connections.filter(c => c.is_active && tokenHealth(c).level !== 'ok').length;
+    
+    res.send(renderPage('Dashboard', req, `
+      <h1>Locations</h1>
+      <p class="subtitle">
+        ${connections.length} connections, ${activeCount} active${attentionCount > 0 ? `, <span class="bad">${attentionCount} needing attention</span>` : ''}.
+        Error rate covers the last ${ERROR_WINDOW_DAYS} days.
+      </p>
+      
+      <table>
+        <thead>
+          <tr>
+            <th>Location</th>
+            <th>Status</th>
+            <th>Token</th>
+            <th>Last successful sync</th>
+            <th>Error rate</th>
+            <th>MACs</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${connections.map(renderConnectionRow).join('') || '<tr><td colspan="7" class="empty">No connections yet</td></tr>'}
+        </tbody>
+      </table>
+      
+      <h2>Unmapped MACs (${unmappedTotal})</h2>
+      <p class="subtitle">
+        Devices that sent guests to the webhook without being mapped to a location.
+        Assign one with <code>POST /api/admin/unmapped-macs/:mac/assign</code>.
+      </p>
+      
+      <table>
+        <thead>
+          <tr>
+            <th>MAC</th>
+            <th>VivaSpot site</th>
+            <th>Hits</th>
+            <th>Held guests</th>
+            <th>First seen</th>
+            <th>Last seen</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${unmappedMacs.map(renderUnmappedRow).join('') || '<tr><td colspan="6" class="empty">No unmapped MACs</td></tr>'}
+        </tbody>
+      </table>
+    `));
+  } catch (error) {
+    console.error('Error rendering admin dashboard:', error);
+    res.status(500).send(renderPage('Error', req, `<h1>Something went wrong</h1><p>${escapeHtml(error.message)}</p>`));
+  }
+});
+
+/**
+ * GET /admin/locations/:locationId
+ * 
+ * One connection: details, MAC mappings, pending proposals and sync logs.
+ * 
+ * Query params:
+ * - status: only sync logs with this status (success | skipped | error)
+ */
+router.get('/locations/:locationId', async (req, res) => {
+  const { locationId } = req.params;
+  const status = SYNC_LOG_STATUSES.includes(req.query.status) ? req.query.status : null;
+  
+  try {
+    const [connection] = await getConnectionOverview({ locationId, errorWindowDays: ERROR_WINDOW_DAYS });
+    
+    if (!connection) {
+      return res.status(404).send(renderPage('Not found', req, `
+        <p><a href="/admin">&larr; All locations</a></p>
+        <h1>Location not found</h1>
+        <p>No connection exists for ${escapeHtml(locationId)}.</p>
+      `));
+    }
+    
+    const mappings = await getMacMappingsForLocation(locationId);
+    const proposals = await getPendingMappingProposals(locationId);
+    const logs = await getSyncLogs(locationId, SYNC_LOG_LIMIT, status);
+    const health = tokenHealth(connection);
+    const name = connection.location_name || connection.ghl_location_id;
+    
+    const filterLinks = [null, ...SYNC_LOG_STATUSES].map(value => {
+      const href = `/admin/locations/${encodeURIComponent(locationId)}${value ? `?status=${value}` : ''}`;
+      const label = value || 'all';
+      return value === status ? `<strong>${label}</strong>` : `<a href="${href}">${label}</a>`;
+    }).join(' · ');
+    
+    res.send(renderPage(name, req, `
+      <p><a href="/admin">&larr; All locations</a></p>
+      <h1>${escapeHtml(name)}</h1>
+      <p class="subtitle">${escapeHtml(connection.ghl_location_id)}</p>
+      
+      <dl>
+        <dt>Status</dt><dd>${renderStatus(connection)}</dd>
+        <dt>Token</dt><dd><span class="${health.level}">${health.label}</span>${connection.last_refresh_error ? ` &mdash; ${escapeHtml(connection.last_refresh_error)}` : ''}</dd>
+        <dt>Token expires</dt><dd>${formatTime(connection.token_expires_at)}</dd>
+        <dt>Last refresh</dt><dd>${formatTime(connection.last_refresh_at)}</dd>
+        <dt>Installed</dt><dd>${formatTime(connection.installed_at)} by ${escapeHtml(connection.user_email || 'unknown')} (${escapeHtml(connection.install_type || 'location')})</dd>
+        <dt>Company</dt><dd>${escapeHtml(connection.ghl_company_id || '—')}</dd>
+        <dt>Last successful sync</dt><dd>${formatTime(connection.last_success_at)}</dd>
+        <dt>Error rate (${ERROR_WINDOW_DAYS}d)</dt><dd>${formatErrorRate(connection)}</dd>
+      </dl>
+      
+      <p>
+        <a href="/setup/${encodeURIComponent(locationId)}">Edit MAC mappings</a> ·
+        <a href="/api/admin/mappings/export?format=csv&location_id=${encodeURIComponent(locationId)}">Export mappings (CSV)</a>
+      </p>
+      
+      ${proposals.length > 0 ? `
+        <h2>Pending proposals</h2>
+        <table>
+          <thead><tr><th>Proposed</th><th>Match</th><th>Confidence</th><th>MACs</th><th></th></tr></thead>
+          <tbody>
+            ${proposals.map(proposal => renderProposalRow(connection, proposal)).join('')}
+          </tbody>
+        </table>
+      ` : ''}
+      
+      <h2>MAC mappings (${mappings.length})</h2>
+      <table>
+        <thead><tr><th>MAC</th><th>Label</th><th>Restaurant</th><th>Tag</th><th>Added</th></tr></thead>
+        <tbody>
+          ${mappings.map(mapping => `
+            <tr>
+              <td class="mono">${escapeHtml(mapping.mac_address)}</td>
+              <td>${escapeHtml(mapping.label || '')}</td>
+              <td>${escapeHtml(mapping.source_restaurant || '')}</td>
+              <td>${escapeHtml(mapping.source_tag || '')}</td>
+              <td>${formatTime(mapping.created_at)}</td>
+            </tr>
+          `).join('') || '<tr><td colspan="5" class="empty">No MACs mapped</td></tr>'}
+        </tbody>
+      </table>
+      
+      <h2>Sync log</h2>
+      <p class="subtitle">Latest ${SYNC_LOG_LIMIT} entries. Show: ${filterLinks}</p>
+      <table>
+        <thead><tr><th>Time</th><th>Status</th><th>Action</th><th>MAC</th><th>Email</th><th>Detail</th></tr></thead>
+        <tbody>
+          ${logs.map(log => `
+            <tr>
+              <td>${formatTime(log.synced_at)}</td>
+              <td><span class="${log.status === 'error' ? 'bad' : log.status === 'skipped' ? 'warn' : 'ok'}">${escapeHtml(log.status)}</span></td>
+              <td>${escapeHtml(log.action || '')}</td>
+              <td class="mono">${escapeHtml(log.vivaspot_mac || '')}</td>
+              <td>${escapeHtml(log.contact_email || '')}</td>
+              <td>${escapeHtml(log.error_message || log.reason || '')}</td>
+            </tr>
+          `).join('') || '<tr><td colspan="6" class="empty">No sync log entries</td></tr>'}
+        </tbody>
+      </table>
+    `));
+  } catch (error) {
+    console.error('Error rendering admin location page:', error);
+    res.status(500).send(renderPage('Error', req, `<h1>Something went wrong</h1><p>${escapeHtml(error.message)}</p>`));
+  }
+});
+
+// ============================================================
+// Helpers
+// ============================================================
+
+/**
+ * Summarize a connection's token state
+ * 
+ * @returns {Object} - { level: 'ok' | 'warn' | 'bad', label }
+ */
+function tokenHealth(connection) {
+  if (connection.needs_reauth) {
+    return { level: 'bad', label: 'Reauthorization needed' };
+  }
+  
+  if (connection.last_refresh_status === 'error') {
+    return { level: 'warn', label: 'Refresh failing' };
+  }
+  
+  if (connection.token_expires_at && new Date(connection.token_expires_at) < new Date()) {
+    return { level: 'warn', label: 'Expired' };
+  }
+  
+  return { level: 'ok', label: 'Healthy' };
+}
+
+function renderStatus(connection) {
+  const held = connection.held_count > 0
+    ? ` <span class="warn">(${connection.held_count} guests held until reconnected)</span>`
+    : '';
+  
+  return connection.is_active
+    ? `<span class="ok">Active</span>${held}`
+    : `<span class="muted">Inactive</span>${held}`;
+}
+
+function formatErrorRate(connection) {
+  if (connection.recent_total === 0) {
+    return '<span class="muted">no traffic</span>';
+  }
+  
+  const rate = connection.recent_errors / connection.recent_total;
+  const level = rate >= 0.2 ? 'bad' : rate > 0 ? 'warn' : 'ok';
+  return `<span class="${level}">${Math.round(rate * 100)}%</span> <span class="muted">(${connection.recent_errors}/${connection.recent_total})</span>`;
+}
+
+function formatTime(value) {
+  if (!value) return '<span class="muted">never</span>';
+  return new Date(value).toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+}
+
+function renderConnectionRow(connection) {
+  const health = tokenHealth(connection);
+  const href = `/admin/locations/${encodeURIComponent(connection.ghl_location_id)}`;
+  
+  return `
+    <tr>
+      <td>
+        <a href="${href}">${escapeHtml(connection.location_name || connection.ghl_location_id)}</a>
+        <div class="muted mono">${escapeHtml(connection.ghl_location_id)}</div>
+      </td>
+      <td>${renderStatus(connection)}</td>
+      <td><span class="${health.level}">${health.label}</span></td>
+      <td>${formatTime(connection.last_success_at)}</td>
+      <td>${formatErrorRate(connection)}</td>
+      <td>${connection.mac_count}${connection.pending_proposals > 0 ? ` <span class="warn">(${connection.pending_proposals} proposed)</span>` : ''}</td>
+      <td><a href="${href}">Details</a></td>
+    </tr>
+  `;
+}
+
+function renderUnmappedRow(entry) {
+  const { suggestion } = entry;
+  let siteCell = '<span class="muted">not in inventory</span>';
+  
+  if (suggestion) {
+    siteCell = `${escapeHtml(suggestion.restaurant_name)} <span class="muted">(site ${suggestion.site_id})</span>`;
+  }
+  
+  if (suggestion?.location_id) {
+    const href = `/admin/locations/${encodeURIComponent(suggestion.location_id)}`;
+    siteCell += `<div>Likely <a href="${href}">${escapeHtml(suggestion.location_name || suggestion.location_id)}</a></div>`;
+  }
+  
+  if (entry.mapped_location_id) {
+    siteCell += `<div class="warn">Since mapped to ${escapeHtml(entry.mapped_location_id)}</div>`;
+  }
+  
+  return `
+    <tr>
+      <td class="mono">${escapeHtml(entry.mac_address)}</td>
+      <td>${siteCell}</td>
+      <td>${entry.hit_count}</td>
+      <td>${entry.held_count}</td>
+      <td>${formatTime(entry.first_seen_at)}</td>
+      <td>${formatTime(entry.last_seen_at)}</td>
+    </tr>
+  `;
+}
+
+function renderProposalRow(connection, proposal) {
+  const params = new URLSearchParams({
+    location: connection.location_name || '',
+    locationId: connection.ghl_location_id,
+    proposal: proposal.id.toString()
+  });
+  const match = proposal.match_type === 'group'
+    ? `Group ${escapeHtml(proposal.group_name)}`
+    : escapeHtml(proposal.items[0]?.restaurant_name);
+  
+  return `
+    <tr>
+      <td>${formatTime(proposal.created_at)}</td>
+      <td>${match}</td>
+      <td>${Math.round(Number(proposal.confidence) * 100)}%</td>
+      <td>${proposal.items.length}</td>
+      <td><a href="/oauth/success?${params}">Review</a></td>
+    </tr>
+  `;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Wrap page content in the dashboard layout
+ */
+function renderPage(title, req, content) {
+  const signOut = req.auth?.type === 'admin_session'
+    ? `<form method="POST" action="/admin/logout"><span>${escapeHtml(req.auth.name)}</span> <button type="submit">Sign out</button></form>`
+    : '';
+  
+  return `
+    <html>
+      <head>
+        <title>${escapeHtml(title)} - VivaSpot Admin</title>
+        <style>
+          body {
+            font-family: -apple-system, sans-serif;
+            padding: 30px 40px;
+            max-width: 1200px;
+            margin: 0 auto;
+            background: #f9fafb;
+            color: #1f2937;
+          }
+          header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px; }
+          header a { color: #1f2937; font-weight: 600; text-decoration: none; }
+          header form { margin: 0; color: #6b7280; font-size: 14px; }
+          header button { background: none; border: 1px solid #d1d5db; border-radius: 6px; padding: 4px 10px; cursor: pointer; }
+          h1 { margin-bottom: 6px; }
+          h2 { margin-top: 36px; margin-bottom: 6px; }
+          .subtitle { color: #6b7280; margin-top: 0; }
+          a { color: #2563eb; }
+          table {
+            width: 100%;
+            border-collapse: collapse;
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+            font-size: 14px;
+          }
+          th { text-align: left; color: #6b7280; font-weight: 500; }
+          th, td { padding: 10px 12px; border-bottom: 1px solid #f3f4f6; vertical-align: top; }
+          dl { display: grid; grid-template-columns: 200px 1fr; gap: 8px; font-size: 14px; }
+          dt { color: #6b7280; }
+          dd { margin: 0; }
+          .mono { font-family: monospace; }
+          .muted { color: #9ca3af; }
+          .empty { color: #9ca3af; text-align: center; }
+          .ok { color: #047857; }
+          .warn { color: #b45309; }
+          .bad { color: #b91c1c; font-weight: 500; }
+        </style>
+      </head>
+      <body>
+        <header>
+          <a href="/admin">VivaSpot Admin</a>
+          ${signOut}
+        </header>
+        ${content}
+      </body>
+    </html>
+  `;
+}
+
+function renderLoginPage(error = '') {
+  return `
+    <html>
+      <head>
+        <title>Sign In - VivaSpot Admin</title>
+        <style>
+          body {
+            font-family: -apple-system, sans-serif;
+            padding: 40px;
+            max-width: 400px;
+            margin: 60px auto;
+            background: #f9fafb;
+          }
+          .container {
+            background: white;
+            padding: 30px;
+            border-radius: 12px;
+            box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+          }
+          h1 { color: #1f2937; margin-top: 0; }
+          label { display: block; font-weight: 500; margin-bottom: 8px; color: #374151; }
+          input {
+            width: 100%;
+            padding: 10px;
+            border: 1px solid #d1d5db;
+            border-radius: 6px;
+            font-family: monospace;
+            margin-bottom: 20px;
+            box-sizing: border-box;
+          }
+          .btn {
+            background: #3b82f6;
+            color: white;
+            padding: 12px 24px;
+            border: none;
+            border-radius: 6px;
+            font-size: 16px;
+            cursor: pointer;
+            width: 100%;
+          }
+          .btn:hover { background: #2563eb; }
+          .error { color: #b91c1c; margin-bottom: 15px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h1>VivaSpot Admin</h1>
+          ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+          <form method="POST" action="/admin/login">
+            <label for="api_key">API key</label>
+            <input type="password" id="api_key" name="api_key" autocomplete="current-password" autofocus required>
+            <button type="submit" class="btn">Sign In</button>
+          </form>
+        </div>
+      </body>
+    </html>
+  `;
+}
+
+export default router;
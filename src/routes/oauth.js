@@ -2,21 +2,113 @@
  * Updated OAuth Callback Route with Auto-Mapping
  * 
  * This replaces the existing /oauth/callback route in your Render app.
- * It automatically maps MAC addresses based on email + restaurant name matching.
+ * It proposes MAC address mappings based on email + restaurant name matching,
+ * which the user reviews and confirms on the success page.
  * Supports both single restaurants and hospitality groups.
  */
 
+import crypto from 'crypto';
 import { Router } from 'express';
 import { 
   storeGHLConnection, 
-  createMacMappings,
-  createHospitalityGroupMappings,
-  findVivaSpotMatch 
+  saveGHLCompany,
+  getVivaSpotSite,
+  createOAuthState,
+  consumeOAuthState,
+  getMappingProposal
 } from '../db/queries.js';
-import { getGHLTokens, getGHLLocation, getGHLUser } from '../services/ghl.js';
+import { getGHLTokens, getGHLLocation, getGHLUser, getAuthorizationUrl } from '../services/ghl.js';
+import { 
+  proposeLocationMapping, 
+  provisionCompanyLocations, 
+  getProposalConflicts 
+} from '../services/provisioning.js';
+import { replayDisconnectedContacts } from '../services/heldContacts.js';
+import { setUpCustomFields } from '../services/customFields.js';
+import { formatLocationAddress } from '../services/matcher.js';
+import { authenticate, canAccessLocation, issueLocationSession } from '../middleware/auth.js';
+import { signPayload, verifySignedPayload } from '../services/signing.js';
+import { normalizeReturnUrl, addReturnUrlParams } from '../services/returnUrl.js';
 
 const router = Router();
 
+// How long a user has to finish the GHL consent screen
+const STATE_TTL_SECONDS = 10 * 60;
+
+/**
+ * GET /oauth/authorize
+ * 
+ * Starts the OAuth flow. Mints a signed, single-use state and redirects to GHL.
+ * 
+ * Optional query params:
+ * - site_id: VivaSpot site to map to the installed location (skips auto-matching)
+ * - return_url: Relative path to send the user to after the callback
+ *   (location_id is appended, as public/setup.html expects, with recovered
+ *   and proposal or manual as on the success page)
+ */
+router.get('/authorize', async (req, res) => {
+  try {
+    const { site_id, return_url } = req.query;
+    
+    const siteId = site_id ? parseInt(site_id) : null;
+    if (site_id && !siteId) {
+      return res.status(400).send('Invalid site_id');
+    }
+    
+    const returnUrl = return_url ? normalizeReturnUrl(return_url) : null;
+    if (return_url && !returnUrl) {
+      return res.status(400).send('return_url must be a path on this site');
+    }
+    
+    const nonce = crypto.randomBytes(16).toString('hex');
+    await createOAuthState(nonce, new Date(Date.now() + STATE_TTL_SECONDS * 1000));
+    
+    const state = signPayload({
+      nonce,
+      ...(siteId && { siteId }),
+      ...(returnUrl && { returnUrl })
+    }, STATE_TTL_SECONDS);
+    
+    res.redirect(getAuthorizationUrl(state));
+    
+  } catch (error) {
+    console.error('OAuth authorize error:', error);
+    sendErrorPage(res, 500, 'There was an error starting the GoHighLevel connection.', error.message);
+  }
+});
+
+/**
+ * Verify and consume the state returned to the callback
+ * 
+ * @returns {Object|null} - The state payload, or null if missing, forged, expired or replayed
+ */
+async function checkState(state) {
+  const payload = verifySignedPayload(state);
+  
+  if (!payload?.nonce) {
+    return null;
+  }
+  
+  const fresh = await consumeOAuthState(payload.nonce);
+  return fresh ? payload : null;
+}
+
+/**
+ * Send the "Connection Failed" page
+ */
+function sendErrorPage(res, status, message, detail = '') {
+  res.status(status).send(`
+    <html>
+      <body style="font-family: sans-serif; padding: 40px; text-align: center;">
+        <h1>Connection Failed</h1>
+        <p>${escapeHtml(message)}</p>
+        <p style="color: #666;">${escapeHtml(detail)}</p>
+        <a href="/oauth/authorize">Try Again</a>
+      </body>
+    </html>
+  `);
+}
+
 /**
  * GET /oauth/callback
  * 
@@ -32,10 +124,24 @@ router.get('/callback', async (req, res) => {
       return res.status(400).send('Missing authorization code');
     }
     
+    // Reject callbacks that didn't start at /oauth/authorize in this app (CSRF / replay)
+    const oauthState = await checkState(state);
+    
+    if (!oauthState) {
+      console.warn(`OAuth callback rejected from ${req.ip}: ${state ? 'invalid, expired or reused' : 'missing'} state`);
+      return sendErrorPage(res, 400, 'This connection link is invalid or has expired. Please start again.');
+    }
+    
     console.log('OAuth callback received with code');
     
     // Step 1: Exchange code for tokens
     const tokens = await getGHLTokens(code);
+    
+    // Agency installs connect every location the app is installed on
+    if (tokens.userType === 'Company') {
+      return handleCompanyInstall(req, res, tokens);
+    }
+    
     console.log('Tokens received for location:', tokens.locationId);
     
     // Step 2: Get location details from GHL API
@@ -53,119 +159,413 @@ router.get('/callback', async (req, res) => {
     }
     
     // Step 4: Store the GHL connection
-    await storeGHLConnection({
+    const connection = await storeGHLConnection({
       locationId: tokens.locationId,
       locationName: location.name,
       accessToken: tokens.access_token,
       refreshToken: tokens.refresh_token,
       expiresAt: new Date(Date.now() + tokens.expires_in * 1000),
-      userEmail: userEmail
+      userEmail: userEmail,
+      timezone: location.timezone
     });
     
-    // Step 5: Auto-map MAC addresses
-    let autoMappingResult = { 
-      success: false, 
-      type: null,
-      mappedCount: 0, 
-      reason: null,
-      restaurants: []
-    };
-    
-    if (userEmail && location.name) {
-      console.log(`Attempting auto-mapping for email: ${userEmail}, location: ${location.name}`);
-      
-      // Find matching VivaSpot site(s)
-      const match = await findVivaSpotMatch(userEmail, location.name);
-      
-      if (match.type === 'group') {
-        // Hospitality group - map all restaurants with tags
-        console.log(`Found hospitality group: ${match.groupName} with ${match.sites.length} restaurants`);
-        
-        const groupResult = await createHospitalityGroupMappings(
-          tokens.locationId,
-          match.sites
-        );
-        
-        autoMappingResult = {
-          success: true,
-          type: 'group',
-          groupName: match.groupName,
-          mappedCount: groupResult.totalMapped,
-          restaurants: groupResult.restaurants
-        };
-        
-        console.log(`Mapped hospitality group: ${groupResult.totalMapped} MACs across ${groupResult.restaurants.length} restaurants`);
-        
-      } else if (match.type === 'single') {
-        // Single restaurant - map without extra tags
-        console.log(`Found single site: ${match.site.restaurant_name} with ${match.site.mac_addresses.length} MACs`);
-        
-        const mappedCount = await createMacMappings(
-          tokens.locationId, 
-          match.site.mac_addresses
-        );
-        
-        autoMappingResult = {
-          success: true,
-          type: 'single',
-          mappedCount,
-          siteName: match.site.restaurant_name
-        };
-        
-        console.log(`Auto-mapped ${mappedCount} MAC addresses for single restaurant`);
-        
-      } else {
-        console.log('No matching VivaSpot site found');
-        autoMappingResult.reason = 'no_match';
-      }
-    } else {
-      autoMappingResult.reason = 'missing_email_or_location';
+    // Step 5: Create the VivaSpot custom fields (first/last visit, visit count, venue)
+    await setUpCustomFields(connection);
+    
+    // Step 6: Replay guests held while the location was disconnected
+    const recovered = await replayDisconnectedContacts(tokens.locationId);
+    
+    // Step 7: Propose MAC mappings for the user to review
+    const preselectedSite = oauthState.siteId ? await getVivaSpotSite(oauthState.siteId) : null;
+    
+    if (oauthState.siteId && !preselectedSite) {
+      console.log(`Pre-selected VivaSpot site ${oauthState.siteId} not found`);
     }
     
-    // Step 6: Redirect to success page
-    const successUrl = new URL('/oauth/success', process.env.APP_URL || 'https://vivaspot.onrender.com');
-    successUrl.searchParams.set('location', location.name);
-    successUrl.searchParams.set('locationId', tokens.locationId);
-    successUrl.searchParams.set('mapped', autoMappingResult.mappedCount.toString());
-    successUrl.searchParams.set('type', autoMappingResult.type || 'none');
+    const mappingResult = await proposeLocationMapping(tokens.locationId, {
+      userEmail,
+      locationName: location.name,
+      locationAddress: formatLocationAddress(location),
+      preselectedSite
+    });
+    
+    // Step 8: Give this browser access to the location's setup page and API
+    issueLocationSession(req, res, tokens.locationId);
     
-    if (autoMappingResult.type === 'group') {
-      successUrl.searchParams.set('group', autoMappingResult.groupName);
-      successUrl.searchParams.set('restaurantCount', autoMappingResult.restaurants.length.toString());
+    // Step 9: Redirect to the requested page, or the success page, with what happened
+    const outcome = new URLSearchParams();
+    
+    if (recovered > 0) {
+      outcome.set('recovered', recovered.toString());
+    }
+    
+    if (mappingResult.proposal) {
+      outcome.set('proposal', mappingResult.proposal.id.toString());
+    } else {
+      outcome.set('manual', 'true');
     }
     
-    if (!autoMappingResult.success && autoMappingResult.reason === 'no_match') {
-      successUrl.searchParams.set('manual', 'true');
+    // Checked again in case the state was signed before return URLs were normalized
+    const returnUrl = normalizeReturnUrl(oauthState.returnUrl);
+    
+    if (returnUrl) {
+      return res.redirect(addReturnUrlParams(returnUrl, [['location_id', tokens.locationId], ...outcome]));
     }
     
+    const successUrl = new URL('/oauth/success', process.env.APP_URL || 'https://vivaspot.onrender.com');
+    successUrl.searchParams.set('location', location.name);
+    successUrl.searchParams.set('locationId', tokens.locationId);
+    outcome.forEach((value, key) => successUrl.searchParams.set(key, value));
+    
     res.redirect(successUrl.toString());
     
   } catch (error) {
     console.error('OAuth callback error:', error);
-    res.status(500).send(`
-      <html>
-        <body style="font-family: sans-serif; padding: 40px; text-align: center;">
-          <h1>Connection Failed</h1>
-          <p>There was an error connecting your GoHighLevel account.</p>
-          <p style="color: #666;">${error.message}</p>
-          <a href="/">Try Again</a>
-        </body>
-      </html>
-    `);
+    sendErrorPage(res, 500, 'There was an error connecting your GoHighLevel account.', error.message);
   }
 });
 
+/**
+ * Store an agency token, then connect each installed location and propose its mappings
+ * Responds with a summary page linking to each location's review.
+ */
+async function handleCompanyInstall(req, res, tokens) {
+  console.log('Agency install for company:', tokens.companyId);
+  
+  let userEmail = null;
+  try {
+    const user = await getGHLUser(tokens.access_token);
+    userEmail = user.email?.toLowerCase();
+  } catch (err) {
+    console.log('Could not get agency user email:', err.message);
+  }
+  
+  const company = await saveGHLCompany({
+    companyId: tokens.companyId,
+    accessToken: tokens.access_token,
+    refreshToken: tokens.refresh_token,
+    expiresAt: new Date(Date.now() + tokens.expires_in * 1000),
+    userEmail
+  });
+  
+  const results = await provisionCompanyLocations(company);
+  
+  const connectedIds = results
+    .filter(result => result.status === 'connected')
+    .map(result => result.locationId);
+  
+  if (connectedIds.length > 0) {
+    issueLocationSession(req, res, connectedIds);
+  }
+  
+  res.send(renderCompanySummary(results));
+}
+
+/**
+ * Summary page for an agency install
+ */
+function renderCompanySummary(results) {
+  const connected = results.filter(result => result.status === 'connected');
+  const proposed = connected.filter(result => result.mapping.proposal);
+  const recovered = connected.reduce((total, result) => total + (result.recovered || 0), 0);
+  
+  const rows = results.map(result => {
+    const proposal = result.mapping?.proposal;
+    let matchText;
+    let action = '';
+    
+    if (result.status === 'error') {
+      matchText = `<span class="warning">Not connected: ${escapeHtml(result.error)}</span>`;
+    } else if (proposal) {
+      matchText = `${describeProposal(proposal)} ${renderConfidence(proposal.confidence)}`;
+      action = `<a href="${escapeHtml(reviewUrl(result.locationId, result.name, proposal.id))}">Review match</a>`;
+    } else {
+      matchText = '<span class="warning">No matching VivaSpot site</span>';
+      action = `<a href="/setup/${encodeURIComponent(result.locationId)}">Set up manually</a>`;
+    }
+    
+    return `
+      <tr>
+        <td>${escapeHtml(result.name || result.locationId)}</td>
+        <td>${matchText}</td>
+        <td>${proposal ? proposal.items.length : 0}</td>
+        <td>${action}</td>
+      </tr>
+    `;
+  }).join('');
+  
+  return `
+    <html>
+      <head>
+        <title>Connected to GoHighLevel</title>
+        <style>
+          body { font-family: -apple-system, sans-serif; padding: 40px; max-width: 900px; margin: 0 auto; }
+          .success { color: #10b981; }
+          .warning { color: #f59e0b; }
+          .confidence { font-size: 12px; padding: 2px 8px; border-radius: 4px; background: #e5e7eb; }
+          table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+          th, td { text-align: left; padding: 10px; border-bottom: 1px solid #e5e7eb; font-size: 14px; }
+          th { background: #f9fafb; }
+        </style>
+      </head>
+      <body>
+        <h1 class="success">✓ Agency Connected</h1>
+        <p>
+          <strong>${connected.length}</strong> of <strong>${results.length}</strong> location(s) connected;
+          <strong>${proposed.length}</strong> matched to VivaSpot WiFi devices.
+          Review each match to start syncing guest contacts.
+        </p>
+        ${recovered > 0 ? `
+          <p>
+            <strong>${recovered}</strong> guest contact(s) collected while locations were disconnected 
+            are being synced to GoHighLevel now.
+          </p>
+        ` : ''}
+        
+        <table>
+          <thead>
+            <tr><th>GHL Location</th><th>Proposed Match</th><th>WiFi Devices</th><th></th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+        
+        <p style="color: #666; margin-top: 40px;">You can close this window and return to GoHighLevel.</p>
+      </body>
+    </html>
+  `;
+}
+
+/**
+ * Link to the success page's review of a proposal
+ */
+function reviewUrl(locationId, locationName, proposalId) {
+  const params = new URLSearchParams({ 
+    location: locationName || '', 
+    locationId, 
+    proposal: proposalId.toString() 
+  });
+  return `/oauth/success?${params}`;
+}
+
+/**
+ * One-line description of what a proposal matched
+ */
+function describeProposal(proposal) {
+  if (proposal.match_type === 'group') {
+    const restaurantCount = new Set(proposal.items.map(item => item.restaurant_name)).size;
+    return `Group <strong>${escapeHtml(proposal.group_name)}</strong> (${restaurantCount} restaurants)`;
+  }
+  
+  return `<strong>${escapeHtml(proposal.items[0]?.restaurant_name)}</strong>`;
+}
+
+function renderConfidence(confidence) {
+  const value = Number(confidence);
+  const level = value >= 0.8 ? 'High' : value >= 0.6 ? 'Medium' : 'Low';
+  return `<span class="confidence confidence-${level.toLowerCase()}">${level} confidence (${Math.round(value * 100)}%)</span>`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * GET /oauth/success
  * 
- * Success page after OAuth completion
+ * Success page after OAuth completion. When auto-matching produced a
+ * proposal, it is shown here for the user to confirm, edit or reject
+ * (via /api/mapping-proposals).
  */
-router.get('/success', (req, res) => {
-  const { location, mapped, manual, type, group, restaurantCount, locationId } = req.query;
-  const mappedCount = parseInt(mapped) || 0;
-  const numRestaurants = parseInt(restaurantCount) || 0;
-  const needsManualSetup = manual === 'true';
-  const isGroup = type === 'group';
+router.get('/success', authenticate, async (req, res) => {
+  const { location, manual, locationId, proposal: proposalParam } = req.query;
+  const locationName = escapeHtml(location || 'Unknown');
+  const recovered = parseInt(req.query.recovered) || 0;
+  let needsManualSetup = manual === 'true';
+  let proposal = null;
+  let conflicts = {};
+  
+  try {
+    const candidate = parseInt(proposalParam) ? await getMappingProposal(parseInt(proposalParam)) : null;
+    
+    if (candidate && canAccessLocation(req, candidate.ghl_location_id)) {
+      proposal = candidate;
+      conflicts = proposal.status === 'pending' ? await getProposalConflicts(proposal) : {};
+    }
+  } catch (err) {
+    console.error('Error loading mapping proposal:', err);
+  }
+  
+  if (proposal?.status === 'rejected' || proposal?.status === 'superseded') {
+    needsManualSetup = true;
+  }
+  
+  const manualSetup = `
+    <div style="margin-top: 25px;">
+      <a href="/setup/${encodeURIComponent(locationId || '')}" class="btn btn-primary">Enter MAC Addresses Manually</a>
+      <a href="mailto:support@vivaspot.com?subject=Help%20with%20GHL%20Setup%20-%20${encodeURIComponent(location || '')}" class="btn btn-secondary">Contact Support</a>
+    </div>
+  `;
+  
+  const groupTagHelp = `
+    <p style="margin-top: 15px;">
+      <strong>How it works:</strong> Contacts from each restaurant will be tagged with their location 
+      (e.g., <span class="tag">Maggies_Restaurant</span>) plus <span class="tag">Vivaspot-WiFi</span>.
+    </p>
+  `;
+  
+  let card;
+  
+  if (proposal?.status === 'pending') {
+    const isGroup = proposal.match_type === 'group';
+    
+    card = `
+      <div id="proposal-review">
+        <h3>Review WiFi Device Match</h3>
+        <p>
+          We matched this location to ${describeProposal(proposal)}
+          ${renderConfidence(proposal.confidence)}
+        </p>
+        <ul class="reasons">
+          ${proposal.reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}
+        </ul>
+        
+        <p>Uncheck any device that isn't at this location, then confirm. Nothing syncs until you do.</p>
+        
+        <table>
+          <thead>
+            <tr><th></th><th>MAC Address</th><th>Restaurant</th>${isGroup ? '<th>Tag</th>' : ''}</tr>
+          </thead>
+          <tbody>
+            ${proposal.items.map(item => {
+              const conflict = conflicts[item.mac];
+              
+              return `
+                <tr>
+                  <td>
+                    <input type="checkbox" name="mac" value="${escapeHtml(item.mac)}" 
+                      ${conflict ? 'data-conflict="true"' : 'checked'} />
+                  </td>
+                  <td class="mac">
+                    ${escapeHtml(item.mac)}
+                    ${conflict ? '<div class="warning">Connected to another GoHighLevel location. Check to move it here.</div>' : ''}
+                  </td>
+                  <td>${escapeHtml(item.restaurant_name)}</td>
+                  ${isGroup ? `<td><span class="tag">${escapeHtml(item.source_tag)}</span></td>` : ''}
+                </tr>
+              `;
+            }).join('')}
+          </tbody>
+        </table>
+        
+        <div id="proposal-error" class="help-text" style="display: none;"></div>
+        
+        <button class="btn btn-primary" id="confirm-btn" onclick="decide('confirm')">Confirm Mapping</button>
+        <button class="btn btn-secondary" id="reject-btn" onclick="decide('reject')">Not My Location</button>
+      </div>
+      
+      <div id="proposal-confirmed" style="display: none;">
+        <h3 class="success">✓ WiFi Devices Mapped</h3>
+        <p><strong id="mapped-count">0</strong> WiFi device(s) mapped to this location.</p>
+        ${isGroup ? groupTagHelp : '<p>Guest contacts will now sync to GoHighLevel with the <span class="tag">Vivaspot-WiFi</span> tag.</p>'}
+      </div>
+      
+      <div id="proposal-rejected" style="display: none;">
+        <h3 class="warning">Match Rejected</h3>
+        <p>No WiFi devices were mapped. Enter this location's MAC addresses instead.</p>
+        ${manualSetup}
+      </div>
+      
+      <script>
+        async function decide(action) {
+          const errorBox = document.getElementById('proposal-error');
+          const boxes = Array.from(document.querySelectorAll('input[name="mac"]'));
+          const selected = boxes.filter(box => box.checked);
+          
+          errorBox.style.display = 'none';
+          
+          if (action === 'confirm' && selected.length === 0) {
+            errorBox.textContent = 'Select at least one device, or choose "Not My Location".';
+            errorBox.style.display = 'block';
+            return;
+          }
+          
+          const body = action === 'confirm' ? {
+            macs: selected.map(box => box.value),
+            reassign: selected.filter(box => box.dataset.conflict).map(box => box.value)
+          } : {};
+          
+          document.getElementById('confirm-btn').disabled = true;
+          document.getElementById('reject-btn').disabled = true;
+          
+          try {
+            const response = await fetch('/api/mapping-proposals/${proposal.id}/' + action, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify(body)
+            });
+            
+            const result = await response.json();
+            
+            if (!response.ok) {
+              throw new Error(result.error || 'Request failed');
+            }
+            
+            document.getElementById('proposal-review').style.display = 'none';
+            
+            if (action === 'confirm') {
+              document.getElementById('mapped-count').textContent = result.mapped;
+              document.getElementById('proposal-confirmed').style.display = 'block';
+            } else {
+              document.getElementById('proposal-rejected').style.display = 'block';
+            }
+          } catch (err) {
+            errorBox.textContent = 'Error: ' + err.message;
+            errorBox.style.display = 'block';
+            document.getElementById('confirm-btn').disabled = false;
+            document.getElementById('reject-btn').disabled = false;
+          }
+        }
+      </script>
+    `;
+  
+  } else if (proposal?.status === 'confirmed') {
+    card = `
+      <h3 class="success">✓ WiFi Devices Mapped</h3>
+      <p><strong>${proposal.applied_count || 0}</strong> WiFi device(s) mapped to this location.</p>
+      ${proposal.match_type === 'group' ? groupTagHelp : ''}
+    `;
+  
+  } else if (needsManualSetup) {
+    card = `
+      <h3 class="warning">⚠ Manual Setup Required</h3>
+      <p>We couldn't automatically match "<strong>${locationName}</strong>" to your VivaSpot WiFi devices.</p>
+      <p>This can happen if:</p>
+      <ul>
+        <li>The location name in GoHighLevel doesn't match our records</li>
+        <li>Your email address isn't associated with a VivaSpot site</li>
+        <li>This is a new location that hasn't been set up yet</li>
+      </ul>
+      
+      <div class="help-text">
+        <strong>What are MAC addresses?</strong><br>
+        Each WiFi access point has a unique identifier called a MAC address (e.g., 00:18:0a:27:29:76). 
+        You can find this on a sticker on your WiFi device or in your network settings.
+        If you're unsure, contact VivaSpot support.
+      </div>
+      
+      ${manualSetup}
+    `;
+  
+  } else {
+    card = `
+      <h3>Setup Complete</h3>
+      <p>Your account is connected. Contact VivaSpot support if you need to configure MAC address mappings.</p>
+    `;
+  }
   
   res.send(`
     <html>
@@ -177,57 +577,38 @@ router.get('/success', (req, res) => {
           .warning { color: #f59e0b; }
           .card { background: #f9fafb; border-radius: 8px; padding: 20px; margin: 20px 0; }
           .btn { display: inline-block; background: #3b82f6; color: white; padding: 12px 24px; 
-                 border-radius: 6px; text-decoration: none; margin-top: 20px; }
+                 border: none; border-radius: 6px; text-decoration: none; margin-top: 20px; 
+                 font-size: 14px; cursor: pointer; }
           .btn:hover { background: #2563eb; }
+          .btn:disabled { background: #9ca3af; cursor: not-allowed; }
           .btn-primary { background: #3b82f6; }
           .btn-secondary { background: #6b7280; margin-left: 10px; }
           .tag { display: inline-block; background: #e5e7eb; padding: 2px 8px; border-radius: 4px; 
                  font-size: 12px; margin: 2px; }
           .help-text { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin-top: 20px; }
+          .confidence { font-size: 12px; padding: 2px 8px; border-radius: 4px; white-space: nowrap; }
+          .confidence-high { background: #d1fae5; color: #065f46; }
+          .confidence-medium { background: #fef3c7; color: #92400e; }
+          .confidence-low { background: #fee2e2; color: #991b1b; }
+          .reasons { color: #4b5563; font-size: 14px; }
+          table { width: 100%; border-collapse: collapse; margin-top: 10px; }
+          th, td { text-align: left; padding: 8px; border-bottom: 1px solid #e5e7eb; font-size: 14px; vertical-align: top; }
+          td.mac { font-family: monospace; }
+          td.mac .warning { font-family: -apple-system, sans-serif; font-size: 12px; }
         </style>
       </head>
       <body>
         <h1 class="success">✓ Connected Successfully!</h1>
-        <p>Your GoHighLevel location <strong>${location || 'Unknown'}</strong> is now connected.</p>
+        <p>Your GoHighLevel location <strong>${locationName}</strong> is now connected.</p>
+        ${recovered > 0 ? `
+          <p class="success">
+            <strong>${recovered}</strong> guest contact(s) collected while this location was disconnected 
+            are being synced to GoHighLevel now.
+          </p>
+        ` : ''}
         
         <div class="card">
-          ${isGroup ? `
-            <h3 class="success">✓ Hospitality Group Mapped</h3>
-            <p><strong>${group}</strong> connected with <strong>${numRestaurants}</strong> restaurant locations.</p>
-            <p><strong>${mappedCount}</strong> WiFi device(s) mapped total.</p>
-            <p style="margin-top: 15px;">
-              <strong>How it works:</strong> Contacts from each restaurant will be tagged with their location 
-              (e.g., <span class="tag">Maggies_Restaurant</span>) plus <span class="tag">Vivaspot-WiFi</span>.
-            </p>
-          ` : mappedCount > 0 ? `
-            <h3 class="success">✓ Auto-Mapping Complete</h3>
-            <p><strong>${mappedCount}</strong> WiFi device(s) automatically mapped to this location.</p>
-            <p>Guest contacts will now sync to GoHighLevel with the <span class="tag">Vivaspot-WiFi</span> tag.</p>
-          ` : needsManualSetup ? `
-            <h3 class="warning">⚠ Manual Setup Required</h3>
-            <p>We couldn't automatically match "<strong>${location}</strong>" to your VivaSpot WiFi devices.</p>
-            <p>This can happen if:</p>
-            <ul>
-              <li>The location name in GoHighLevel doesn't match our records</li>
-              <li>Your email address isn't associated with a VivaSpot site</li>
-              <li>This is a new location that hasn't been set up yet</li>
-            </ul>
-            
-            <div class="help-text">
-              <strong>What are MAC addresses?</strong><br>
-              Each WiFi access point has a unique identifier called a MAC address (e.g., 00:18:0a:27:29:76). 
-              You can find this on a sticker on your WiFi device or in your network settings.
-              If you're unsure, contact VivaSpot support.
-            </div>
-            
-            <div style="margin-top: 25px;">
-              <a href="/setup/${locationId || ''}" class="btn btn-primary">Enter MAC Addresses Manually</a>
-              <a href="mailto:support@vivaspot.com?subject=Help%20with%20GHL%20Setup%20-%20${encodeURIComponent(location || '')}" class="btn btn-secondary">Contact Support</a>
-            </div>
-          ` : `
-            <h3>Setup Complete</h3>
-            <p>Your account is connected. Contact VivaSpot support if you need to configure MAC address mappings.</p>
-          `}
+          ${card}
         </div>
         
         <p style="color: #666; margin-top: 40px;">You can close this window and return to GoHighLevel.</p>
@@ -6,13 +6,30 @@
  * - Email doesn't match our records
  * - Location name doesn't match
  * - New location not yet in our database
+ * 
+ * Also where a location sets how its guests sync and maps extra payload
+ * values to GHL contact fields.
  */
 
 import { Router } from 'express';
-import { createMacMappings, getGHLConnection, getMacMappingsForLocation } from '../db/queries.js';
+import { 
+  saveMacMapping, 
+  getGHLConnection, 
+  getMacMappingsForLocation, 
+  getFieldMappings,
+  getCachedCustomFields,
+  normalizeMacAddress 
+} from '../db/queries.js';
+import { STANDARD_FIELDS, VALUE_TYPES } from '../services/fieldMapping.js';
+import { toCustomFieldOption } from '../services/customFields.js';
+import { describeLocationSettings } from '../services/locationSettings.js';
+import { authenticate, canAccessLocation, requireLocationAccess } from '../middleware/auth.js';
 
 const router = Router();
 
+// Setup pages are only available to the session that installed the location (or an API key)
+router.use(authenticate);
+
 /**
  * GET /setup/:locationId
  * 
@@ -25,19 +42,44 @@ router.get('/:locationId', async (req, res) => {
     return res.status(400).send('Missing location ID');
   }
   
+  if (!canAccessLocation(req, locationId)) {
+    return res.status(401).send(`
+      <html>
+        <body style="font-family: sans-serif; padding: 40px; text-align: center;">
+          <h1>Session Expired</h1>
+          <p>Please reconnect your GoHighLevel account to manage WiFi devices for this location.</p>
+          <a href="/oauth/authorize?return_url=${encodeURIComponent(`/setup/${locationId}`)}">Reconnect</a>
+        </body>
+      </html>
+    `);
+  }
+  
   // Get the GHL connection to show location name
   let connection = null;
   let existingMappings = [];
+  let fieldMappings = [];
+  let customFields = [];
+  let locationSettings = null;
   
   try {
     connection = await getGHLConnection(locationId);
     existingMappings = await getMacMappingsForLocation(locationId);
+    fieldMappings = await getFieldMappings(locationId);
+    customFields = (await getCachedCustomFields(locationId)).map(toCustomFieldOption);
+    locationSettings = connection ? await describeLocationSettings(locationId) : null;
   } catch (err) {
     console.error('Error fetching connection:', err);
   }
   
   const locationName = connection?.location_name || 'Your Location';
   
+  // Set by /oauth/callback when this page is the return_url of a reconnect
+  const recovered = parseInt(req.query.recovered) || 0;
+  const proposalId = parseInt(req.query.proposal) || null;
+  
+  // Embedded in a <script> block, so keep "</script>" in a value from closing it
+  const toScript = value => JSON.stringify(value).replace(/</g, '\\u003c');
+  
   res.send(`
     <html>
       <head>
@@ -129,6 +171,46 @@ router.get('/:locationId', async (req, res) => {
             margin-bottom: 20px;
             display: none;
           }
+          .settings-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 15px 20px; margin: 15px 0; }
+          .settings-grid label { font-size: 14px; margin-bottom: 4px; }
+          .settings-grid input[type="text"], .settings-grid input[type="number"], .settings-grid select { 
+            width: 100%; 
+            padding: 8px; 
+            border: 1px solid #d1d5db; 
+            border-radius: 6px; 
+            font-size: 14px;
+            box-sizing: border-box;
+          }
+          .settings-grid .help-text { margin-top: 4px; font-size: 12px; }
+          .settings-grid .checkbox-label { display: flex; gap: 8px; align-items: center; font-weight: 500; }
+          .fields-section { margin-top: 35px; padding-top: 25px; border-top: 1px solid #e5e7eb; }
+          .fields-section h2 { color: #1f2937; font-size: 18px; margin: 0 0 8px 0; }
+          .field-table { width: 100%; border-collapse: collapse; margin: 15px 0; font-size: 13px; }
+          .field-table th { text-align: left; color: #6b7280; font-weight: 500; padding: 4px; }
+          .field-table td { padding: 4px; vertical-align: middle; }
+          .field-table input[type="text"], .field-table select { 
+            width: 100%; 
+            padding: 6px; 
+            border: 1px solid #d1d5db; 
+            border-radius: 4px; 
+            font-size: 13px;
+            box-sizing: border-box;
+          }
+          .field-table input[type="text"] { font-family: monospace; }
+          .field-table input:disabled { background: #f3f4f6; }
+          .btn-secondary { 
+            background: white; 
+            color: #374151; 
+            padding: 8px 14px; 
+            border: 1px solid #d1d5db;
+            border-radius: 6px; 
+            font-size: 14px;
+            cursor: pointer;
+            margin-bottom: 15px;
+          }
+          .btn-secondary:hover { background: #f3f4f6; }
+          .remove-btn { background: none; border: none; color: #9ca3af; font-size: 18px; cursor: pointer; }
+          .remove-btn:hover { color: #dc2626; }
         </style>
       </head>
       <body>
@@ -136,6 +218,20 @@ router.get('/:locationId', async (req, res) => {
           <h1>Setup WiFi Devices</h1>
           <p class="subtitle">Configure MAC addresses for <strong>${locationName}</strong></p>
           
+          ${recovered > 0 ? `
+            <div class="success-message" style="display: block;">
+              ✓ Reconnected. <strong>${recovered}</strong> guest contact(s) collected while this location was 
+              disconnected are being synced to GoHighLevel now.
+            </div>
+          ` : ''}
+          
+          ${proposalId ? `
+            <div class="existing">
+              We found WiFi devices that may belong to this location. 
+              <a href="/oauth/success?locationId=${encodeURIComponent(locationId)}&proposal=${proposalId}">Review the match</a> to start syncing.
+            </div>
+          ` : ''}
+          
           <div id="success-message" class="success-message"></div>
           <div id="error-message" class="error-message"></div>
           
@@ -172,6 +268,94 @@ router.get('/:locationId', async (req, res) => {
             <button type="submit" class="btn" id="submit-btn">Save MAC Addresses</button>
           </form>
           
+          ${locationSettings ? `
+            <div class="fields-section">
+              <h2>Sync Settings</h2>
+              <p class="help-text">How guests from this location are sent to GoHighLevel.</p>
+              
+              <div id="settings-success" class="success-message"></div>
+              <div id="settings-error" class="error-message"></div>
+              
+              <div class="settings-grid">
+                <div>
+                  <label class="checkbox-label"><input type="checkbox" id="setting-enabled" /> Sync guests to GoHighLevel</label>
+                  <p class="help-text">When off, guests are skipped (not held).</p>
+                </div>
+                <div>
+                  <label for="setting-source-label">Contact source</label>
+                  <input type="text" id="setting-source-label" />
+                </div>
+                <div>
+                  <label for="setting-base-tags">Tags for every guest</label>
+                  <input type="text" id="setting-base-tags" placeholder="Vivaspot-WiFi, Guest" />
+                  <p class="help-text">Comma-separated.</p>
+                </div>
+                <div>
+                  <label for="setting-sync-mode">Returning guests</label>
+                  <select id="setting-sync-mode">
+                    <option value="upsert">Update the existing contact</option>
+                    <option value="create_only">Always create a new contact</option>
+                    <option value="skip_if_exists">Leave existing contacts alone</option>
+                  </select>
+                </div>
+                <div>
+                  <label for="setting-opt-in">Marketing opt-in</label>
+                  <select id="setting-opt-in">
+                    <option value="required">Only guests who opted in</option>
+                    <option value="unless_declined">Everyone who didn't decline</option>
+                    <option value="ignore">Every guest</option>
+                  </select>
+                </div>
+                <div>
+                  <label for="setting-timezone">Timezone</label>
+                  <input type="text" id="setting-timezone" placeholder="${connection?.timezone || 'UTC'}" />
+                  <p class="help-text">For tag rules. Leave blank to use GoHighLevel's.</p>
+                </div>
+                <div>
+                  <label for="setting-dedupe">Ignore repeat logins within (minutes)</label>
+                  <input type="number" id="setting-dedupe" min="0" max="10080" />
+                </div>
+              </div>
+              
+              <button type="button" class="btn" id="save-settings-btn">Save Settings</button>
+            </div>
+          ` : ''}
+          
+          <div class="fields-section">
+            <h2>Contact Fields</h2>
+            <p class="help-text">
+              Send extra guest details from the WiFi sign-in (birthday, zip code, survey answers) to 
+              GoHighLevel. Use dots for nested values, e.g. <code>form.birthday</code>. Existing values 
+              in GoHighLevel are kept unless Overwrite is checked.
+            </p>
+            <p class="help-text">
+              Custom fields are listed from GoHighLevel. 
+              <a href="#" id="refresh-custom-fields">Refresh the list</a> after adding one there, or 
+              <a href="#" id="create-vivaspot-fields">create the VivaSpot fields</a> (first and last WiFi 
+              visit, visit count, venue).
+            </p>
+            
+            <div id="fields-success" class="success-message"></div>
+            <div id="fields-error" class="error-message"></div>
+            
+            <table class="field-table">
+              <thead>
+                <tr>
+                  <th>Payload key</th>
+                  <th>GoHighLevel field</th>
+                  <th>Other field ID or key</th>
+                  <th>Type</th>
+                  <th>Overwrite</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody id="field-rows"></tbody>
+            </table>
+            
+            <button type="button" class="btn-secondary" id="add-field-btn">+ Add Field</button>
+            <button type="button" class="btn" id="save-fields-btn">Save Contact Fields</button>
+          </div>
+          
           <p style="color: #9ca3af; font-size: 13px; margin-top: 25px; text-align: center;">
             Need help? Contact <a href="mailto:support@vivaspot.com">support@vivaspot.com</a>
           </p>
@@ -219,8 +403,14 @@ router.get('/:locationId', async (req, res) => {
                 successMsg.style.display = 'block';
                 form.reset();
                 
-                // Reload to show updated existing mappings
-                setTimeout(() => window.location.reload(), 2000);
+                if (result.conflicts.length > 0) {
+                  errorMsg.textContent = 'Already connected to another GoHighLevel location (not changed): ' + 
+                    result.conflicts.join(', ') + '. Contact support@vivaspot.com to move them.';
+                  errorMsg.style.display = 'block';
+                } else {
+                  // Reload to show updated existing mappings
+                  setTimeout(() => window.location.reload(), 2000);
+                }
               } else {
                 throw new Error(result.error || 'Failed to save');
               }
@@ -232,6 +422,294 @@ router.get('/:locationId', async (req, res) => {
             submitBtn.disabled = false;
             submitBtn.textContent = 'Save MAC Addresses';
           });
+          
+          // Sync settings
+          const settingsInfo = ${toScript(locationSettings)};
+          
+          if (settingsInfo) {
+            const saveSettingsBtn = document.getElementById('save-settings-btn');
+            const settingsSuccess = document.getElementById('settings-success');
+            const settingsError = document.getElementById('settings-error');
+            const inputs = {
+              enabled: document.getElementById('setting-enabled'),
+              source_label: document.getElementById('setting-source-label'),
+              base_tags: document.getElementById('setting-base-tags'),
+              contact_sync_mode: document.getElementById('setting-sync-mode'),
+              opt_in_policy: document.getElementById('setting-opt-in'),
+              timezone: document.getElementById('setting-timezone'),
+              dedupe_window_minutes: document.getElementById('setting-dedupe')
+            };
+            
+            const showSettings = settings => {
+              inputs.enabled.checked = settings.enabled;
+              inputs.source_label.value = settings.source_label;
+              inputs.base_tags.value = settings.base_tags.join(', ');
+              inputs.contact_sync_mode.value = settings.contact_sync_mode;
+              inputs.opt_in_policy.value = settings.opt_in_policy;
+              inputs.timezone.value = settings.timezone || '';
+              inputs.dedupe_window_minutes.value = settings.dedupe_window_minutes;
+            };
+            showSettings(settingsInfo.settings);
+            
+            saveSettingsBtn.addEventListener('click', async () => {
+              saveSettingsBtn.disabled = true;
+              saveSettingsBtn.textContent = 'Saving...';
+              settingsSuccess.style.display = 'none';
+              settingsError.style.display = 'none';
+              
+              const dedupe = inputs.dedupe_window_minutes.value.trim();
+              const values = {
+                enabled: inputs.enabled.checked,
+                source_label: inputs.source_label.value.trim() || null,
+                base_tags: inputs.base_tags.value.split(',').map(tag => tag.trim()).filter(tag => tag),
+                contact_sync_mode: inputs.contact_sync_mode.value,
+                opt_in_policy: inputs.opt_in_policy.value,
+                timezone: inputs.timezone.value.trim() || null,
+                dedupe_window_minutes: dedupe === '' ? null : Number(dedupe)
+              };
+              
+              try {
+                const response = await fetch('/api/locations/${locationId}/settings', {
+                  method: 'PUT',
+                  headers: { 'Content-Type': 'application/json' },
+                  body: JSON.stringify(values)
+                });
+                
+                const result = await response.json();
+                
+                if (result.success) {
+                  showSettings(result.settings);
+                  settingsSuccess.textContent = '✓ Settings saved. They apply to the next guest.';
+                  settingsSuccess.style.display = 'block';
+                } else {
+                  throw new Error((result.details || [result.error || 'Failed to save']).join('\\n'));
+                }
+              } catch (err) {
+                settingsError.textContent = 'Error: ' + err.message;
+                settingsError.style.whiteSpace = 'pre-line';
+                settingsError.style.display = 'block';
+              }
+              
+              saveSettingsBtn.disabled = false;
+              saveSettingsBtn.textContent = 'Save Settings';
+            });
+          }
+          
+          // Contact field mappings
+          const standardFields = ${toScript(STANDARD_FIELDS)};
+          const valueTypes = ${toScript(VALUE_TYPES)};
+          const fieldRows = document.getElementById('field-rows');
+          const saveFieldsBtn = document.getElementById('save-fields-btn');
+          const fieldsSuccess = document.getElementById('fields-success');
+          const fieldsError = document.getElementById('fields-error');
+          
+          function option(value, label, selected) {
+            const el = document.createElement('option');
+            el.value = value;
+            el.textContent = label;
+            el.selected = selected;
+            return el;
+          }
+          
+          let customFields = ${toScript(customFields)};
+          
+          // Target options are "standard:<field>", "custom:<key or id>" or "__other" (typed in)
+          function fillTargets(select, mapping) {
+            select.innerHTML = '';
+            
+            const standardGroup = document.createElement('optgroup');
+            standardGroup.label = 'Standard fields';
+            Object.keys(standardFields).forEach(field => {
+              const selected = mapping.target_type === 'standard' && mapping.target === field;
+              standardGroup.appendChild(option('standard:' + field, field, selected));
+            });
+            select.appendChild(standardGroup);
+            
+            const customGroup = document.createElement('optgroup');
+            customGroup.label = 'Custom fields';
+            let found = mapping.target_type !== 'custom';
+            customFields.forEach(field => {
+              const selected = mapping.target_type === 'custom' && (mapping.target === field.key || mapping.target === field.id);
+              found = found || selected;
+              customGroup.appendChild(option('custom:' + (field.key || field.id), field.name + (field.key ? ' (' + field.key + ')' : ''), selected));
+            });
+            select.appendChild(customGroup);
+            
+            select.appendChild(option('__other', 'Other custom field (ID or key)', !found));
+          }
+          
+          function addFieldRow(mapping) {
+            const row = document.createElement('tr');
+            
+            const source = document.createElement('input');
+            source.type = 'text';
+            source.className = 'source-path';
+            source.placeholder = 'form.birthday';
+            source.value = mapping.source_path || '';
+            
+            const target = document.createElement('select');
+            target.className = 'target';
+            fillTargets(target, mapping);
+            
+            const custom = document.createElement('input');
+            custom.type = 'text';
+            custom.className = 'custom-target';
+            custom.placeholder = 'contact.favorite_dish';
+            custom.value = target.value === '__other' ? (mapping.target || '') : '';
+            
+            const type = document.createElement('select');
+            type.className = 'value-type';
+            valueTypes.forEach(value => type.appendChild(option(value, value, mapping.value_type === value)));
+            
+            const overwrite = document.createElement('input');
+            overwrite.type = 'checkbox';
+            overwrite.className = 'overwrite';
+            overwrite.checked = mapping.overwrite === true;
+            
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'remove-btn';
+            remove.title = 'Remove';
+            remove.textContent = '×';
+            remove.addEventListener('click', () => row.remove());
+            
+            // Known fields always take the type GHL expects
+            const syncTarget = () => {
+              const [kind, name] = target.value.split(/:(.*)/);
+              const field = kind === 'custom' && customFields.find(f => (f.key || f.id) === name);
+              custom.disabled = kind !== '__other';
+              type.disabled = kind === 'standard' || Boolean(field);
+              if (kind === 'standard') type.value = standardFields[name];
+              if (field) type.value = field.value_type;
+            };
+            target.addEventListener('change', syncTarget);
+            row.syncTarget = syncTarget;
+            syncTarget();
+            
+            [source, target, custom, type, overwrite, remove].forEach(el => {
+              const cell = document.createElement('td');
+              cell.appendChild(el);
+              row.appendChild(cell);
+            });
+            
+            fieldRows.appendChild(row);
+          }
+          
+          function readFieldRows() {
+            return Array.from(fieldRows.querySelectorAll('tr')).map(row => {
+              const [kind, name] = row.querySelector('.target').value.split(/:(.*)/);
+              
+              return {
+                source_path: row.querySelector('.source-path').value.trim(),
+                target_type: kind === 'standard' ? 'standard' : 'custom',
+                target: kind === '__other' ? row.querySelector('.custom-target').value.trim() : name,
+                value_type: row.querySelector('.value-type').value,
+                overwrite: row.querySelector('.overwrite').checked
+              };
+            });
+          }
+          
+          // Rebuild every row's field list, keeping what each row has selected
+          function setCustomFields(fields) {
+            const mappings = readFieldRows();
+            customFields = fields;
+            
+            Array.from(fieldRows.querySelectorAll('tr')).forEach((row, index) => {
+              const target = row.querySelector('.target');
+              fillTargets(target, mappings[index]);
+              if (target.value !== '__other') row.querySelector('.custom-target').value = '';
+              row.syncTarget();
+            });
+          }
+          
+          async function loadCustomFields(url, options) {
+            fieldsSuccess.style.display = 'none';
+            fieldsError.style.display = 'none';
+            
+            try {
+              const response = await fetch(url, options);
+              const result = await response.json();
+              
+              if (!response.ok) {
+                throw new Error(result.error || 'Failed to load custom fields');
+              }
+              
+              setCustomFields(result.custom_fields);
+              return result;
+            } catch (err) {
+              fieldsError.textContent = 'Error: ' + err.message;
+              fieldsError.style.display = 'block';
+              return null;
+            }
+          }
+          
+          document.getElementById('refresh-custom-fields').addEventListener('click', async (e) => {
+            e.preventDefault();
+            const result = await loadCustomFields('/api/custom-fields/${locationId}?refresh=true');
+            
+            if (result) {
+              fieldsSuccess.textContent = '✓ Found ' + result.custom_fields.length + ' custom field(s) in GoHighLevel.';
+              fieldsSuccess.style.display = 'block';
+            }
+          });
+          
+          document.getElementById('create-vivaspot-fields').addEventListener('click', async (e) => {
+            e.preventDefault();
+            const result = await loadCustomFields('/api/custom-fields/${locationId}/vivaspot', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: '{}'
+            });
+            
+            if (result) {
+              fieldsSuccess.textContent = result.created.length > 0
+                ? '✓ Created ' + result.created.join(', ') + ' in GoHighLevel.'
+                : '✓ The VivaSpot fields are already in GoHighLevel.';
+              fieldsSuccess.style.display = 'block';
+            }
+          });
+          
+          ${toScript(fieldMappings)}.forEach(addFieldRow);
+          
+          // First visit: fetch the location's custom fields from GoHighLevel
+          if (${connection && !connection.custom_fields_synced_at}) {
+            loadCustomFields('/api/custom-fields/${locationId}');
+          }
+          
+          document.getElementById('add-field-btn').addEventListener('click', () => {
+            addFieldRow({ target_type: 'custom', target: customFields[0] ? (customFields[0].key || customFields[0].id) : '', value_type: 'string' });
+          });
+          
+          saveFieldsBtn.addEventListener('click', async () => {
+            saveFieldsBtn.disabled = true;
+            saveFieldsBtn.textContent = 'Saving...';
+            fieldsSuccess.style.display = 'none';
+            fieldsError.style.display = 'none';
+            
+            try {
+              const response = await fetch('/api/field-mappings/${locationId}', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ mappings: readFieldRows() })
+              });
+              
+              const result = await response.json();
+              
+              if (result.success) {
+                fieldsSuccess.textContent = '✓ Saved ' + result.mappings.length + ' contact field(s). New guests will include them.';
+                fieldsSuccess.style.display = 'block';
+              } else {
+                throw new Error((result.details || [result.error || 'Failed to save']).join('\\n'));
+              }
+            } catch (err) {
+              fieldsError.textContent = 'Error: ' + err.message;
+              fieldsError.style.whiteSpace = 'pre-line';
+              fieldsError.style.display = 'block';
+            }
+            
+            saveFieldsBtn.disabled = false;
+            saveFieldsBtn.textContent = 'Save Contact Fields';
+          });
         </script>
       </body>
     </html>
@@ -243,7 +721,7 @@ router.get('/:locationId', async (req, res) => {
  * 
  * Save manually entered MAC addresses
  */
-router.post('/:locationId/save', async (req, res) => {
+router.post('/:locationId/save', requireLocationAccess(req => req.params.locationId), async (req, res) => {
   const { locationId } = req.params;
   const { macAddresses } = req.body;
   
@@ -285,12 +763,23 @@ router.post('/:locationId/save', async (req, res) => {
       });
     }
     
-    // Create the mappings
-    const mapped = await createMacMappings(locationId, normalizedMacs);
+    // Create the mappings; MACs another active location uses are left alone
+    let mapped = 0;
+    const conflicts = [];
+    
+    for (const mac of normalizedMacs) {
+      const mapping = await saveMacMapping(locationId, mac);
+      
+      if (mapping.conflict) {
+        conflicts.push(mapping.mac_address);
+      } else {
+        mapped++;
+      }
+    }
     
-    console.log(`Manual setup: mapped ${mapped} MACs for location ${locationId}`);
+    console.log(`Manual setup: mapped ${mapped} MACs for location ${locationId} (${conflicts.length} in use elsewhere)`);
     
-    res.json({ success: true, mapped });
+    res.json({ success: true, mapped, conflicts });
     
   } catch (error) {
     console.error('Manual setup error:', error);
@@ -298,23 +787,4 @@ router.post('/:locationId/save', async (req, res) => {
   }
 });
 
-/**
- * Normalize MAC address to standard format (lowercase, colons)
- * Returns null if invalid
- */
-function normalizeMacAddress(mac) {
-  if (!mac) return null;
-  
-  // Remove all separators and whitespace
-  const cleaned = mac.replace(/[:\-\.\s]/g, '').toLowerCase();
-  
-  // Must be exactly 12 hex characters
-  if (!/^[0-9a-f]{12}$/.test(cleaned)) {
-    return null;
-  }
-  
-  // Format as xx:xx:xx:xx:xx:xx
-  return cleaned.match(/.{2}/g).join(':');
-}
-
 export default router;
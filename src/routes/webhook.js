@@ -1,19 +1,25 @@
 /**
  * Webhook Routes
  * 
- * Receives contact data from n8n and syncs to GoHighLevel.
+ * Receives contact data from n8n and queues it for syncing to GoHighLevel,
+ * and app lifecycle events from GHL.
+ * Contact endpoints require a webhook credential; GHL events require GHL's
+ * signature (see middleware/webhookAuth.js).
  */
 
 import { Router } from 'express';
-import { processContact } from '../services/sync.js';
-import { deactivateGHLConnection } from '../db/queries.js';
+import { enqueueContact, enqueueContacts } from '../services/queue.js';
+import { processGHLEvent } from '../services/ghlEvents.js';
+import { requireWebhookAuth, requireGHLSignature } from '../middleware/webhookAuth.js';
 
 const router = Router();
 
 /**
  * POST /webhook/contact
  * 
- * Receives contact data from n8n webhook and syncs to GHL.
+ * Receives contact data from n8n webhook and queues it for syncing to GHL.
+ * The contact is persisted before responding, so GHL outages are retried
+ * by the sync worker instead of dropping the guest.
  * 
  * Expected body from n8n:
  * {
@@ -23,15 +29,16 @@ const router = Router();
  *   "phone": "+15551234567",
  *   "opt_in": true | "Yes" | ["Item 1"]
  * }
+ * 
+ * Responds 202 with the job id; poll GET /api/jobs/:id for the outcome.
  */
-router.post('/contact', async (req, res) => {
-  const startTime = Date.now();
-  
+router.post('/contact', requireWebhookAuth, async (req, res) => {
   try {
     const { mac, email, name, phone, opt_in, mobile } = req.body;
     
     // Log incoming webhook
     console.log('Webhook received:', { 
+      source: req.webhookSource,
       mac, 
       email, 
       name, 
@@ -39,21 +46,12 @@ router.post('/contact', async (req, res) => {
       opt_in 
     });
     
-    // Process the contact
-    const result = await processContact({
-      mac,
-      email,
-      name,
-      phone: phone || mobile, // Handle both field names
-      opt_in
-    });
-    
-    const duration = Date.now() - startTime;
-    console.log(`Webhook processed in ${duration}ms:`, result);
+    const job = await enqueueContact(req.body);
     
-    res.json({
-      ...result,
-      processing_time_ms: duration
+    res.status(202).json({
+      status: 'queued',
+      job_id: job.id,
+      status_url: `/api/jobs/${job.id}`
     });
     
   } catch (error) {
@@ -68,7 +66,10 @@ router.post('/contact', async (req, res) => {
 /**
  * POST /webhook/contact/batch
  * 
- * Process multiple contacts at once (for batch operations).
+ * Queue multiple contacts at once (for batch operations).
+ * Each contact becomes its own sync job. Every entry is checked first and
+ * the jobs are inserted together, so a rejected or failed batch queues
+ * nothing and can be retried as a whole.
  * 
  * Expected body:
  * {
@@ -78,9 +79,7 @@ router.post('/contact', async (req, res) => {
  *   ]
  * }
  */
-router.post('/contact/batch', async (req, res) => {
-  const startTime = Date.now();
-  
+router.post('/contact/batch', requireWebhookAuth, async (req, res) => {
   try {
     const { contacts } = req.body;
     
@@ -88,37 +87,25 @@ router.post('/contact/batch', async (req, res) => {
       return res.status(400).json({ error: 'contacts must be an array' });
     }
     
-    console.log(`Processing batch of ${contacts.length} contacts`);
-    
-    const results = [];
+    const errors = contacts
+      .map((contact, index) => validateBatchContact(contact, index))
+      .filter(Boolean);
     
-    for (const contact of contacts) {
-      const result = await processContact(contact);
-      results.push({
-        email: contact.email,
-        ...result
-      });
-      
-      // Small delay between contacts to respect rate limits
-      await new Promise(resolve => setTimeout(resolve, 100));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid contacts; nothing was queued', details: errors });
     }
     
-    const duration = Date.now() - startTime;
+    console.log(`Queueing batch of ${contacts.length} contacts`);
     
-    // Summarize results
-    const summary = {
-      total: results.length,
-      success: results.filter(r => r.status === 'success').length,
-      skipped: results.filter(r => r.status === 'skipped').length,
-      errors: results.filter(r => r.status === 'error').length
-    };
+    const jobs = (await enqueueContacts(contacts)).map((job, index) => ({
+      email: contacts[index].email,
+      job_id: job.id
+    }));
     
-    console.log(`Batch processed in ${duration}ms:`, summary);
-    
-    res.json({
-      summary,
-      results,
-      processing_time_ms: duration
+    res.status(202).json({
+      status: 'queued',
+      total: jobs.length,
+      jobs
     });
     
   } catch (error) {
@@ -130,28 +117,67 @@ router.post('/contact/batch', async (req, res) => {
   }
 });
 
+/**
+ * Check one entry of a batch has what the sync needs to route it
+ * 
+ * @returns {string|null} - The problem, or null if the entry is usable
+ */
+function validateBatchContact(contact, index) {
+  const label = `contacts[${index}]`;
+  
+  if (!contact || typeof contact !== 'object' || Array.isArray(contact)) {
+    return `${label} must be an object`;
+  }
+  
+  if (typeof contact.mac !== 'string' || !contact.mac.trim()) {
+    return `${label}: mac is required`;
+  }
+  
+  if (typeof contact.email !== 'string' || !contact.email.trim()) {
+    return `${label}: email is required`;
+  }
+  
+  return null;
+}
+
+/**
+ * POST /webhook/ghl
+ * 
+ * Receives GHL marketplace webhooks (INSTALL, UNINSTALL, LocationUpdate,
+ * ContactDelete). The x-wh-signature header must verify against GHL's public key,
+ * and redelivered webhookIds are acknowledged without reprocessing.
+ */
+router.post('/ghl', requireGHLSignature, handleGHLWebhook);
+
 /**
  * POST /webhook/ghl/uninstall
  * 
- * Handles GHL app uninstall webhook.
- * Deactivates the connection when a user uninstalls the app.
+ * Older webhook URL, kept for apps still configured with it.
+ * Bodies without a type are treated as UNINSTALL.
  */
-router.post('/ghl/uninstall', async (req, res) => {
+router.post('/ghl/uninstall', requireGHLSignature, (req, res) => {
+  if (!req.body.type) {
+    req.body.type = 'UNINSTALL';
+  }
+  
+  return handleGHLWebhook(req, res);
+});
+
+async function handleGHLWebhook(req, res) {
   try {
-    const { locationId } = req.body;
-    
-    if (locationId) {
-      console.log('GHL app uninstalled for location:', locationId);
-      await deactivateGHLConnection(locationId);
+    if (!req.body?.type) {
+      return res.status(400).json({ error: 'Missing event type' });
     }
     
-    res.json({ success: true });
+    const result = await processGHLEvent(req.body, req.rawBody);
+    
+    res.json({ success: true, ...result });
     
   } catch (error) {
-    console.error('Uninstall webhook error:', error);
+    console.error('GHL webhook error:', error);
     res.status(500).json({ error: error.message });
   }
-});
+}
 
 /**
  * GET /webhook/health
@@ -0,0 +1,107 @@
+/**
+ * CSV Helpers
+ * 
+ * Minimal RFC 4180 reading and writing: quoted fields, doubled quotes,
+ * commas and line breaks inside quotes, CRLF or LF line endings. Enough
+ * for spreadsheets exported from Google Sheets or Excel.
+ */
+
+/**
+ * Parse CSV text into rows of string cells
+ * A leading byte-order mark is ignored, and so are blank lines.
+ * 
+ * @param {string} text
+ * @returns {Array} - [{ line, cells: string[] }], line being 1-based
+ */
+export function parseCsv(text) {
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  const rows = [];
+  
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  
+  const endRow = () => {
+    cells.push(cell);
+    
+    if (cells.length > 1 || cells[0].trim() !== '') {
+      rows.push({ line: rowLine, cells });
+    }
+    
+    cells = [];
+    cell = '';
+  };
+  
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+      continue;
+    }
+    
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+  
+  if (cell !== '' || cells.length > 0) {
+    endRow();
+  }
+  
+  return rows;
+}
+
+/**
+ * Quote a cell if it contains a separator, quote or line break
+ */
+function formatCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from objects
+ * 
+ * @param {Array} records - Objects to write, one per row
+ * @param {string[]} columns - Keys to write, in order (also the header row)
+ * @returns {string}
+ */
+export function toCsv(records, columns) {
+  const lines = [columns.map(formatCell).join(',')];
+  
+  for (const record of records) {
+    lines.push(columns.map(column => formatCell(record[column])).join(','));
+  }
+  
+  return lines.join('\r\n') + '\r\n';
+}
+
+export default {
+  parseCsv,
+  toCsv
+};
@@ -0,0 +1,162 @@
+/**
+ * GHL Custom Fields
+ * 
+ * Caches each location's GHL contact custom fields (ghl_custom_fields) so the
+ * setup page can offer them for field mappings and the sync can resolve
+ * field keys to ids. Also creates the standard VivaSpot fields on install
+ * and fills them from each guest's visit history.
+ */
+
+import { getCachedCustomFields, replaceCachedCustomFields } from '../db/queries.js';
+import { withValidToken, getCustomFields, createCustomField } from './ghl.js';
+
+// Created on every location at install unless GHL_CREATE_CUSTOM_FIELDS=false.
+// GHL derives each key from the name.
+export const VIVASPOT_CUSTOM_FIELDS = [
+  { name: 'First WiFi Visit', key: 'contact.first_wifi_visit', dataType: 'DATE' },
+  { name: 'Last WiFi Visit', key: 'contact.last_wifi_visit', dataType: 'DATE' },
+  { name: 'WiFi Visit Count', key: 'contact.wifi_visit_count', dataType: 'NUMERICAL' },
+  { name: 'WiFi Venue', key: 'contact.wifi_venue', dataType: 'TEXT' }
+];
+
+// GHL data types that need a non-string value (field mapping value_type)
+const VALUE_TYPES_BY_DATA_TYPE = {
+  NUMERICAL: 'number',
+  MONETORY: 'number',
+  DATE: 'date'
+};
+
+/**
+ * Custom field values for a guest's visit history (see recordGuestVisit)
+ * Fields the location doesn't have (not in its cache) are left out, so a
+ * location without the VivaSpot fields syncs as before. Dates are UTC.
+ * 
+ * @param {Object} stats - guest_visit_stats row
+ * @param {string|null} venue - Where the guest last logged in
+ * @param {Array} customFieldDefs - ghl_custom_fields rows for the location
+ * @returns {Array} - [{ target, id, value, overwrite: true }], as from applyFieldMappings
+ */
+export function visitCustomFields(stats, venue, customFieldDefs) {
+  const values = {
+    'contact.first_wifi_visit': stats.first_visit_at.toISOString().slice(0, 10),
+    'contact.last_wifi_visit': stats.last_visit_at.toISOString().slice(0, 10),
+    'contact.wifi_visit_count': stats.visit_count,
+    'contact.wifi_venue': venue
+  };
+  
+  return customFieldDefs
+    .filter(def => values[def.field_key] !== undefined && values[def.field_key] !== null)
+    .map(def => ({ target: def.field_key, id: def.field_id, value: values[def.field_key], overwrite: true }));
+}
+
+/**
+ * Format a cached custom field for the API and setup page
+ */
+export function toCustomFieldOption(row) {
+  return {
+    id: row.field_id,
+    name: row.name,
+    key: row.field_key,
+    data_type: row.data_type,
+    value_type: VALUE_TYPES_BY_DATA_TYPE[row.data_type] || 'string'
+  };
+}
+
+/**
+ * Fetch a location's custom fields from GHL into the cache
+ * 
+ * @param {Object} connection - ghl_connections row
+ * @returns {Array} - ghl_custom_fields rows
+ */
+export async function refreshCustomFields(connection) {
+  const fields = await withValidToken(connection, accessToken =>
+    getCustomFields(accessToken, connection.ghl_location_id)
+  );
+  
+  return replaceCachedCustomFields(connection.ghl_location_id, fields);
+}
+
+/**
+ * Get a location's custom fields, fetching them from GHL the first time
+ * 
+ * @param {Object} connection - ghl_connections row
+ * @param {Object} options
+ * @param {boolean} options.refresh - Fetch from GHL even if cached
+ * @returns {Array} - ghl_custom_fields rows
+ */
+export async function listCustomFields(connection, { refresh = false } = {}) {
+  if (refresh || !connection.custom_fields_synced_at) {
+    return refreshCustomFields(connection);
+  }
+  
+  return getCachedCustomFields(connection.ghl_location_id);
+}
+
+/**
+ * Create whichever VivaSpot custom fields the location doesn't have yet
+ * A field already there under the same key or name is left alone.
+ * 
+ * @param {Object} connection - ghl_connections row
+ * @returns {Object} - { created: string[], existing: string[], fields: ghl_custom_fields rows }
+ */
+export async function createVivaSpotCustomFields(connection) {
+  const locationId = connection.ghl_location_id;
+  
+  return withValidToken(connection, async accessToken => {
+    const fields = await getCustomFields(accessToken, locationId);
+    const created = [];
+    const existing = [];
+    
+    for (const definition of VIVASPOT_CUSTOM_FIELDS) {
+      const found = fields.find(field =>
+        field.fieldKey === definition.key || field.name?.toLowerCase() === definition.name.toLowerCase()
+      );
+      
+      if (found) {
+        existing.push(definition.name);
+        continue;
+      }
+      
+      fields.push(await createCustomField(accessToken, locationId, definition));
+      created.push(definition.name);
+    }
+    
+    const rows = await replaceCachedCustomFields(locationId, fields);
+    
+    console.log(`VivaSpot custom fields for ${locationId}: ${created.length} created, ${existing.length} already there`);
+    
+    return { created, existing, fields: rows };
+  });
+}
+
+/**
+ * Set up custom fields for a newly connected location
+ * Failures (e.g. an install without the custom field scopes) are logged and
+ * don't stop the install; the fields can be created later from the setup page.
+ * 
+ * @param {Object} connection - ghl_connections row
+ * @returns {Object|null} - createVivaSpotCustomFields result, or null if skipped or failed
+ */
+export async function setUpCustomFields(connection) {
+  try {
+    if (process.env.GHL_CREATE_CUSTOM_FIELDS === 'false') {
+      await refreshCustomFields(connection);
+      return null;
+    }
+    
+    return await createVivaSpotCustomFields(connection);
+  } catch (error) {
+    console.error(`Custom field setup failed for ${connection.ghl_location_id}:`, error.message);
+    return null;
+  }
+}
+
+export default {
+  VIVASPOT_CUSTOM_FIELDS,
+  visitCustomFields,
+  toCustomFieldOption,
+  refreshCustomFields,
+  listCustomFields,
+  createVivaSpotCustomFields,
+  setUpCustomFields
+};
@@ -0,0 +1,298 @@
+/**
+ * Field Mapping
+ * 
+ * Maps extra webhook payload values (birthday, zip code, survey answers...)
+ * to GHL contact fields, per location. A mapping reads a payload key, which
+ * may be a dot-separated path into nested objects (form.birthday), coerces
+ * the value to a type and writes it to a GHL standard field or custom field.
+ * 
+ * Pure functions only; mappings are stored in field_mappings (db/queries.js).
+ */
+
+// GHL standard contact fields a mapping may target, with the type each takes.
+// email isn't mappable: it identifies the guest before the location is known.
+export const STANDARD_FIELDS = {
+  firstName: 'string',
+  lastName: 'string',
+  name: 'string',
+  phone: 'string',
+  dateOfBirth: 'date',
+  gender: 'string',
+  address1: 'string',
+  city: 'string',
+  state: 'string',
+  postalCode: 'string',
+  country: 'string',
+  companyName: 'string',
+  website: 'string',
+  timezone: 'string'
+};
+
+export const VALUE_TYPES = ['string', 'number', 'date', 'boolean'];
+
+const MAX_MAPPINGS = 50;
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'on'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'off'];
+
+/**
+ * Read a value from the payload by key or dot-separated path
+ * A literal key containing dots wins over a nested lookup. Array items are
+ * addressed by index (answers.0).
+ * 
+ * @param {Object} payload
+ * @param {string} path - e.g. "zip" or "form.birthday"
+ * @returns {*} - The value, or undefined
+ */
+export function getPath(payload, path) {
+  if (!payload || typeof payload !== 'object') return undefined;
+  
+  if (Object.prototype.hasOwnProperty.call(payload, path)) {
+    return payload[path];
+  }
+  
+  let value = payload;
+  
+  for (const part of path.split('.')) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, part)) {
+      return undefined;
+    }
+    value = value[part];
+  }
+  
+  return value;
+}
+
+/**
+ * Format a year, month and day as YYYY-MM-DD if they make a real date
+ */
+function formatDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a date from YYYY-MM-DD (optionally with a time), MM/DD/YYYY or a timestamp
+ */
+function parseDate(value) {
+  if (typeof value === 'number') {
+    // Unix seconds or milliseconds
+    const date = new Date(value < 1e11 ? value * 1000 : value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+  }
+  
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/);
+  
+  if (match) {
+    return formatDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+  
+  // US portals send month first
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  
+  if (match) {
+    return formatDate(Number(match[3]), Number(match[1]), Number(match[2]));
+  }
+  
+  return null;
+}
+
+/**
+ * Coerce a payload value to a mapping's type
+ * Empty values (null, undefined, blank strings, empty arrays) are skipped.
+ * 
+ * @param {*} value
+ * @param {string} type - One of VALUE_TYPES
+ * @returns {Object} - { value } on success, { skip: true } if empty, { error } if invalid
+ */
+export function coerceValue(value, type) {
+  if (value === null || value === undefined || (typeof value === 'string' && value.trim() === '')) {
+    return { skip: true };
+  }
+  
+  if (Array.isArray(value) && value.length === 0) {
+    return type === 'boolean' ? { value: false } : { skip: true };
+  }
+  
+  if (type === 'boolean') {
+    if (typeof value === 'boolean') return { value };
+    
+    // Checkbox answers arrive as a list of the checked items, like opt_in
+    if (Array.isArray(value)) return { value: true };
+    
+    const text = String(value).trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) return { value: true };
+    if (FALSE_VALUES.includes(text)) return { value: false };
+    return { error: `"${value}" is not a yes/no value` };
+  }
+  
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    return { error: 'is an object, not a single value' };
+  }
+  
+  if (type === 'number') {
+    const number = typeof value === 'number' ? value : Number(String(value).replace(/[,\s]/g, ''));
+    return Number.isFinite(number) ? { value: number } : { error: `"${value}" is not a number` };
+  }
+  
+  if (type === 'date') {
+    const date = parseDate(value);
+    return date ? { value: date } : { error: `"${value}" is not a date` };
+  }
+  
+  const text = Array.isArray(value) ? value.map(String).join(', ') : String(value).trim();
+  return { value: text };
+}
+
+/**
+ * Validate and normalize a location's field mappings
+ * Standard fields always use the type GHL expects for them.
+ * 
+ * @param {Array} input - [{ source_path, target_type, target, value_type, overwrite }]
+ * @returns {Object} - { mappings, errors: string[] }
+ */
+export function validateFieldMappings(input) {
+  if (!Array.isArray(input)) {
+    return { mappings: [], errors: ['mappings must be an array'] };
+  }
+  
+  if (input.length > MAX_MAPPINGS) {
+    return { mappings: [], errors: [`At most ${MAX_MAPPINGS} field mappings are allowed`] };
+  }
+  
+  const mappings = [];
+  const errors = [];
+  const targets = new Set();
+  
+  input.forEach((item, index) => {
+    const label = `Mapping ${index + 1}`;
+    const sourcePath = typeof item?.source_path === 'string' ? item.source_path.trim() : '';
+    const target = typeof item?.target === 'string' ? item.target.trim() : '';
+    const targetType = item?.target_type;
+    let valueType = item?.value_type || 'string';
+    
+    if (!sourcePath || sourcePath.length > 255 || /\s/.test(sourcePath)) {
+      errors.push(`${label}: source_path is required (a payload key such as form.birthday, without spaces)`);
+      return;
+    }
+    
+    if (targetType === 'standard') {
+      if (!STANDARD_FIELDS[target]) {
+        errors.push(`${label}: unknown GHL field "${target}". Use one of: ${Object.keys(STANDARD_FIELDS).join(', ')}`);
+        return;
+      }
+      valueType = STANDARD_FIELDS[target];
+    } else if (targetType === 'custom') {
+      if (!target || target.length > 255 || !/^[A-Za-z0-9_.-]+$/.test(target)) {
+        errors.push(`${label}: target must be a GHL custom field id or key (e.g. contact.favorite_dish)`);
+        return;
+      }
+      
+      if (!VALUE_TYPES.includes(valueType)) {
+        errors.push(`${label}: value_type must be one of: ${VALUE_TYPES.join(', ')}`);
+        return;
+      }
+    } else {
+      errors.push(`${label}: target_type must be standard or custom`);
+      return;
+    }
+    
+    if (item.overwrite !== undefined && typeof item.overwrite !== 'boolean') {
+      errors.push(`${label}: overwrite must be true or false`);
+      return;
+    }
+    
+    const key = `${targetType}:${target}`;
+    
+    if (targets.has(key)) {
+      errors.push(`${label}: ${target} is already mapped`);
+      return;
+    }
+    
+    targets.add(key);
+    mappings.push({
+      source_path: sourcePath,
+      target_type: targetType,
+      target,
+      value_type: valueType,
+      overwrite: item.overwrite === true
+    });
+  });
+  
+  return { mappings, errors };
+}
+
+/**
+ * Read a payload through a location's field mappings
+ * Values that fail coercion are left out and reported as warnings; they
+ * never stop the contact from syncing. Custom field keys are resolved to ids
+ * through the location's cached GHL custom fields where known.
+ * 
+ * @param {Object} payload - The webhook payload
+ * @param {Array} mappings - field_mappings rows
+ * @param {Array} customFieldDefs - ghl_custom_fields rows for the location
+ * @returns {Object} - {
+ *   fields: { standardField: value },
+ *   customFields: [{ target, id?, value, overwrite }],
+ *   overwrite: standard field names that may replace existing values,
+ *   warnings: string[]
+ * }
+ */
+export function applyFieldMappings(payload, mappings, customFieldDefs = []) {
+  const fieldIds = new Map(customFieldDefs.map(def => [def.field_key, def.field_id]));
+  const knownIds = new Set(customFieldDefs.map(def => def.field_id));
+  const fields = {};
+  const customFields = [];
+  const overwrite = [];
+  const warnings = [];
+  
+  for (const mapping of mappings || []) {
+    const result = coerceValue(getPath(payload, mapping.source_path), mapping.value_type);
+    
+    if (result.skip) continue;
+    
+    if (result.error) {
+      warnings.push(`${mapping.source_path}: ${result.error}`);
+      continue;
+    }
+    
+    if (mapping.target_type === 'standard') {
+      fields[mapping.target] = result.value;
+      if (mapping.overwrite) overwrite.push(mapping.target);
+    } else {
+      const id = knownIds.has(mapping.target) ? mapping.target : fieldIds.get(mapping.target);
+      customFields.push({ target: mapping.target, id, value: result.value, overwrite: mapping.overwrite });
+    }
+  }
+  
+  return { fields, customFields, overwrite, warnings };
+}
+
+/**
+ * Format a mapped custom field for the GHL contacts API
+ * Without a resolved id, targets like "contact.favorite_dish" are sent as
+ * keys; anything else is taken to be an id.
+ */
+export function toGHLCustomField({ target, id, value }) {
+  if (id) return { id, field_value: value };
+  
+  return target.startsWith('contact.')
+    ? { key: target, field_value: value }
+    : { id: target, field_value: value };
+}
+
+export default {
+  STANDARD_FIELDS,
+  VALUE_TYPES,
+  getPath,
+  coerceValue,
+  validateFieldMappings,
+  applyFieldMappings,
+  toGHLCustomField
+};
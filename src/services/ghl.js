@@ -1,14 +1,35 @@
 /**
  * GoHighLevel API Service
  * 
- * Handles OAuth token exchange, refresh, and contact creation.
+ * Handles OAuth token exchange, refresh, contact creation and custom fields.
  */
 
-import { updateGHLTokens } from '../db/queries.js';
+import { 
+  getGHLConnection, 
+  updateGHLTokens, 
+  recordTokenRefreshFailure, 
+  markConnectionNeedsReauth,
+  getGHLCompany,
+  updateGHLCompanyTokens,
+  deactivateGHLCompany
+} from '../db/queries.js';
 
 const GHL_API_BASE = 'https://services.leadconnectorhq.com';
 const GHL_AUTH_URL = 'https://marketplace.gohighlevel.com/oauth/chooselocation';
 
+// Refresh tokens are single-use, so only one refresh per location may be in flight
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const refreshLocks = new Map();
+
+/**
+ * Build an Error that carries the HTTP status of a failed GHL response
+ */
+function apiError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
 // ============================================================
 // OAuth & Authorization
 // ============================================================
@@ -21,7 +42,16 @@ export function getAuthorizationUrl(state) {
     response_type: 'code',
     client_id: process.env.GHL_CLIENT_ID,
     redirect_uri: process.env.GHL_REDIRECT_URI,
-    scope: 'contacts.write contacts.readonly locations.readonly',
+    // oauth.* scopes let agency installs list locations and mint location tokens
+    scope: [
+      'contacts.write',
+      'contacts.readonly',
+      'locations.readonly',
+      'locations/customFields.readonly',
+      'locations/customFields.write',
+      'oauth.readonly',
+      'oauth.write'
+    ].join(' '),
     state: state || ''
   });
 
@@ -113,7 +143,16 @@ export async function refreshAccessToken(refreshToken) {
 
   if (!response.ok) {
     const error = await response.text();
-    throw new Error(`Token refresh failed: ${error}`);
+    const err = apiError(`Token refresh failed: ${error}`, response.status);
+    
+    // OAuth errors come back as { error: 'invalid_grant', error_description: '...' }
+    try {
+      err.code = JSON.parse(error).error;
+    } catch {
+      // Non-JSON error body
+    }
+    
+    throw err;
   }
 
   const data = await response.json();
@@ -126,31 +165,274 @@ export async function refreshAccessToken(refreshToken) {
 }
 
 /**
- * Check if token needs refresh and refresh if necessary
+ * List the locations of an agency where this app is installed
+ * 
+ * @param {string} agencyToken - Company-level access token
+ * @param {string} companyId - The GHL company ID
+ * @returns {Array} - [{ _id, name, address, ... }]
  */
-export async function ensureValidToken(connection) {
+export async function getInstalledLocations(agencyToken, companyId) {
+  const params = new URLSearchParams({
+    companyId,
+    appId: process.env.GHL_APP_ID || '',
+    isInstalled: 'true',
+    limit: '500'
+  });
+  
+  const response = await fetch(`${GHL_API_BASE}/oauth/installedLocations?${params.toString()}`, {
+    headers: {
+      'Authorization': `Bearer ${agencyToken}`,
+      'Version': '2021-07-28',
+      'Accept': 'application/json'
+    }
+  });
+  
+  if (!response.ok) {
+    const error = await response.text();
+    throw apiError(`Get installed locations failed: ${response.status} - ${error}`, response.status);
+  }
+  
+  const data = await response.json();
+  return data.locations || [];
+}
+
+/**
+ * Mint a location access token from an agency token
+ * 
+ * @param {string} agencyToken - Company-level access token
+ * @param {string} companyId - The GHL company ID
+ * @param {string} locationId - The sub-account to mint a token for
+ * @returns {Object} - { accessToken, refreshToken, expiresIn }
+ */
+export async function getLocationToken(agencyToken, companyId, locationId) {
+  const response = await fetch(`${GHL_API_BASE}/oauth/locationToken`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${agencyToken}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Version': '2021-07-28',
+      'Accept': 'application/json'
+    },
+    body: new URLSearchParams({ companyId, locationId })
+  });
+  
+  if (!response.ok) {
+    const error = await response.text();
+    throw apiError(`Location token exchange failed: ${response.status} - ${error}`, response.status);
+  }
+  
+  const data = await response.json();
+  
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || null,
+    expiresIn: data.expires_in
+  };
+}
+
+/**
+ * Check whether a connection's access token expires within the refresh margin
+ */
+function isTokenExpiring(connection) {
   const expiresAt = new Date(connection.token_expires_at);
-  const fiveMinutesFromNow = new Date(Date.now() + 5 * 60 * 1000);
+  return expiresAt.getTime() <= Date.now() + TOKEN_REFRESH_MARGIN_MS;
+}
+
+/**
+ * Check whether a refresh failure means the grant is gone for good
+ * (refresh token expired, revoked, or the app was uninstalled)
+ */
+export function isRevokedGrant(error) {
+  return error.code === 'invalid_grant' || error.code === 'unauthorized_client';
+}
+
+/**
+ * Refresh a connection's access token under a per-location lock
+ * 
+ * Concurrent callers for the same location share one refresh request. The
+ * connection row is re-read first, so a caller holding a stale token picks up
+ * a refresh that another request already completed instead of spending the
+ * (single-use) refresh token a second time.
+ * 
+ * @param {Object} connection - ghl_connections row
+ * @param {Object} options
+ * @param {boolean} options.force - Refresh even if the token is not near expiry (e.g. after a 401)
+ * @param {string} options.staleToken - The token the caller found unusable (defaults to the connection's)
+ * @returns {string} - A usable access token
+ */
+export async function refreshConnectionToken(connection, { force = false, staleToken = connection.access_token } = {}) {
+  const locationId = connection.ghl_location_id;
+  
+  if (refreshLocks.has(locationId)) {
+    return refreshLocks.get(locationId);
+  }
+  
+  const refresh = (async () => {
+    const current = await getGHLConnection(locationId) || connection;
+    
+    // Someone else refreshed since this caller loaded the connection
+    if (current.access_token !== staleToken && !isTokenExpiring(current)) {
+      return current.access_token;
+    }
+    
+    if (!force && !isTokenExpiring(current)) {
+      return current.access_token;
+    }
+    
+    console.log(`Refreshing token for location ${locationId}`);
+    
+    let newTokens;
+    
+    try {
+      newTokens = current.install_type === 'company'
+        ? await mintCompanyLocationToken(current)
+        : await refreshAccessToken(current.refresh_token);
+    } catch (error) {
+      if (isRevokedGrant(error)) {
+        console.error(`Refresh token rejected for location ${locationId}, flagging for re-authorization`);
+        await markConnectionNeedsReauth(locationId, error.message);
+      } else {
+        await recordTokenRefreshFailure(locationId, error.message);
+      }
+      throw error;
+    }
+    
+    await updateGHLTokens({
+      locationId,
+      accessToken: newTokens.accessToken,
+      refreshToken: newTokens.refreshToken || current.refresh_token,
+      expiresIn: newTokens.expiresIn
+    });
+    
+    return newTokens.accessToken;
+  })();
+  
+  refreshLocks.set(locationId, refresh);
+  
+  try {
+    return await refresh;
+  } finally {
+    refreshLocks.delete(locationId);
+  }
+}
+
+/**
+ * Mint a fresh token for a location provisioned from an agency install
+ * A missing or revoked agency install is reported as invalid_grant, so the
+ * location is flagged for re-authorization like any other revoked grant.
+ */
+async function mintCompanyLocationToken(connection) {
+  const company = await getGHLCompany(connection.ghl_company_id);
+  
+  if (!company) {
+    const error = new Error(`Agency install for company ${connection.ghl_company_id} is no longer active`);
+    error.code = 'invalid_grant';
+    throw error;
+  }
+  
+  const agencyToken = await ensureCompanyToken(company);
+  return getLocationToken(agencyToken, company.ghl_company_id, connection.ghl_location_id);
+}
+
+/**
+ * Get a valid agency access token, refreshing it under a per-company lock
+ * 
+ * @param {Object} company - ghl_companies row
+ * @returns {string} - A usable agency access token
+ */
+export async function ensureCompanyToken(company) {
+  if (!isTokenExpiring(company)) {
+    return company.access_token;
+  }
   
-  if (expiresAt > fiveMinutesFromNow) {
+  const lockKey = `company:${company.ghl_company_id}`;
+  
+  if (refreshLocks.has(lockKey)) {
+    return refreshLocks.get(lockKey);
+  }
+  
+  const refresh = (async () => {
+    const current = await getGHLCompany(company.ghl_company_id) || company;
+    
+    if (!isTokenExpiring(current)) {
+      return current.access_token;
+    }
+    
+    console.log(`Refreshing agency token for company ${current.ghl_company_id}`);
+    
+    let newTokens;
+    
+    try {
+      newTokens = await refreshAccessToken(current.refresh_token);
+    } catch (error) {
+      if (isRevokedGrant(error)) {
+        console.error(`Agency refresh token rejected for company ${current.ghl_company_id}`);
+        await deactivateGHLCompany(current.ghl_company_id, { needsReauth: true });
+      }
+      throw error;
+    }
+    
+    await updateGHLCompanyTokens({
+      companyId: current.ghl_company_id,
+      accessToken: newTokens.accessToken,
+      refreshToken: newTokens.refreshToken || current.refresh_token,
+      expiresIn: newTokens.expiresIn
+    });
+    
+    return newTokens.accessToken;
+  })();
+  
+  refreshLocks.set(lockKey, refresh);
+  
+  try {
+    return await refresh;
+  } finally {
+    refreshLocks.delete(lockKey);
+  }
+}
+
+/**
+ * Check if token needs refresh and refresh if necessary
+ */
+export async function ensureValidToken(connection) {
+  if (!isTokenExpiring(connection)) {
     // Token is still valid
     return connection.access_token;
   }
   
-  console.log(`Refreshing token for location ${connection.ghl_location_id}`);
-  
   // Token is expiring soon, refresh it
-  const newTokens = await refreshAccessToken(connection.refresh_token);
-  
-  // Update database
-  await updateGHLTokens({
-    locationId: connection.ghl_location_id,
-    accessToken: newTokens.accessToken,
-    refreshToken: newTokens.refreshToken,
-    expiresIn: newTokens.expiresIn
-  });
+  return refreshConnectionToken(connection);
+}
+
+/**
+ * Run a GHL API call with a valid access token for a connection
+ * 
+ * Refreshes proactively before expiry, and if GHL still answers 401
+ * (token revoked or rotated elsewhere) refreshes once and retries.
+ * 
+ * @param {Object} connection - ghl_connections row
+ * @param {Function} apiCall - async (accessToken) => result
+ * @returns {*} - Whatever apiCall returns
+ */
+export async function withValidToken(connection, apiCall) {
+  const accessToken = await ensureValidToken(connection);
   
-  return newTokens.accessToken;
+  try {
+    return await apiCall(accessToken);
+  } catch (error) {
+    if (error.status !== 401) {
+      throw error;
+    }
+    
+    console.log(`GHL returned 401 for location ${connection.ghl_location_id}, refreshing token and retrying`);
+    
+    const refreshedToken = await refreshConnectionToken(connection, {
+      force: true,
+      staleToken: accessToken
+    });
+    
+    return apiCall(refreshedToken);
+  }
 }
 
 // ============================================================
@@ -159,6 +441,10 @@ export async function ensureValidToken(connection) {
 
 /**
  * Create a contact in GoHighLevel
+ * Other standard fields (dateOfBirth, postalCode, ...) are passed through.
+ * 
+ * @param {string} accessToken - The GHL access token
+ * @param {Object} contact - Contact fields; customFields as [{ id | key, field_value }]
  */
 export async function createContact(accessToken, { 
   locationId, 
@@ -167,7 +453,9 @@ export async function createContact(accessToken, {
   lastName, 
   phone, 
   source = 'VivaSpot WiFi',
-  tags = ['Vivaspot-WiFi']
+  tags = ['Vivaspot-WiFi'],
+  customFields = [],
+  ...fields
 }) {
   const body = {
     locationId,
@@ -180,6 +468,11 @@ export async function createContact(accessToken, {
   if (firstName) body.firstName = firstName;
   if (lastName) body.lastName = lastName;
   if (phone) body.phone = phone;
+  if (customFields.length > 0) body.customFields = customFields;
+  
+  for (const [field, value] of Object.entries(fields)) {
+    if (value !== null && value !== undefined && value !== '') body[field] = value;
+  }
 
   const response = await fetch(`${GHL_API_BASE}/contacts/`, {
     method: 'POST',
@@ -193,7 +486,7 @@ export async function createContact(accessToken, {
 
   if (!response.ok) {
     const error = await response.text();
-    throw new Error(`Create contact failed: ${response.status} - ${error}`);
+    throw apiError(`Create contact failed: ${response.status} - ${error}`, response.status);
   }
 
   const data = await response.json();
@@ -208,31 +501,106 @@ export async function createGHLContact(accessToken, contactData) {
 }
 
 /**
- * Search for an existing contact by email
+ * Update fields on an existing GHL contact
+ * 
+ * @param {string} accessToken - The GHL access token
+ * @param {string} contactId - The GHL contact ID
+ * @param {Object} fields - Contact fields to set (firstName, lastName, phone, ...)
+ * @returns {Object} - The updated contact
  */
-export async function findContactByEmail(accessToken, locationId, email) {
-  const params = new URLSearchParams({
-    locationId,
-    query: email
+export async function updateContact(accessToken, contactId, fields) {
+  const response = await fetch(`${GHL_API_BASE}/contacts/${contactId}`, {
+    method: 'PUT',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      'Version': '2021-07-28'
+    },
+    body: JSON.stringify(fields)
   });
+  
+  if (!response.ok) {
+    const error = await response.text();
+    throw apiError(`Update contact failed: ${response.status} - ${error}`, response.status);
+  }
+  
+  const data = await response.json();
+  return data.contact;
+}
 
-  const response = await fetch(`${GHL_API_BASE}/contacts/search/duplicate?${params}`, {
-    method: 'GET',
+/**
+ * Add tags to an existing GHL contact (existing tags are kept)
+ * 
+ * @param {string} accessToken - The GHL access token
+ * @param {string} contactId - The GHL contact ID
+ * @param {string[]} tags - Tags to add
+ * @returns {string[]} - The contact's tags after the update
+ */
+export async function addContactTags(accessToken, contactId, tags) {
+  const response = await fetch(`${GHL_API_BASE}/contacts/${contactId}/tags`, {
+    method: 'POST',
     headers: {
       'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
       'Version': '2021-07-28'
-    }
+    },
+    body: JSON.stringify({ tags })
   });
-
+  
   if (!response.ok) {
-    // 404 means no contact found, which is fine
-    if (response.status === 404) return null;
     const error = await response.text();
-    throw new Error(`Contact search failed: ${response.status} - ${error}`);
+    throw apiError(`Add contact tags failed: ${response.status} - ${error}`, response.status);
   }
-
+  
   const data = await response.json();
-  return data.contact || null;
+  return data.tags;
+}
+
+/**
+ * Search for an existing contact by email or phone
+ * Uses the location's duplicate-contact rules, so results match what GHL
+ * would reject as a duplicate on create.
+ * 
+ * @param {string} accessToken - The GHL access token
+ * @param {string} locationId - The GHL location ID
+ * @param {Object} lookup - { email, phone }; email is tried first
+ * @returns {Object|null} - The matching contact or null
+ */
+export async function findDuplicateContact(accessToken, locationId, { email, phone }) {
+  const lookups = [];
+  if (email) lookups.push({ email });
+  if (phone) lookups.push({ number: phone });
+  
+  for (const lookup of lookups) {
+    const params = new URLSearchParams({ locationId, ...lookup });
+    
+    const response = await fetch(`${GHL_API_BASE}/contacts/search/duplicate?${params}`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Version': '2021-07-28'
+      }
+    });
+    
+    if (!response.ok) {
+      // 404 means no contact found, which is fine
+      if (response.status === 404) continue;
+      const error = await response.text();
+      throw apiError(`Contact search failed: ${response.status} - ${error}`, response.status);
+    }
+    
+    const data = await response.json();
+    if (data.contact) return data.contact;
+  }
+  
+  return null;
+}
+
+/**
+ * Search for an existing contact by email
+ */
+export async function findContactByEmail(accessToken, locationId, email) {
+  return findDuplicateContact(accessToken, locationId, { email });
 }
 
 // ============================================================
@@ -253,7 +621,7 @@ export async function getLocation(accessToken, locationId) {
 
   if (!response.ok) {
     const error = await response.text();
-    throw new Error(`Get location failed: ${response.status} - ${error}`);
+    throw apiError(`Get location failed: ${response.status} - ${error}`, response.status);
   }
 
   const data = await response.json();
@@ -279,13 +647,73 @@ export async function getGHLLocation(accessToken, locationId) {
   if (!response.ok) {
     const error = await response.text();
     console.error('GHL Location API error:', error);
-    throw new Error(`Failed to get location: ${response.status}`);
+    throw apiError(`Failed to get location: ${response.status}`, response.status);
   }
   
   const data = await response.json();
   return data.location || data;
 }
 
+// ============================================================
+// Custom Fields
+// ============================================================
+
+/**
+ * List a location's contact custom fields
+ * 
+ * @param {string} accessToken - The GHL access token
+ * @param {string} locationId - The GHL location ID
+ * @returns {Array} - [{ id, name, fieldKey, dataType, ... }]
+ */
+export async function getCustomFields(accessToken, locationId) {
+  const params = new URLSearchParams({ model: 'contact' });
+  
+  const response = await fetch(`${GHL_API_BASE}/locations/${locationId}/customFields?${params}`, {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Version': '2021-07-28',
+      'Accept': 'application/json'
+    }
+  });
+  
+  if (!response.ok) {
+    const error = await response.text();
+    throw apiError(`Get custom fields failed: ${response.status} - ${error}`, response.status);
+  }
+  
+  const data = await response.json();
+  return data.customFields || [];
+}
+
+/**
+ * Create a contact custom field on a location
+ * GHL derives the field key from the name ("WiFi Venue" → contact.wifi_venue).
+ * 
+ * @param {string} accessToken - The GHL access token
+ * @param {string} locationId - The GHL location ID
+ * @param {Object} field - { name, dataType: 'TEXT' | 'NUMERICAL' | 'DATE' | ... }
+ * @returns {Object} - The created field
+ */
+export async function createCustomField(accessToken, locationId, { name, dataType }) {
+  const response = await fetch(`${GHL_API_BASE}/locations/${locationId}/customFields`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      'Version': '2021-07-28'
+    },
+    body: JSON.stringify({ name, dataType, model: 'contact' })
+  });
+  
+  if (!response.ok) {
+    const error = await response.text();
+    throw apiError(`Create custom field failed: ${response.status} - ${error}`, response.status);
+  }
+  
+  const data = await response.json();
+  return data.customField || data;
+}
+
 // ============================================================
 // Users
 // ============================================================
@@ -335,14 +763,26 @@ export default {
   exchangeCodeForTokens,
   getGHLTokens,
   refreshAccessToken,
+  refreshConnectionToken,
   ensureValidToken,
+  ensureCompanyToken,
+  withValidToken,
+  isRevokedGrant,
+  getInstalledLocations,
+  getLocationToken,
   // Contacts
   createContact,
   createGHLContact,
+  updateContact,
+  addContactTags,
+  findDuplicateContact,
   findContactByEmail,
   // Locations
   getLocation,
   getGHLLocation,
+  // Custom Fields
+  getCustomFields,
+  createCustomField,
   // Users
   getGHLUser
 };
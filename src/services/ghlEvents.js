@@ -0,0 +1,151 @@
+/**
+ * GHL Event Service
+ * 
+ * Handles app lifecycle and data events from GHL marketplace webhooks.
+ * Each handler returns a short outcome string recorded on the event row.
+ */
+
+import crypto from 'crypto';
+import {
+  getGHLConnectionAnyStatus,
+  deactivateGHLConnection,
+  deactivateCompanyConnections,
+  getGHLCompany,
+  deactivateGHLCompany,
+  updateLocationName,
+  forgetSyncedContact,
+  recordGHLWebhookEvent,
+  markGHLWebhookEventProcessed,
+  deleteGHLWebhookEvent
+} from '../db/queries.js';
+import { provisionCompanyLocation } from './provisioning.js';
+
+const handlers = {
+  INSTALL: handleInstall,
+  UNINSTALL: handleUninstall,
+  LocationUpdate: handleLocationUpdate,
+  ContactDelete: handleContactDelete
+};
+
+/**
+ * Process a GHL webhook event once
+ * 
+ * Redeliveries of an already-recorded webhookId are acknowledged without
+ * reprocessing. If a handler fails the record is removed, so GHL's retry runs it again.
+ * 
+ * @param {Object} event - Parsed webhook body
+ * @param {Buffer} rawBody - Raw body, used to derive an id when GHL sends none
+ * @returns {Object} - { duplicate: true } or { type, outcome }
+ */
+export async function processGHLEvent(event, rawBody) {
+  const webhookId = event.webhookId || 
+    crypto.createHash('sha256').update(rawBody || JSON.stringify(event)).digest('hex');
+  
+  const isNew = await recordGHLWebhookEvent({
+    webhookId,
+    type: event.type,
+    locationId: event.locationId || (event.type === 'LocationUpdate' ? event.id : null),
+    companyId: event.companyId || null,
+    payload: event
+  });
+  
+  if (!isNew) {
+    console.log(`GHL webhook ${webhookId} (${event.type}) already processed`);
+    return { duplicate: true, type: event.type };
+  }
+  
+  try {
+    const handler = handlers[event.type];
+    const outcome = handler ? await handler(event) : 'ignored';
+    
+    await markGHLWebhookEventProcessed(webhookId, outcome);
+    console.log(`GHL webhook ${event.type}: ${outcome}`);
+    
+    return { type: event.type, outcome };
+  
+  } catch (error) {
+    await deleteGHLWebhookEvent(webhookId).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * INSTALL - tokens normally arrive through the OAuth callback. A location added
+ * later to an agency install is provisioned here from the agency token.
+ */
+async function handleInstall({ locationId, companyId, installType }) {
+  if (!locationId) {
+    return `company install (${companyId || 'unknown company'})`;
+  }
+  
+  const connection = await getGHLConnectionAnyStatus(locationId);
+  const company = companyId && !connection?.is_active ? await getGHLCompany(companyId) : null;
+  
+  if (company) {
+    const result = await provisionCompanyLocation(company, { _id: locationId });
+    
+    if (result.status === 'error') {
+      throw new Error(`Provisioning ${locationId} failed: ${result.error}`);
+    }
+    
+    const proposal = result.mapping.proposal;
+    const recovered = result.recovered > 0 ? `, ${result.recovered} held contact(s) replayed` : '';
+    return proposal
+      ? `provisioned ${locationId} from agency install (proposal ${proposal.id} pending review${recovered})`
+      : `provisioned ${locationId} from agency install (no matching VivaSpot site${recovered})`;
+  }
+  
+  if (!connection) {
+    return `${installType || 'Location'} install for ${locationId}; awaiting OAuth callback`;
+  }
+  
+  return connection.is_active 
+    ? `install for ${locationId}; connection already active` 
+    : `reinstall for ${locationId}; awaiting OAuth callback`;
+}
+
+/**
+ * UNINSTALL - deactivate the location, or every location of an agency install
+ */
+async function handleUninstall({ locationId, companyId }) {
+  if (locationId) {
+    await deactivateGHLConnection(locationId);
+    return `deactivated ${locationId}`;
+  }
+  
+  if (companyId) {
+    await deactivateGHLCompany(companyId);
+    const count = await deactivateCompanyConnections(companyId);
+    return `deactivated ${count} connection(s) for company ${companyId}`;
+  }
+  
+  return 'no locationId or companyId';
+}
+
+/**
+ * LocationUpdate - keep the stored location name in step with GHL
+ */
+async function handleLocationUpdate({ id, name }) {
+  if (!id || !name) {
+    return 'missing id or name';
+  }
+  
+  const updated = await updateLocationName(id, name);
+  return updated ? `renamed ${id} to "${name}"` : `unknown location ${id}`;
+}
+
+/**
+ * ContactDelete - forget the contact so the guest is recreated on their next visit
+ */
+async function handleContactDelete({ locationId, id, email }) {
+  if (!locationId || (!id && !email)) {
+    return 'missing locationId or contact';
+  }
+  
+  const removed = await forgetSyncedContact(locationId, { contactId: id, email });
+  return `forgot ${removed} synced contact(s)`;
+}
+
+export default {
+  processGHLEvent
+};
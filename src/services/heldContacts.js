@@ -0,0 +1,70 @@
+/**
+ * Held Contacts
+ * 
+ * Guests that couldn't be routed are held in held_contacts (see sync.js)
+ * instead of being dropped: ones from unmapped MACs until an admin assigns
+ * the MAC, ones for disconnected locations until the location reconnects.
+ * Replaying queues the original payload as a new sync job, so the usual
+ * routing, opt-in and dedupe rules apply again; the visit keeps its
+ * original time.
+ */
+
+import { getPendingHeldContactsForLocation, discardHeldContacts } from '../db/queries.js';
+import { enqueueHeldContacts } from './queue.js';
+import { HOLD_DISCONNECTED } from './sync.js';
+
+/**
+ * Replay or discard held contacts
+ * Rows are claimed while still pending, so contacts released by a
+ * concurrent call are left out of the counts rather than queued twice.
+ * 
+ * @param {Array} contacts - held_contacts rows
+ * @param {Object} options
+ * @param {boolean} options.replay - Queue them for syncing (otherwise discard)
+ * @returns {Object} - { replayed, discarded }
+ */
+export async function releaseHeldContacts(contacts, { replay }) {
+  const ids = contacts.map(contact => contact.id);
+  
+  if (ids.length === 0) {
+    return { replayed: 0, discarded: 0 };
+  }
+  
+  if (replay) {
+    const jobs = await enqueueHeldContacts(ids);
+    return { replayed: jobs.length, discarded: 0 };
+  }
+  
+  return { replayed: 0, discarded: await discardHeldContacts(ids) };
+}
+
+/**
+ * Replay the guests held while a location was disconnected
+ * Called whenever the location's connection is stored again. Failures are
+ * logged, not thrown: the contacts stay held for the next reconnect.
+ * 
+ * @param {string} locationId - The GHL location that reconnected
+ * @returns {number} - Contacts queued for syncing
+ */
+export async function replayDisconnectedContacts(locationId) {
+  try {
+    const held = await getPendingHeldContactsForLocation(HOLD_DISCONNECTED, locationId);
+    
+    if (held.length === 0) {
+      return 0;
+    }
+    
+    const { replayed } = await releaseHeldContacts(held, { replay: true });
+    console.log(`Location ${locationId} reconnected: replaying ${replayed} held contact(s)`);
+    
+    return replayed;
+  } catch (error) {
+    console.error(`Failed to replay held contacts for ${locationId}:`, error);
+    return 0;
+  }
+}
+
+export default {
+  releaseHeldContacts,
+  replayDisconnectedContacts
+};
@@ -0,0 +1,210 @@
+/**
+ * Location Settings
+ * 
+ * How contacts are synced for each GHL location: defaults for every location,
+ * overridden per location in location_settings. The sync reads the merged
+ * settings for each contact (see sync.js).
+ */
+
+import { getLocationSettingOverrides, saveLocationSettingOverrides } from '../db/queries.js';
+import { BASE_TAG, isValidTimezone } from './tagRules.js';
+
+/**
+ * How a location handles guests who already exist in GHL
+ */
+export const CONTACT_SYNC_MODES = ['create_only', 'upsert', 'skip_if_exists'];
+
+/**
+ * Which guests count as opted in
+ *   required         opt_in is yes/true or a non-empty list of checked boxes
+ *   unless_declined  everyone except guests whose opt_in is no/false/empty list
+ *   ignore           everyone (consent is collected outside the portal)
+ */
+export const OPT_IN_POLICIES = ['required', 'unless_declined', 'ignore'];
+
+const MAX_BASE_TAGS = 10;
+
+// Setting name → { default, validate(value) → error message or null, normalize? }
+const SETTINGS = {
+  enabled: {
+    default: () => true,
+    validate: value => typeof value === 'boolean' ? null : 'must be true or false'
+  },
+  source_label: {
+    default: () => 'VivaSpot WiFi',
+    validate: value => typeof value === 'string' && value.trim() && value.trim().length <= 100 
+      ? null 
+      : 'must be text of up to 100 characters',
+    normalize: value => value.trim()
+  },
+  base_tags: {
+    default: () => [BASE_TAG],
+    validate: value => Array.isArray(value) && value.length <= MAX_BASE_TAGS && 
+      value.every(tag => typeof tag === 'string' && tag.trim() && tag.trim().length <= 100)
+      ? null 
+      : `must be a list of up to ${MAX_BASE_TAGS} tags`,
+    normalize: value => [...new Set(value.map(tag => tag.trim()))]
+  },
+  contact_sync_mode: {
+    default: () => 'upsert',
+    validate: value => CONTACT_SYNC_MODES.includes(value) ? null : `must be one of: ${CONTACT_SYNC_MODES.join(', ')}`
+  },
+  opt_in_policy: {
+    default: () => 'required',
+    validate: value => OPT_IN_POLICIES.includes(value) ? null : `must be one of: ${OPT_IN_POLICIES.join(', ')}`
+  },
+  timezone: {
+    // null: the location's timezone from GHL
+    default: () => null,
+    validate: value => typeof value === 'string' && isValidTimezone(value) 
+      ? null 
+      : 'must be a timezone name such as America/New_York'
+  },
+  dedupe_window_minutes: {
+    // Repeat submissions of the same guest within this window are not re-sent to GHL (0 disables)
+    default: () => parseInt(process.env.SYNC_DEDUPE_WINDOW_MINUTES || '60'),
+    validate: value => Number.isInteger(value) && value >= 0 && value <= 7 * 24 * 60 
+      ? null 
+      : 'must be a whole number of minutes from 0 to 10080'
+  }
+};
+
+/**
+ * The settings every location starts with
+ * 
+ * @returns {Object} - { enabled, source_label, base_tags, contact_sync_mode, opt_in_policy, timezone, dedupe_window_minutes }
+ */
+export function getDefaultSettings() {
+  return Object.fromEntries(Object.entries(SETTINGS).map(([name, setting]) => [name, setting.default()]));
+}
+
+/**
+ * Validate setting overrides
+ * A null value means "use the default" and is dropped.
+ * 
+ * @param {Object} input - { setting: value }
+ * @returns {Object} - { overrides, errors: string[] }
+ */
+export function validateSettings(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { overrides: {}, errors: ['settings must be an object'] };
+  }
+  
+  const overrides = {};
+  const errors = [];
+  
+  for (const [name, value] of Object.entries(input)) {
+    const setting = SETTINGS[name];
+    
+    if (!setting) {
+      errors.push(`Unknown setting ${name}. Use: ${Object.keys(SETTINGS).join(', ')}`);
+      continue;
+    }
+    
+    if (value === null) continue;
+    
+    const error = setting.validate(value);
+    
+    if (error) {
+      errors.push(`${name} ${error}`);
+      continue;
+    }
+    
+    overrides[name] = setting.normalize ? setting.normalize(value) : value;
+  }
+  
+  return { overrides, errors };
+}
+
+/**
+ * Merge overrides over the defaults
+ * Overrides saved under an older schema that no longer validate are ignored.
+ */
+function mergeSettings(overrides) {
+  const settings = getDefaultSettings();
+  
+  for (const [name, value] of Object.entries(overrides)) {
+    if (SETTINGS[name] && !SETTINGS[name].validate(value)) {
+      settings[name] = value;
+    }
+  }
+  
+  return settings;
+}
+
+/**
+ * Get the settings the sync uses for a location
+ * 
+ * @param {string} locationId - The GHL location ID
+ * @returns {Object} - Defaults merged with the location's overrides
+ */
+export async function getLocationSettings(locationId) {
+  return mergeSettings(await getLocationSettingOverrides(locationId));
+}
+
+/**
+ * Get a location's settings along with where each value comes from
+ * 
+ * @param {string} locationId - The GHL location ID
+ * @returns {Object} - { settings, overrides, defaults }
+ */
+export async function describeLocationSettings(locationId) {
+  const overrides = await getLocationSettingOverrides(locationId);
+  
+  return {
+    settings: mergeSettings(overrides),
+    overrides,
+    defaults: getDefaultSettings()
+  };
+}
+
+/**
+ * Save a location's settings
+ * 
+ * @param {string} locationId - The GHL location ID
+ * @param {Object} input - { setting: value }; null resets a setting to its default
+ * @param {Object} options
+ * @param {boolean} options.merge - Keep overrides not in input (otherwise they're reset)
+ * @param {string} options.updatedBy - Who changed them
+ * @returns {Object} - { success: true, settings, overrides, defaults } or { success: false, errors }
+ */
+export async function saveLocationSettings(locationId, input, { merge = false, updatedBy = null } = {}) {
+  const { overrides, errors } = validateSettings(input);
+  
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+  
+  let saved = overrides;
+  
+  if (merge) {
+    saved = { ...(await getLocationSettingOverrides(locationId)), ...overrides };
+    
+    for (const [name, value] of Object.entries(input)) {
+      if (value === null) delete saved[name];
+    }
+  }
+  
+  // Values equal to the default aren't stored, so they follow later default changes
+  const defaults = getDefaultSettings();
+  
+  for (const [name, value] of Object.entries(saved)) {
+    if (JSON.stringify(value) === JSON.stringify(defaults[name])) delete saved[name];
+  }
+  
+  await saveLocationSettingOverrides(locationId, saved, updatedBy);
+  
+  console.log(`Settings for ${locationId} saved by ${updatedBy || 'system'}:`, saved);
+  
+  return { success: true, settings: mergeSettings(saved), overrides: saved, defaults };
+}
+
+export default {
+  CONTACT_SYNC_MODES,
+  OPT_IN_POLICIES,
+  getDefaultSettings,
+  validateSettings,
+  getLocationSettings,
+  describeLocationSettings,
+  saveLocationSettings
+};
@@ -0,0 +1,365 @@
+/**
+ * Site Matcher
+ * 
+ * Scores VivaSpot sites against a GHL location for auto-mapping. Each
+ * candidate gets a 0..1 score built from three signals:
+ * - name:    trigram / token similarity of normalized names
+ * - email:   exact merchant email, or a shared company email domain
+ * - address: similarity of the street address, postal code and house number
+ * 
+ * Pure functions only; the database lookup lives in db/queries.js.
+ */
+
+// Words that say nothing about which restaurant a name refers to
+const NAME_STOP_WORDS = new Set(['the', 'a', 'an', 'and', 'of', 'at', 'on']);
+
+// Words naming the kind of venue; ignored unless the name is nothing else
+const VENUE_WORDS = new Set([
+  'restaurant', 'restaurants', 'bar', 'grill', 'cafe', 'kitchen', 'pub', 'eatery', 'bistro', 'tavern'
+]);
+
+// Address words reduced to their postal abbreviation
+const ADDRESS_ABBREVIATIONS = {
+  street: 'st', avenue: 'ave', road: 'rd', boulevard: 'blvd', drive: 'dr', lane: 'ln',
+  court: 'ct', place: 'pl', highway: 'hwy', parkway: 'pkwy', suite: 'ste', square: 'sq',
+  north: 'n', south: 's', east: 'e', west: 'w'
+};
+
+// Shared webmail domains don't imply the same business
+const FREE_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com',
+  'msn.com', 'aol.com', 'icloud.com', 'me.com', 'mac.com', 'protonmail.com', 'proton.me'
+]);
+
+// How much each signal counts; weights of missing signals are left out
+const WEIGHTS = { name: 0.55, email: 0.3, address: 0.15 };
+
+// Added when the site is the only one listed for the installer's email
+const SOLE_SITE_BONUS = 0.15;
+
+// Below this a candidate isn't worth proposing
+export const DEFAULT_MIN_SCORE = 0.5;
+
+/**
+ * Split a name into lowercase tokens, without stop words
+ * Strips accents, treats "&" as "and" and drops punctuation, so
+ * "The Maggie's Café" is ["maggies", "cafe"].
+ */
+function tokenizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/['’`]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !NAME_STOP_WORDS.has(token));
+}
+
+/**
+ * Split a name into comparable tokens, without stop words or venue words
+ * A name made only of those ("The Grill") returns an empty list.
+ * 
+ * @param {string} name
+ * @returns {string[]}
+ */
+export function normalizeName(name) {
+  return tokenizeName(name).filter(token => !VENUE_WORDS.has(token));
+}
+
+/**
+ * Padded character trigrams of a token list (the pg_trgm scheme)
+ */
+function trigrams(tokens) {
+  const grams = new Set();
+  
+  for (const token of tokens) {
+    const padded = `  ${token} `;
+    
+    for (let i = 0; i < padded.length - 2; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  }
+  
+  return grams;
+}
+
+/**
+ * Jaccard similarity of two token lists' trigrams
+ * 
+ * @returns {number} - 0..1
+ */
+export function trigramSimilarity(tokensA, tokensB) {
+  const a = trigrams(tokensA);
+  const b = trigrams(tokensB);
+  
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+  
+  let shared = 0;
+  for (const gram of a) {
+    if (b.has(gram)) shared++;
+  }
+  
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Similarity of two restaurant names
+ * The better of trigram similarity and token overlap (Dice), so both
+ * "Maggies Bar & Grill" ~ "Maggie's" and small typos score well. If either
+ * name is only venue words ("The Grill"), those words are compared too.
+ * 
+ * @returns {number} - 0..1
+ */
+export function nameSimilarity(nameA, nameB) {
+  let a = normalizeName(nameA);
+  let b = normalizeName(nameB);
+  
+  if (a.length === 0 || b.length === 0) {
+    a = tokenizeName(nameA);
+    b = tokenizeName(nameB);
+  }
+  
+  if (a.length === 0 || b.length === 0) {
+    return 0;
+  }
+  
+  if (a.join(' ') === b.join(' ')) {
+    return 1;
+  }
+  
+  const shared = a.filter(token => b.includes(token)).length;
+  const dice = (2 * shared) / (a.length + b.length);
+  
+  return Math.max(trigramSimilarity(a, b), dice);
+}
+
+/**
+ * Split an address into comparable tokens with abbreviated street words
+ */
+export function normalizeAddress(address) {
+  return String(address || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(token => ADDRESS_ABBREVIATIONS[token] || token);
+}
+
+/**
+ * Join GHL location address fields into one line
+ * 
+ * @param {Object} location - GHL location ({ address, city, state, postalCode })
+ * @returns {string|null}
+ */
+export function formatLocationAddress(location) {
+  if (!location) return null;
+  
+  const parts = [location.address, location.city, location.state, location.postalCode]
+    .filter(part => part && String(part).trim());
+  
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+/**
+ * Similarity of two free-form addresses
+ * The same house number and postal code is a near-certain match; a
+ * different postal code halves the score.
+ * 
+ * @returns {number|null} - 0..1, or null if either address is missing
+ */
+export function addressSimilarity(addressA, addressB) {
+  const a = normalizeAddress(addressA);
+  const b = normalizeAddress(addressB);
+  
+  if (a.length === 0 || b.length === 0) {
+    return null;
+  }
+  
+  const postalA = a.find(token => /^\d{5}$/.test(token));
+  const postalB = b.find(token => /^\d{5}$/.test(token));
+  const numberA = a.find(token => /^\d+$/.test(token));
+  const numberB = b.find(token => /^\d+$/.test(token));
+  
+  let score = trigramSimilarity(a, b);
+  
+  if (postalA && postalB) {
+    if (postalA !== postalB) {
+      score *= 0.5;
+    } else if (numberA && numberA === numberB) {
+      score = Math.max(score, 0.9);
+    }
+  }
+  
+  return score;
+}
+
+/**
+ * Get the domain of an email, unless it's a shared webmail domain
+ */
+export function companyEmailDomain(email) {
+  const domain = String(email || '').toLowerCase().trim().split('@')[1];
+  return domain && !FREE_EMAIL_DOMAINS.has(domain) ? domain : null;
+}
+
+/**
+ * How strongly an email ties the installer to a site
+ * 
+ * @returns {Object} - { score: 1|0.6|0, kind: 'exact'|'domain'|null }
+ */
+export function emailMatch(email, merchantEmails) {
+  const normalizedEmail = String(email || '').toLowerCase().trim();
+  const emails = (merchantEmails || []).map(e => String(e).toLowerCase().trim());
+  
+  if (normalizedEmail && emails.includes(normalizedEmail)) {
+    return { score: 1, kind: 'exact' };
+  }
+  
+  const domain = companyEmailDomain(normalizedEmail);
+  
+  if (domain && emails.some(e => e.endsWith(`@${domain}`))) {
+    return { score: 0.6, kind: 'domain' };
+  }
+  
+  return { score: 0, kind: null };
+}
+
+/**
+ * Combine signal scores with WEIGHTS, skipping missing ones
+ */
+function combine(signals) {
+  let total = 0;
+  let weight = 0;
+  
+  for (const [signal, value] of Object.entries(signals)) {
+    if (value === null || value === undefined) continue;
+    total += WEIGHTS[signal] * value;
+    weight += WEIGHTS[signal];
+  }
+  
+  return weight > 0 ? total / weight : 0;
+}
+
+function percent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+/**
+ * Explain a candidate's score in plain sentences
+ */
+function describeSignals(email, emailResult, signals, { soleSite, comparedTo }) {
+  const reasons = [];
+  
+  if (emailResult.kind === 'exact') {
+    reasons.push(`Installer email ${email} is listed on the VivaSpot site`);
+  } else if (emailResult.kind === 'domain') {
+    reasons.push(`Installer email shares the domain ${companyEmailDomain(email)} with the site's merchant emails`);
+  }
+  
+  if (signals.name === 1) {
+    reasons.push(`${comparedTo} matches the location name`);
+  } else if (signals.name > 0) {
+    reasons.push(`${comparedTo} is ${percent(signals.name)} similar to the location name`);
+  }
+  
+  if (signals.address !== null && signals.address !== undefined) {
+    reasons.push(`Address is ${percent(signals.address)} similar`);
+  }
+  
+  if (soleSite) {
+    reasons.push('It is the only VivaSpot site for this email');
+  }
+  
+  return reasons;
+}
+
+/**
+ * Score and rank VivaSpot sites (and hospitality groups) for a location
+ * Sites with no email link to the installer are never candidates.
+ * 
+ * @param {Array} sites - vivaspot_sites rows
+ * @param {Object} location
+ * @param {string} location.email - Installer's email
+ * @param {string} location.name - GHL location name
+ * @param {string|null} location.address - GHL location address (one line)
+ * @returns {Array} - Candidates, best first:
+ *   { type: 'single', site, score, signals, reasons } or
+ *   { type: 'group', groupName, sites, score, signals, reasons }
+ */
+export function rankCandidates(sites, { email, name, address = null }) {
+  const linked = sites
+    .map(site => ({ site, email: emailMatch(email, site.merchant_emails) }))
+    .filter(entry => entry.email.score > 0);
+  
+  const exactCount = linked.filter(entry => entry.email.kind === 'exact').length;
+  const candidates = [];
+  
+  for (const { site, email: emailResult } of linked) {
+    const signals = {
+      name: nameSimilarity(name, site.restaurant_name),
+      email: emailResult.score,
+      address: address ? addressSimilarity(address, site.address) : null
+    };
+    const soleSite = emailResult.kind === 'exact' && exactCount === 1;
+    
+    candidates.push({
+      type: 'single',
+      site,
+      score: Math.min(1, combine(signals) + (soleSite ? SOLE_SITE_BONUS : 0)),
+      signals,
+      reasons: describeSignals(email, emailResult, signals, { soleSite, comparedTo: 'Restaurant name' })
+    });
+  }
+  
+  // A location named after a hospitality group maps every restaurant in it
+  const groups = new Map();
+  
+  for (const entry of linked) {
+    const groupName = entry.site.hospitality_group;
+    if (!groupName) continue;
+    
+    if (!groups.has(groupName)) groups.set(groupName, []);
+    groups.get(groupName).push(entry);
+  }
+  
+  for (const [groupName, entries] of groups) {
+    if (entries.length < 2) continue;
+    
+    const emailResult = entries.some(entry => entry.email.kind === 'exact')
+      ? { score: 1, kind: 'exact' }
+      : { score: 0.6, kind: 'domain' };
+    const signals = {
+      name: nameSimilarity(name, groupName),
+      email: emailResult.score,
+      address: null
+    };
+    
+    candidates.push({
+      type: 'group',
+      groupName,
+      sites: entries.map(entry => entry.site),
+      score: combine(signals),
+      signals,
+      reasons: describeSignals(email, emailResult, signals, { soleSite: false, comparedTo: 'Hospitality group name' })
+    });
+  }
+  
+  // Ties go to groups: a location named after its group wants all of it
+  return candidates.sort((a, b) =>
+    b.score - a.score || (a.type === 'group' ? -1 : 0) - (b.type === 'group' ? -1 : 0)
+  );
+}
+
+export default {
+  DEFAULT_MIN_SCORE,
+  normalizeName,
+  trigramSimilarity,
+  nameSimilarity,
+  normalizeAddress,
+  formatLocationAddress,
+  addressSimilarity,
+  companyEmailDomain,
+  emailMatch,
+  rankCandidates
+};
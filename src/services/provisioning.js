@@ -0,0 +1,280 @@
+/**
+ * Provisioning Service
+ * 
+ * Connects GHL locations and maps them to VivaSpot sites, for both
+ * single-location installs and agency (company) installs.
+ */
+
+import { 
+  storeGHLConnection, 
+  saveMacMapping,
+  findVivaSpotMatch,
+  nameToTag,
+  normalizeMacAddress,
+  getMacMappingOwners,
+  createMappingProposal,
+  resolveMappingProposal,
+  markCompanyProvisioned
+} from '../db/queries.js';
+import { getInstalledLocations, getLocationToken, ensureCompanyToken, getGHLLocation } from './ghl.js';
+import { formatLocationAddress } from './matcher.js';
+import { replayDisconnectedContacts } from './heldContacts.js';
+import { setUpCustomFields } from './customFields.js';
+
+/**
+ * Turn VivaSpot sites into proposal items, one per valid MAC
+ * Group items carry the restaurant tag; single-site items don't.
+ */
+function buildProposalItems(sites, { tagged }) {
+  const items = [];
+  
+  for (const site of sites) {
+    for (const mac of site.mac_addresses || []) {
+      const normalizedMac = normalizeMacAddress(mac);
+      
+      if (!normalizedMac || items.some(i => i.mac === normalizedMac)) {
+        continue;
+      }
+      
+      items.push({
+        mac: normalizedMac,
+        site_id: site.id,
+        restaurant_name: site.restaurant_name,
+        source_restaurant: tagged ? site.restaurant_name : null,
+        source_tag: tagged ? nameToTag(site.restaurant_name) : null
+      });
+    }
+  }
+  
+  return items;
+}
+
+/**
+ * Propose MAC mappings for a newly connected location
+ * 
+ * Uses the pre-selected site if one was chosen before the install; otherwise
+ * matches the installer's email, the location name and address against
+ * VivaSpot sites (see services/matcher.js).
+ * Nothing is mapped yet: the proposal waits for the installer to confirm,
+ * edit or reject it (see applyMappingProposal).
+ * 
+ * @param {string} locationId - The GHL location ID
+ * @param {Object} options
+ * @param {string} options.userEmail - Email of the GHL user who installed
+ * @param {string} options.locationName - The GHL location name
+ * @param {string|null} options.locationAddress - The GHL location address (one line)
+ * @param {Object} options.preselectedSite - vivaspot_sites row to propose directly
+ * @returns {Object} - { success, type: 'single'|'group'|null, proposal, reason }
+ */
+export async function proposeLocationMapping(locationId, { 
+  userEmail, 
+  locationName, 
+  locationAddress = null, 
+  preselectedSite = null 
+}) {
+  let match = null;
+  
+  if (preselectedSite) {
+    match = { 
+      type: 'single', 
+      site: preselectedSite, 
+      confidence: 1, 
+      reasons: ['Site was selected before connecting'] 
+    };
+  
+  } else if (userEmail && locationName) {
+    console.log(`Attempting auto-mapping for email: ${userEmail}, location: ${locationName}`);
+    match = await findVivaSpotMatch(userEmail, locationName, { address: locationAddress });
+  
+  } else {
+    return { success: false, type: null, proposal: null, reason: 'missing_email_or_location' };
+  }
+  
+  if (match.type === 'none') {
+    console.log('No matching VivaSpot site found');
+    return { success: false, type: null, proposal: null, reason: 'no_match' };
+  }
+  
+  const isGroup = match.type === 'group';
+  const items = buildProposalItems(isGroup ? match.sites : [match.site], { tagged: isGroup });
+  
+  if (items.length === 0) {
+    console.log('Matched VivaSpot site(s) have no valid MAC addresses');
+    return { success: false, type: match.type, proposal: null, reason: 'no_macs' };
+  }
+  
+  const proposal = await createMappingProposal({
+    locationId,
+    matchType: match.type,
+    groupName: match.groupName || null,
+    items,
+    confidence: match.confidence,
+    reasons: match.reasons
+  });
+  
+  console.log(`Proposed ${items.length} MAC mappings for ${locationId} (proposal ${proposal.id}, confidence ${match.confidence})`);
+  
+  return { success: true, type: match.type, proposal, reason: null };
+}
+
+/**
+ * Find proposal items whose MAC is mapped to a different active location
+ * 
+ * @param {Object} proposal - mapping_proposals row
+ * @returns {Object} - { [mac]: { ghl_location_id, location_name } }
+ */
+export async function getProposalConflicts(proposal) {
+  const owners = await getMacMappingOwners(proposal.items.map(i => i.mac));
+  const conflicts = {};
+  
+  for (const owner of owners) {
+    if (owner.is_active && owner.ghl_location_id !== proposal.ghl_location_id) {
+      conflicts[owner.mac_address] = {
+        ghl_location_id: owner.ghl_location_id,
+        location_name: owner.location_name
+      };
+    }
+  }
+  
+  return conflicts;
+}
+
+/**
+ * Confirm a pending proposal and write its mappings
+ * 
+ * MACs mapped to another active location are only moved when listed in
+ * `reassign`; otherwise nothing is written and the conflicts are returned.
+ * 
+ * @param {Object} proposal - mapping_proposals row (must be pending)
+ * @param {Object} options
+ * @param {string[]} options.macs - Subset of the proposed MACs to map (default: all)
+ * @param {string[]} options.reassign - MACs the user agreed to move from another location
+ * @param {string} options.decidedBy - Who confirmed (for the audit columns)
+ * @returns {Object} - { success, mappedCount, conflicts, restaurants }
+ */
+export async function applyMappingProposal(proposal, { macs = null, reassign = [], decidedBy = null } = {}) {
+  const wanted = macs ? new Set(macs.map(normalizeMacAddress).filter(Boolean)) : null;
+  const allowed = new Set(reassign.map(normalizeMacAddress).filter(Boolean));
+  const items = wanted ? proposal.items.filter(i => wanted.has(i.mac)) : proposal.items;
+  
+  const conflicts = await getProposalConflicts(proposal);
+  const blocked = items
+    .filter(i => conflicts[i.mac] && !allowed.has(i.mac))
+    .map(i => ({ mac: i.mac, ...conflicts[i.mac] }));
+  
+  if (blocked.length > 0) {
+    return { success: false, mappedCount: 0, conflicts: blocked, restaurants: [] };
+  }
+  
+  const restaurants = new Map();
+  let mappedCount = 0;
+  
+  for (const item of items) {
+    const mapping = await saveMacMapping(proposal.ghl_location_id, item.mac, {
+      sourceRestaurant: item.source_restaurant,
+      sourceTag: item.source_tag,
+      allowReassign: allowed.has(item.mac)
+    });
+    
+    // Claimed by another location since the conflict check - leave it there
+    if (!mapping || mapping.conflict) {
+      continue;
+    }
+    
+    mappedCount++;
+    
+    const restaurant = restaurants.get(item.restaurant_name) || 
+      { name: item.restaurant_name, macCount: 0, tag: item.source_tag };
+    restaurant.macCount++;
+    restaurants.set(item.restaurant_name, restaurant);
+  }
+  
+  await resolveMappingProposal(proposal.id, 'confirmed', { decidedBy, appliedCount: mappedCount });
+  
+  console.log(`Proposal ${proposal.id} confirmed: mapped ${mappedCount} MACs for ${proposal.ghl_location_id}`);
+  
+  return { success: true, mappedCount, conflicts: [], restaurants: [...restaurants.values()] };
+}
+
+/**
+ * Connect one location of an agency install and propose its mappings
+ * The VivaSpot custom fields are created and guests held while the location
+ * was disconnected are replayed.
+ * 
+ * @param {Object} company - ghl_companies row
+ * @param {Object} location - { _id, name } from getInstalledLocations (details are looked up if name is missing)
+ * @returns {Object} - { locationId, name, status: 'connected'|'error', mapping?, recovered?, error? }
+ */
+export async function provisionCompanyLocation(company, location) {
+  const locationId = location._id || location.id;
+  
+  try {
+    const agencyToken = await ensureCompanyToken(company);
+    const tokens = await getLocationToken(agencyToken, company.ghl_company_id, locationId);
+    const details = location.name ? location : await getGHLLocation(tokens.accessToken, locationId);
+    const locationName = details.name;
+    
+    const connection = await storeGHLConnection({
+      locationId,
+      locationName,
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresAt: new Date(Date.now() + tokens.expiresIn * 1000),
+      userEmail: company.user_email,
+      companyId: company.ghl_company_id,
+      installType: 'company',
+      timezone: details.timezone
+    });
+    
+    await setUpCustomFields(connection);
+    
+    const recovered = await replayDisconnectedContacts(locationId);
+    
+    const mapping = await proposeLocationMapping(locationId, {
+      userEmail: company.user_email,
+      locationName,
+      locationAddress: formatLocationAddress(details)
+    });
+    
+    return { locationId, name: locationName, status: 'connected', mapping, recovered };
+  
+  } catch (error) {
+    console.error(`Failed to provision location ${locationId} for company ${company.ghl_company_id}:`, error.message);
+    return { locationId, name: location.name, status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Connect every location where an agency installed the app and propose mappings
+ * A failure on one location doesn't stop the others.
+ * 
+ * @param {Object} company - ghl_companies row
+ * @returns {Array} - One provisionCompanyLocation result per location
+ */
+export async function provisionCompanyLocations(company) {
+  const agencyToken = await ensureCompanyToken(company);
+  const locations = await getInstalledLocations(agencyToken, company.ghl_company_id);
+  
+  console.log(`Provisioning ${locations.length} locations for company ${company.ghl_company_id}`);
+  
+  const results = [];
+  
+  for (const location of locations) {
+    results.push(await provisionCompanyLocation(company, location));
+  }
+  
+  await markCompanyProvisioned(company.ghl_company_id);
+  
+  const connected = results.filter(r => r.status === 'connected').length;
+  console.log(`Company ${company.ghl_company_id}: ${connected}/${results.length} locations connected`);
+  
+  return results;
+}
+
+export default {
+  proposeLocationMapping,
+  getProposalConflicts,
+  applyMappingProposal,
+  provisionCompanyLocation,
+  provisionCompanyLocations
+};
@@ -0,0 +1,168 @@
+/**
+ * Sync Queue Service
+ * 
+ * Persists incoming webhook contacts as jobs and drains them in the background,
+ * so a GHL outage or rate limit delays a guest instead of losing them.
+ */
+
+import {
+  enqueueSyncJob,
+  enqueueSyncJobs,
+  replayHeldContacts,
+  claimNextSyncJob,
+  finishSyncJob,
+  rescheduleSyncJob,
+  deadLetterSyncJob
+} from '../db/queries.js';
+import { processContact } from './sync.js';
+
+const POLL_INTERVAL_MS = parseInt(process.env.SYNC_POLL_INTERVAL_MS) || 1000;
+const MAX_ATTEMPTS = parseInt(process.env.SYNC_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.SYNC_RETRY_BASE_DELAY_MS) || 30 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+
+let pollTimer = null;
+let running = false;
+
+// ============================================================
+// Producer
+// ============================================================
+
+/**
+ * Queue a contact payload for syncing
+ * 
+ * @param {Object} payload - Contact data as received from the webhook
+ * @param {Object} options
+ * @param {Date} options.receivedAt - When the guest logged in, if not now (replays)
+ * @returns {Object} - The created sync_jobs row
+ */
+export async function enqueueContact(payload, { receivedAt = null } = {}) {
+  return enqueueSyncJob(payload, MAX_ATTEMPTS, receivedAt);
+}
+
+/**
+ * Queue several contact payloads at once, all or nothing
+ * 
+ * @param {Object[]} payloads - Contact data as received from the webhook
+ * @returns {Array} - The created sync_jobs rows, in the same order
+ */
+export async function enqueueContacts(payloads) {
+  return enqueueSyncJobs(payloads, MAX_ATTEMPTS);
+}
+
+/**
+ * Claim held contacts and queue them as sync jobs, all or nothing
+ * Contacts another caller already released are skipped.
+ * 
+ * @param {number[]} ids - held_contacts ids
+ * @returns {Array} - The created sync_jobs rows
+ */
+export async function enqueueHeldContacts(ids) {
+  return replayHeldContacts(ids, MAX_ATTEMPTS);
+}
+
+// ============================================================
+// Worker
+// ============================================================
+
+/**
+ * Exponential backoff with jitter: 30s, 1m, 2m, 4m... capped at one hour
+ * 
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} - Delay in milliseconds before the next attempt
+ */
+export function getRetryDelay(attempts) {
+  const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+  const jitter = Math.random() * delay * 0.2;
+  return Math.round(delay + jitter);
+}
+
+/**
+ * Claim and process a single job
+ * 
+ * @returns {boolean} - True if a job was processed, false if the queue was empty
+ */
+export async function processNextJob() {
+  const job = await claimNextSyncJob();
+  
+  if (!job) {
+    return false;
+  }
+  
+  let result;
+  
+  try {
+    result = await processContact(job.payload, { jobId: job.id, receivedAt: job.received_at });
+  } catch (error) {
+    // Unexpected failures (database down, etc.) are treated as transient
+    console.error(`Sync job ${job.id} threw:`, error);
+    result = { status: 'error', reason: error.message, retryable: true };
+  }
+  
+  if (result.status === 'error' && result.retryable) {
+    if (job.attempts >= job.max_attempts) {
+      await deadLetterSyncJob(job.id, result.reason);
+      console.error(`Sync job ${job.id} dead-lettered after ${job.attempts} attempts: ${result.reason}`);
+    } else {
+      const delay = getRetryDelay(job.attempts);
+      await rescheduleSyncJob(job.id, result.reason, new Date(Date.now() + delay));
+      console.log(`Sync job ${job.id} attempt ${job.attempts} failed, retrying in ${Math.round(delay / 1000)}s: ${result.reason}`);
+    }
+  } else {
+    const status = result.status === 'error' ? 'failed' : 'completed';
+    await finishSyncJob(job.id, status, result);
+    console.log(`Sync job ${job.id} ${status}:`, result);
+  }
+  
+  return true;
+}
+
+/**
+ * Drain all runnable jobs, then schedule the next poll
+ */
+async function poll() {
+  try {
+    while (running && await processNextJob()) {
+      // Keep going until the queue is empty
+    }
+  } catch (error) {
+    console.error('Sync worker error:', error);
+  }
+  
+  if (running) {
+    pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Start the background sync worker
+ */
+export function startSyncWorker() {
+  if (running) return;
+  
+  running = true;
+  console.log(`Sync worker started (max attempts: ${MAX_ATTEMPTS})`);
+  poll();
+}
+
+/**
+ * Stop the background sync worker after the current job
+ */
+export function stopSyncWorker() {
+  running = false;
+  
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+}
+
+export default {
+  enqueueContact,
+  enqueueContacts,
+  enqueueHeldContacts,
+  getRetryDelay,
+  processNextJob,
+  startSyncWorker,
+  stopSyncWorker
+};
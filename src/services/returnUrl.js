@@ -0,0 +1,59 @@
+/**
+ * Return URL Service
+ * 
+ * Paths a browser is sent back to after leaving the app (the GHL consent
+ * screen). Only paths on this app are allowed, judged after URL
+ * normalization: "/.//evil.com" and "/%2e//evil.com" both resolve to the
+ * protocol-relative "//evil.com" and are rejected.
+ */
+
+// Placeholder origin for resolving paths; never part of a redirect
+const BASE_URL = 'http://localhost';
+
+/**
+ * Normalize a return URL, or reject it if it could leave this app
+ * 
+ * @param {string} url - e.g. "/setup/abc123?tab=fields"
+ * @returns {string|null} - The normalized path (with query and hash), or null
+ */
+export function normalizeReturnUrl(url) {
+  if (typeof url !== 'string' || !url.startsWith('/') || url.includes('\\')) {
+    return null;
+  }
+  
+  let resolved;
+  try {
+    resolved = new URL(url, BASE_URL);
+  } catch {
+    return null;
+  }
+  
+  if (resolved.origin !== BASE_URL || resolved.pathname.startsWith('//')) {
+    return null;
+  }
+  
+  return resolved.pathname + resolved.search + resolved.hash;
+}
+
+/**
+ * Add query params to a normalized return path
+ * Existing params with the same name are replaced.
+ * 
+ * @param {string} path - From normalizeReturnUrl
+ * @param {URLSearchParams|Object} params
+ * @returns {string}
+ */
+export function addReturnUrlParams(path, params) {
+  const url = new URL(path, BASE_URL);
+  
+  for (const [key, value] of new URLSearchParams(params)) {
+    url.searchParams.set(key, value);
+  }
+  
+  return url.pathname + url.search + url.hash;
+}
+
+export default {
+  normalizeReturnUrl,
+  addReturnUrlParams
+};
@@ -0,0 +1,91 @@
+/**
+ * Signed Token Service
+ * 
+ * HMAC-signs small JSON payloads (session cookies, etc.) with APP_SECRET so
+ * they can be handed to the browser and trusted when they come back.
+ */
+
+import crypto from 'crypto';
+
+let generatedSecret = null;
+
+/**
+ * Get the signing secret
+ * Falls back to a per-process random secret outside production, which means
+ * every restart invalidates outstanding tokens.
+ */
+function getSecret() {
+  if (process.env.APP_SECRET) {
+    return process.env.APP_SECRET;
+  }
+  
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('APP_SECRET must be set in production');
+  }
+  
+  if (!generatedSecret) {
+    console.warn('APP_SECRET not set; using a random secret (sessions reset on restart)');
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+  }
+  
+  return generatedSecret;
+}
+
+function hmac(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Sign a payload
+ * 
+ * @param {Object} payload - JSON-serializable data
+ * @param {number} ttlSeconds - Lifetime; stored as `exp` (epoch seconds)
+ * @returns {string} - "<base64url payload>.<base64url signature>"
+ */
+export function signPayload(payload, ttlSeconds) {
+  const body = {
+    ...payload,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  };
+  
+  const encoded = Buffer.from(JSON.stringify(body)).toString('base64url');
+  return `${encoded}.${hmac(encoded)}`;
+}
+
+/**
+ * Verify a signed payload
+ * 
+ * @param {string} token - Value produced by signPayload
+ * @returns {Object|null} - The payload, or null if forged, malformed or expired
+ */
+export function verifySignedPayload(token) {
+  if (!token || typeof token !== 'string') return null;
+  
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature) return null;
+  
+  const expected = Buffer.from(hmac(encoded));
+  const actual = Buffer.from(signature);
+  
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  
+  if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+  
+  return payload;
+}
+
+export default {
+  signPayload,
+  verifySignedPayload
+};
@@ -0,0 +1,394 @@
+/**
+ * VivaSpot Site Import
+ * 
+ * Validation shared by the admin site endpoints, and CSV import of the site
+ * inventory ops keep in spreadsheets. An import is planned first (every row
+ * classified as create / update / unchanged / conflict / invalid) and only
+ * then applied, so a dry run reports exactly what a real run would do.
+ */
+
+import {
+  normalizeMacAddress,
+  listAllVivaSpotSites,
+  importVivaSpotSites
+} from '../db/queries.js';
+import { parseCsv } from './csv.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// CSV header names (lowercased) accepted for each site field
+const COLUMN_ALIASES = {
+  id: ['id', 'site_id'],
+  restaurant_name: ['restaurant_name', 'restaurant', 'name'],
+  hospitality_group: ['hospitality_group', 'group'],
+  address: ['address'],
+  merchant_emails: ['merchant_emails', 'emails', 'email'],
+  mac_addresses: ['mac_addresses', 'macs', 'mac']
+};
+
+// Columns written by the site export, in the order import reads them back
+export const SITE_EXPORT_COLUMNS = [
+  'id', 'restaurant_name', 'hospitality_group', 'address', 'merchant_emails', 'mac_addresses'
+];
+
+/**
+ * Validate and normalize a site body
+ * With `partial`, only the fields present are checked and returned.
+ * 
+ * @returns {Object} - { site, errors: string[] }
+ */
+export function validateSite(body, { partial = false } = {}) {
+  const site = {};
+  const errors = [];
+  
+  if (!body || typeof body !== 'object') {
+    return { site, errors: ['Body must be a JSON object'] };
+  }
+  
+  const has = field => body[field] !== undefined;
+  
+  if (has('restaurant_name') || !partial) {
+    const name = typeof body.restaurant_name === 'string' ? body.restaurant_name.trim() : '';
+    
+    if (!name || name.length > 255) {
+      errors.push('restaurant_name is required (at most 255 characters)');
+    } else {
+      site.restaurant_name = name;
+    }
+  }
+  
+  for (const field of ['hospitality_group', 'address']) {
+    if (!has(field)) continue;
+    
+    if (body[field] !== null && typeof body[field] !== 'string') {
+      errors.push(`${field} must be a string or null`);
+    } else if (field === 'hospitality_group' && body[field]?.length > 255) {
+      errors.push('hospitality_group must be at most 255 characters');
+    } else {
+      site[field] = body[field]?.trim() || null;
+    }
+  }
+  
+  if (has('merchant_emails')) {
+    if (!Array.isArray(body.merchant_emails)) {
+      errors.push('merchant_emails must be an array');
+    } else {
+      const emails = body.merchant_emails.map(email => String(email).toLowerCase().trim());
+      const invalid = emails.filter(email => !EMAIL_PATTERN.test(email));
+      
+      if (invalid.length > 0) {
+        errors.push(`Invalid email address: ${invalid.join(', ')}`);
+      } else {
+        site.merchant_emails = [...new Set(emails)];
+      }
+    }
+  }
+  
+  if (has('mac_addresses')) {
+    if (!Array.isArray(body.mac_addresses)) {
+      errors.push('mac_addresses must be an array');
+    } else {
+      const invalid = body.mac_addresses.filter(mac => !normalizeMacAddress(mac));
+      
+      if (invalid.length > 0) {
+        errors.push(`Invalid MAC address format: ${invalid.join(', ')}`);
+      } else {
+        site.mac_addresses = [...new Set(body.mac_addresses.map(normalizeMacAddress))];
+      }
+    }
+  }
+  
+  return { site, errors };
+}
+
+/**
+ * Turn a site into a flat record for CSV export
+ * Lists are joined with "; " so they fit one spreadsheet cell.
+ */
+export function siteToRecord(site) {
+  return {
+    ...site,
+    merchant_emails: (site.merchant_emails || []).join('; '),
+    mac_addresses: (site.mac_addresses || []).map(mac => normalizeMacAddress(mac) || mac).join('; ')
+  };
+}
+
+/**
+ * Split a list cell on semicolons, commas or whitespace
+ */
+function splitList(value) {
+  return value.split(/[;,\s]+/).filter(Boolean);
+}
+
+/**
+ * Read CSV text into site bodies keyed by their spreadsheet line
+ * Only the columns present in the header are returned, so a sheet without
+ * an address column leaves addresses alone.
+ * 
+ * @param {string} text
+ * @returns {Array} - [{ line, id, body }]
+ */
+export function parseSiteCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  
+  if (!header) {
+    throw Object.assign(new Error('CSV is empty'), { status: 400 });
+  }
+  
+  const columns = {};
+  
+  header.cells.forEach((name, index) => {
+    const normalized = name.trim().toLowerCase().replace(/\s+/g, '_');
+    const field = Object.keys(COLUMN_ALIASES).find(key => COLUMN_ALIASES[key].includes(normalized));
+    
+    if (field && columns[field] === undefined) {
+      columns[field] = index;
+    }
+  });
+  
+  if (columns.restaurant_name === undefined) {
+    throw Object.assign(new Error('CSV header must include a restaurant (or restaurant_name) column'), { status: 400 });
+  }
+  
+  return rows.map(({ line, cells }) => {
+    const cell = field => (cells[columns[field]] ?? '').trim();
+    const body = {};
+    
+    for (const field of ['restaurant_name', 'hospitality_group', 'address']) {
+      if (columns[field] !== undefined) body[field] = cell(field);
+    }
+    
+    for (const field of ['merchant_emails', 'mac_addresses']) {
+      if (columns[field] !== undefined) body[field] = splitList(cell(field));
+    }
+    
+    return { line, id: columns.id !== undefined ? cell('id') : '', body };
+  });
+}
+
+/**
+ * Key used to match rows without an id to existing sites
+ */
+function siteKey(name, group) {
+  return `${(name || '').trim().toLowerCase()}|${(group || '').trim().toLowerCase()}`;
+}
+
+/**
+ * Fields of `changes` that differ from the existing site
+ * Lists compare as sets; stored MACs are normalized before comparing.
+ */
+function changedFields(existing, changes) {
+  return Object.keys(changes).filter(field => {
+    if (Array.isArray(changes[field])) {
+      const normalize = field === 'mac_addresses'
+        ? values => values.map(v => normalizeMacAddress(v) || v)
+        : values => values;
+      const before = normalize(existing[field] || []).slice().sort().join(',');
+      return before !== changes[field].slice().sort().join(',');
+    }
+    
+    return (existing[field] ?? null) !== changes[field];
+  });
+}
+
+/**
+ * Find rows claiming a MAC that belongs elsewhere
+ * Rows already marked invalid or conflict are skipped by the import, so
+ * their sites keep their current MACs and their own MACs claim nothing.
+ * 
+ * @returns {Array} - [{ entry, conflicts }] for rows that are newly in conflict
+ */
+function findMacConflicts(sites, entries) {
+  const applied = entries.filter(entry => !entry.action);
+  const macOwners = new Map();
+  
+  // MACs stay with sites this import doesn't rewrite
+  for (const site of sites) {
+    if (applied.some(entry => entry.site_id === site.id && entry.site.mac_addresses)) continue;
+    
+    for (const mac of site.mac_addresses || []) {
+      macOwners.set(normalizeMacAddress(mac) || mac, { site_id: site.id, restaurant_name: site.restaurant_name });
+    }
+  }
+  
+  const conflicted = [];
+  
+  for (const entry of applied) {
+    const macs = entry.site.mac_addresses || [];
+    const conflicts = macs
+      .filter(mac => macOwners.has(mac) && macOwners.get(mac).site_id !== entry.site_id)
+      .map(mac => ({ mac, ...macOwners.get(mac) }));
+    
+    if (conflicts.length > 0) {
+      conflicted.push({ entry, conflicts });
+      continue;
+    }
+    
+    for (const mac of macs) {
+      macOwners.set(mac, entry.site_id
+        ? { site_id: entry.site_id, restaurant_name: entry.restaurant_name }
+        : { line: entry.line, restaurant_name: entry.restaurant_name });
+    }
+  }
+  
+  return conflicted;
+}
+
+/**
+ * Classify every CSV row against the current inventory
+ * 
+ * Rows match an existing site by `id` if the sheet has one, otherwise by
+ * restaurant name + hospitality group (name only without a group column). A MAC listed on another site (after
+ * this import's own changes) or on two rows is a conflict. Only rows that
+ * will be applied move MACs: a skipped row's site keeps its current MACs, so
+ * rows are re-checked until no new conflicts turn up.
+ * 
+ * @param {Array} rows - From parseSiteCsv
+ * @returns {Object} - { summary, rows: [{ line, action, site_id, restaurant_name, changes?, errors?, conflicts? }] }
+ */
+export async function planSiteImport(rows) {
+  const sites = await listAllVivaSpotSites();
+  const byId = new Map(sites.map(site => [site.id, site]));
+  const byKey = new Map();
+  const byName = new Map();
+  
+  for (const site of sites) {
+    const key = siteKey(site.restaurant_name, site.hospitality_group);
+    const name = site.restaurant_name.trim().toLowerCase();
+    byKey.set(key, [...(byKey.get(key) || []), site]);
+    byName.set(name, [...(byName.get(name) || []), site]);
+  }
+  
+  const entries = [];
+  const matchedLines = new Map();
+  
+  // Pass 1: validate and find the site each row refers to
+  for (const row of rows) {
+    const { site, errors } = validateSite(row.body, { partial: true });
+    const entry = {
+      line: row.line,
+      action: null,
+      site_id: null,
+      restaurant_name: site.restaurant_name || row.body.restaurant_name || null,
+      site,
+      errors
+    };
+    entries.push(entry);
+    
+    let existing = null;
+    
+    if (row.id) {
+      existing = byId.get(parseInt(row.id));
+      if (!existing) errors.push(`Unknown site id: ${row.id}`);
+    } else if (site.restaurant_name) {
+      // Without a group column, the name alone identifies the site
+      const candidates = (row.body.hospitality_group !== undefined
+        ? byKey.get(siteKey(site.restaurant_name, row.body.hospitality_group))
+        : byName.get(site.restaurant_name.toLowerCase())) || [];
+      
+      if (candidates.length > 1) {
+        errors.push(`Matches ${candidates.length} existing sites; add an id column to choose one`);
+      }
+      
+      existing = candidates.length === 1 ? candidates[0] : null;
+    }
+    
+    if (existing) {
+      if (matchedLines.has(existing.id)) {
+        errors.push(`Same site as line ${matchedLines.get(existing.id)}`);
+      } else {
+        matchedLines.set(existing.id, row.line);
+      }
+      
+      entry.site_id = existing.id;
+      entry.existing = existing;
+    }
+    
+    if (errors.length > 0) {
+      entry.action = 'invalid';
+    }
+  }
+  
+  // Pass 2: MAC conflicts, until the rows that will be applied agree
+  let conflicted = findMacConflicts(sites, entries);
+  
+  while (conflicted.length > 0) {
+    for (const { entry, conflicts } of conflicted) {
+      entry.action = 'conflict';
+      entry.conflicts = conflicts;
+    }
+    conflicted = findMacConflicts(sites, entries);
+  }
+  
+  // The action for each row left
+  for (const entry of entries) {
+    if (entry.action) continue;
+    
+    if (!entry.existing) {
+      entry.action = 'create';
+    } else {
+      entry.changes = changedFields(entry.existing, entry.site);
+      entry.action = entry.changes.length > 0 ? 'update' : 'unchanged';
+    }
+  }
+  
+  const summary = { rows: entries.length, create: 0, update: 0, unchanged: 0, conflict: 0, invalid: 0 };
+  
+  for (const entry of entries) {
+    summary[entry.action]++;
+  }
+  
+  return { summary, rows: entries };
+}
+
+/**
+ * Apply the create and update rows of a plan
+ * Other rows are skipped. All writes share one transaction, so a failure
+ * part-way leaves the inventory as it was.
+ * 
+ * @param {Object} plan - From planSiteImport
+ * @param {string} actor - Who ran the import
+ * @returns {Object} - The plan, with site_id set on created rows
+ */
+export async function applySiteImport(plan, actor) {
+  const entries = plan.rows.filter(entry => entry.action === 'create' || entry.action === 'update');
+  const writes = entries.map(entry => entry.action === 'create'
+    ? { site: entry.site }
+    : { siteId: entry.site_id, changes: Object.fromEntries(entry.changes.map(field => [field, entry.site[field]])) });
+  
+  const results = await importVivaSpotSites(writes, actor);
+  
+  entries.forEach((entry, index) => {
+    entry.site_id = results[index].id;
+  });
+  
+  return plan;
+}
+
+/**
+ * Shape a plan for API responses
+ */
+export function formatImportPlan(plan) {
+  return {
+    summary: plan.summary,
+    rows: plan.rows.map(entry => ({
+      line: entry.line,
+      action: entry.action,
+      site_id: entry.site_id,
+      restaurant_name: entry.restaurant_name,
+      ...(entry.changes && { changes: entry.changes }),
+      ...(entry.errors.length > 0 && { errors: entry.errors }),
+      ...(entry.conflicts && { conflicts: entry.conflicts })
+    }))
+  };
+}
+
+export default {
+  SITE_EXPORT_COLUMNS,
+  validateSite,
+  siteToRecord,
+  parseSiteCsv,
+  planSiteImport,
+  applySiteImport,
+  formatImportPlan
+};
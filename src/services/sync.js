@@ -5,8 +5,44 @@
  * when contacts come from a hospitality group setup.
  */
 
-import { getMacMappingWithTag, getGHLConnection } from '../db/queries.js';
-import { createGHLContact } from './ghl.js';
+import { 
+  getMacMappingWithTag, 
+  getGHLConnectionAnyStatus, 
+  getFieldMappings,
+  getCachedCustomFields,
+  recordGuestVisit,
+  getTagRules,
+  getSyncedContact, 
+  recordSyncedContact, 
+  logSync,
+  normalizeMacAddress,
+  recordUnmappedMac,
+  holdContact
+} from '../db/queries.js';
+import { 
+  createGHLContact, 
+  updateContact, 
+  addContactTags, 
+  findDuplicateContact, 
+  withValidToken 
+} from './ghl.js';
+import { applyFieldMappings, toGHLCustomField } from './fieldMapping.js';
+import { visitCustomFields } from './customFields.js';
+import { buildTags, buildTagContext } from './tagRules.js';
+import { getDefaultSettings, getLocationSettings } from './locationSettings.js';
+
+// sync_log reason for guests whose MAC isn't mapped
+export const UNMAPPED_MAC_REASON = 'MAC address not mapped to any GHL location';
+
+// sync_log reason for guests whose location is uninstalled or needs re-authorization
+export const DISCONNECTED_REASON = 'GHL connection is inactive';
+
+// sync_log reason for guests of a location whose sync is turned off in its settings
+export const SYNC_DISABLED_REASON = 'Sync disabled for this location';
+
+// held_contacts reasons: until the MAC is assigned / until the location reconnects
+export const HOLD_UNMAPPED_MAC = 'unmapped_mac';
+export const HOLD_DISCONNECTED = 'location_disconnected';
 
 /**
  * Process a contact from the webhook
@@ -16,10 +52,108 @@ import { createGHLContact } from './ghl.js';
  * @param {string} contact.email - Contact email
  * @param {string} contact.name - Contact name
  * @param {string} contact.phone - Contact phone
+ * @param {string} contact.mobile - Alternate field name for phone
  * @param {boolean|string} contact.opt_in - Opt-in status
- * @returns {Object} - Processing result
+ *   Other payload keys reach GHL through the location's field mappings.
+ * @param {Object} job - The sync job it came in on: { jobId, receivedAt }
+ * @returns {Object} - Processing result. Errors worth retrying carry `retryable: true`;
+ *   contacts kept for replay carry `held: true`.
+ */
+export async function processContact(contact, job = {}) {
+  const result = await syncContact(contact, job);
+  
+  await recordOutcome(contact, result);
+  
+  if (result.reason === UNMAPPED_MAC_REASON && await holdUnmappedContact(contact)) {
+    result.held = true;
+  }
+  
+  if (result.reason === DISCONNECTED_REASON && await holdDisconnectedContact(contact, result.ghl_location_id)) {
+    result.held = true;
+  }
+  
+  return result;
+}
+
+/**
+ * Track an unmapped MAC and hold its guest until an admin assigns the MAC
+ * 
+ * @returns {boolean} - True if the contact was held
+ */
+async function holdUnmappedContact(contact) {
+  const mac = normalizeMacAddress(contact.mac);
+  
+  // Malformed MACs can never be mapped, so there is nothing to wait for
+  if (!mac) {
+    return false;
+  }
+  
+  try {
+    await recordUnmappedMac(mac, contact);
+    await holdContact({ reason: HOLD_UNMAPPED_MAC, mac, email: contact.email, payload: contact });
+    return true;
+  } catch (error) {
+    console.error('Failed to hold contact for unmapped MAC:', error);
+    return false;
+  }
+}
+
+/**
+ * Hold a guest of a disconnected location until it reconnects through OAuth
+ * 
+ * @returns {boolean} - True if the contact was held
+ */
+async function holdDisconnectedContact(contact, locationId) {
+  try {
+    await holdContact({ 
+      reason: HOLD_DISCONNECTED, 
+      mac: normalizeMacAddress(contact.mac), 
+      email: contact.email, 
+      payload: contact, 
+      locationId 
+    });
+    return true;
+  } catch (error) {
+    console.error(`Failed to hold contact for disconnected location ${locationId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Persist a processing result to sync_log (and synced_contacts on success)
+ * Logging failures are reported but never change the sync result.
+ */
+async function recordOutcome({ mac, email }, result) {
+  try {
+    await logSync({
+      locationId: result.ghl_location_id || null,
+      mac: mac || null,
+      email: email || null,
+      status: result.status,
+      action: result.action || null,
+      reason: result.reason || null,
+      ghlContactId: result.ghl_contact_id || null,
+      errorMessage: result.status === 'error' ? result.reason : null
+    });
+    
+    if (result.status === 'success' && email) {
+      await recordSyncedContact({
+        locationId: result.ghl_location_id,
+        email,
+        ghlContactId: result.ghl_contact_id
+      });
+    }
+  } catch (error) {
+    console.error('Failed to record sync outcome:', error);
+  }
+}
+
+/**
+ * Validate, route and sync a single contact to GHL
  */
-export async function processContact({ mac, email, name, phone, opt_in }) {
+async function syncContact(contact, { jobId = null, receivedAt = null } = {}) {
+  const { mac, email, name, phone, mobile, opt_in } = contact;
+  
   // Validate required fields
   if (!mac) {
     return { status: 'error', reason: 'Missing MAC address' };
@@ -29,72 +163,312 @@ export async function processContact({ mac, email, name, phone, opt_in }) {
     return { status: 'error', reason: 'Missing email' };
   }
   
+  // Look up MAC mapping (now includes source_tag)
+  const mapping = await getMacMappingWithTag(mac);
+  const locationId = mapping?.ghl_location_id;
+  
+  // The location's settings; guests from unmapped MACs are checked against the defaults
+  const settings = locationId ? await getLocationSettings(locationId) : getDefaultSettings();
+  
   // Check opt-in status
-  const isOptedIn = checkOptIn(opt_in);
+  const isOptedIn = checkOptIn(opt_in, settings.opt_in_policy);
   if (!isOptedIn) {
-    return { status: 'skipped', reason: 'Not opted in' };
+    return { status: 'skipped', reason: 'Not opted in', ghl_location_id: locationId };
   }
   
-  // Look up MAC mapping (now includes source_tag)
-  const mapping = await getMacMappingWithTag(mac);
-  
   if (!mapping) {
-    return { status: 'error', reason: 'MAC address not mapped to any GHL location' };
+    return { status: 'error', reason: UNMAPPED_MAC_REASON };
+  }
+  
+  if (!settings.enabled) {
+    return { status: 'skipped', reason: SYNC_DISABLED_REASON, ghl_location_id: locationId };
   }
   
   // Get GHL connection for this location
-  const connection = await getGHLConnection(mapping.ghl_location_id);
+  const connection = await getGHLConnectionAnyStatus(locationId);
   
   if (!connection) {
-    return { status: 'error', reason: 'No GHL connection for this location' };
+    return { status: 'error', reason: 'No GHL connection for this location', ghl_location_id: locationId };
   }
   
   if (!connection.is_active) {
-    return { status: 'error', reason: 'GHL connection is inactive' };
+    return { status: 'error', reason: DISCONNECTED_REASON, ghl_location_id: locationId };
   }
   
-  // Build tags array
-  const tags = ['Vivaspot-WiFi'];
+  // Every webhook is a visit, even one the dedupe window keeps from GHL
+  const visits = await recordGuestVisit(locationId, { email, mac, syncJobId: jobId, visitedAt: receivedAt });
+  
+  // The VivaSpot visit fields, sent even when the rest of the update is skipped
+  const customFieldDefs = await getCachedCustomFields(locationId);
+  const venue = mapping.label || mapping.source_restaurant || connection.location_name;
+  const visitFields = visitCustomFields(visits, venue, customFieldDefs);
   
-  // Add restaurant-specific tag if this is a hospitality group mapping
-  if (mapping.source_tag) {
-    tags.push(mapping.source_tag);
-    console.log(`Adding restaurant tag: ${mapping.source_tag}`);
+  // Base tags, the hospitality group's restaurant tag, then the location's tag rules,
+  // evaluated before the dedupe check so a deduped login still gets its "5th visit" tag
+  const tagging = buildTags(mapping, await getTagRules(locationId), buildTagContext({
+    payload: contact,
+    visitCount: visits.visit_count,
+    visitedAt: receivedAt ? new Date(receivedAt) : new Date(),
+    mapping,
+    connection,
+    timezone: settings.timezone
+  }), settings.base_tags);
+  const tags = tagging.tags;
+  
+  if (tagging.warnings.length > 0) {
+    console.log(`Tag rule warnings for ${locationId}:`, tagging.warnings);
+  }
+  
+  // Don't push repeat submissions of the same guest (double-submits, n8n re-runs)
+  const dedupeWindow = settings.dedupe_window_minutes;
+  const synced = dedupeWindow > 0 ? await getSyncedContact(locationId, email, dedupeWindow) : null;
+  
+  if (synced) {
+    // The tags this visit's rules add; the rest went out with the last sync
+    const ruleTags = [...new Set(tagging.matched.map(rule => rule.tag))];
+    
+    try {
+      const fieldsUpdated = synced.ghl_contact_id 
+        ? await withValidToken(connection, async accessToken => {
+          const written = await updateVisitFields(accessToken, synced.ghl_contact_id, visitFields);
+          
+          if (ruleTags.length > 0) {
+            await addContactTags(accessToken, synced.ghl_contact_id, ruleTags);
+          }
+          
+          return written;
+        })
+        : [];
+      
+      return { 
+        status: 'skipped', 
+        reason: `Already synced in the last ${dedupeWindow} minutes`, 
+        action: 'skipped',
+        ghl_contact_id: synced.ghl_contact_id,
+        ghl_location_id: locationId,
+        visit_count: visits.visit_count,
+        ...(synced.ghl_contact_id && ruleTags.length > 0 && { 
+          tags_applied: ruleTags, 
+          tag_rules: tagging.matched.map(rule => rule.name) 
+        }),
+        ...(fieldsUpdated.length > 0 && { fields_updated: fieldsUpdated })
+      };
+    } catch (error) {
+      return syncFailure(error, locationId);
+    }
   }
   
   // Parse name into first/last
   const { firstName, lastName } = parseName(name);
   
-  // Create contact in GHL
+  // Extra payload values (birthday, zip, survey answers...) per the location's field mappings
+  const mapped = applyFieldMappings(contact, await getFieldMappings(locationId), customFieldDefs);
+  
+  for (const field of visitFields) {
+    if (!mapped.customFields.some(existing => existing.id === field.id)) {
+      mapped.customFields.push(field);
+    }
+  }
+  
+  if (mapped.warnings.length > 0) {
+    console.log(`Field mapping warnings for ${locationId}:`, mapped.warnings);
+  }
+  
+  const contactData = {
+    locationId,
+    email,
+    firstName,
+    lastName,
+    phone: phone || mobile, // Handle both field names
+    ...mapped.fields,
+    tags,
+    source: settings.source_label
+  };
+  
+  const mode = settings.contact_sync_mode;
+  
+  // Create or update the contact in GHL
   try {
-    const result = await createGHLContact(connection.access_token, {
-      locationId: mapping.ghl_location_id,
-      email,
-      firstName,
-      lastName,
-      phone,
-      tags,
-      source: 'VivaSpot WiFi'
-    });
+    const result = await withValidToken(connection, accessToken =>
+      syncContactToGHL(accessToken, mode, contactData, mapped, visitFields)
+    );
+    
+    if (result.action === 'skipped') {
+      return {
+        status: 'skipped',
+        reason: 'Contact already exists in GHL',
+        action: 'skipped',
+        ghl_contact_id: result.contact.id,
+        ghl_location_id: locationId,
+        visit_count: visits.visit_count,
+        ...(result.fieldsUpdated.length > 0 && { fields_updated: result.fieldsUpdated })
+      };
+    }
     
     return {
       status: 'success',
+      action: result.action,
       ghl_contact_id: result.contact?.id,
-      ghl_location_id: mapping.ghl_location_id,
-      tags_applied: tags
+      ghl_location_id: locationId,
+      tags_applied: tags,
+      visit_count: visits.visit_count,
+      ...(tagging.matched.length > 0 && { tag_rules: tagging.matched.map(rule => rule.name) }),
+      ...(result.fieldsUpdated && { fields_updated: result.fieldsUpdated }),
+      ...(mapped.warnings.length > 0 && { field_warnings: mapped.warnings })
     };
     
   } catch (error) {
-    console.error('Error creating GHL contact:', error);
-    return { status: 'error', reason: error.message };
+    return syncFailure(error, locationId);
   }
 }
 
 /**
- * Check if contact has opted in
+ * Turn a failed GHL call into a sync result
+ */
+async function syncFailure(error, locationId) {
+  console.error('Error syncing GHL contact:', error);
+  
+  // A rejected refresh token deactivates the connection mid-sync
+  const current = await getGHLConnectionAnyStatus(locationId);
+  
+  if (current && !current.is_active) {
+    return { status: 'error', reason: DISCONNECTED_REASON, ghl_location_id: locationId };
+  }
+  
+  return { 
+    status: 'error', 
+    reason: error.message, 
+    retryable: isRetryableError(error), 
+    ghl_location_id: locationId 
+  };
+}
+
+/**
+ * Create or update a contact according to the location's sync mode
+ * 
+ * @param {string} accessToken - The GHL access token
+ * @param {string} mode - One of CONTACT_SYNC_MODES (locationSettings.js)
+ * @param {Object} contactData - Contact fields, as accepted by createContact
+ * @param {Object} mapped - Custom fields and overwrite rules from applyFieldMappings
+ * @param {Array} visitFields - From visitCustomFields; still sent to contacts skip_if_exists leaves alone
+ * @returns {Object} - { action: 'created'|'updated'|'skipped', contact, fieldsUpdated? }
+ */
+async function syncContactToGHL(accessToken, mode, contactData, mapped, visitFields = []) {
+  if (mode !== 'create_only') {
+    const existing = await findDuplicateContact(accessToken, contactData.locationId, {
+      email: contactData.email,
+      phone: contactData.phone
+    });
+    
+    if (existing && mode === 'skip_if_exists') {
+      const fieldsUpdated = await updateVisitFields(accessToken, existing.id, visitFields, existing);
+      return { action: 'skipped', contact: existing, fieldsUpdated };
+    }
+    
+    if (existing) {
+      return mergeIntoExistingContact(accessToken, existing, contactData, mapped);
+    }
+  }
+  
+  const contact = await createGHLContact(accessToken, {
+    ...contactData,
+    customFields: mapped.customFields.map(toGHLCustomField)
+  });
+  return { action: 'created', contact };
+}
+
+/**
+ * Fill in fields GHL doesn't have yet and append any missing tags
+ * Non-empty GHL values are only overwritten by field mappings set to overwrite.
+ * Existing custom field values are reported by id, so custom fields whose key
+ * isn't in the location's custom field cache are always written.
+ */
+async function mergeIntoExistingContact(accessToken, existing, contactData, mapped) {
+  const updates = {};
+  const overwrite = new Set(mapped.overwrite);
+  
+  for (const [field, value] of Object.entries(contactData)) {
+    if (['locationId', 'tags', 'source'].includes(field) || !value || existing[field] === value) {
+      continue;
+    }
+    
+    if (!existing[field] || overwrite.has(field)) {
+      updates[field] = value;
+    }
+  }
+  
+  const existingCustomValues = new Map((existing.customFields || []).map(field => [field.id, field.value]));
+  const customFields = mapped.customFields.filter(field => {
+    const current = existingCustomValues.get(field.id || field.target);
+    return field.overwrite ? current !== field.value : isEmptyValue(current);
+  });
+  
+  const fieldsUpdated = [...Object.keys(updates), ...customFields.map(field => field.target)];
+  
+  if (customFields.length > 0) {
+    updates.customFields = customFields.map(toGHLCustomField);
+  }
+  
+  if (fieldsUpdated.length > 0) {
+    await updateContact(accessToken, existing.id, updates);
+  }
+  
+  const existingTags = (existing.tags || []).map(tag => tag.toLowerCase());
+  const newTags = contactData.tags.filter(tag => !existingTags.includes(tag.toLowerCase()));
+  
+  if (newTags.length > 0) {
+    await addContactTags(accessToken, existing.id, newTags);
+  }
+  
+  return { action: 'updated', contact: existing, fieldsUpdated };
+}
+
+/**
+ * Overwrite the visit fields of a contact the rest of the sync leaves alone
+ * Given the contact as GHL returned it, fields already holding the value are left out.
+ * 
+ * @returns {string[]} - The fields written
+ */
+async function updateVisitFields(accessToken, contactId, visitFields, existing = null) {
+  const existingCustomValues = new Map((existing?.customFields || []).map(field => [field.id, field.value]));
+  const customFields = visitFields.filter(field => !existing || existingCustomValues.get(field.id) !== field.value);
+  
+  if (customFields.length > 0) {
+    await updateContact(accessToken, contactId, { customFields: customFields.map(toGHLCustomField) });
+  }
+  
+  return customFields.map(field => field.target);
+}
+
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Decide whether a failed GHL call is worth retrying
+ * Network failures (no HTTP status), rate limits and server errors are transient;
+ * other 4xx responses will fail the same way every time.
+ */
+function isRetryableError(error) {
+  if (!error.status) return true;
+  return error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Check if contact has opted in, under the location's opt-in policy
  * Handles various formats: boolean, string, array
  */
-function checkOptIn(opt_in) {
+function checkOptIn(opt_in, policy = 'required') {
+  if (policy === 'ignore') return true;
+  
+  if (policy === 'unless_declined') {
+    if (opt_in === false) return false;
+    if (opt_in === 'false') return false;
+    if (opt_in === 'No' || opt_in === 'no') return false;
+    if (Array.isArray(opt_in) && opt_in.length === 0) return false;
+    return true;
+  }
+  
   if (opt_in === true) return true;
   if (opt_in === 'true') return true;
   if (opt_in === 'Yes' || opt_in === 'yes') return true;
@@ -0,0 +1,438 @@
+/**
+ * Tag Rules
+ * 
+ * Per-location rules that add tags to a guest on top of the location's base
+ * tags and the hospitality group's restaurant tag: first visit, 5th visit, weekend
+ * brunch, VIPs, per access point, or templated tags like
+ * WiFi_{restaurant}_{yyyy_mm}. A rule adds its tag when all of its
+ * conditions match the payload, the guest's visit count and the visit time
+ * (in the location's timezone).
+ * 
+ * Pure functions only; rules are stored in tag_rules (db/queries.js).
+ */
+
+import { nameToTag, normalizeMacAddress } from '../db/queries.js';
+import { getPath } from './fieldMapping.js';
+
+export const BASE_TAG = 'Vivaspot-WiFi';
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Placeholders a tag template may use. Names are made tag-safe (nameToTag).
+export const TAG_PLACEHOLDERS = [
+  'restaurant', 
+  'venue', 
+  'location', 
+  'visit_count', 
+  'yyyy', 
+  'mm', 
+  'dd', 
+  'yyyy_mm', 
+  'weekday'
+];
+
+const CONDITIONS = ['visit_count', 'days', 'time', 'macs', 'payload'];
+const MAX_RULES = 50;
+const MAX_TAG_LENGTH = 100;
+
+/**
+ * Check that a timezone name is one Intl knows
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Break a moment down into local date and time parts
+ * 
+ * @param {Date} date
+ * @param {string} timezone - IANA name, e.g. America/New_York
+ * @returns {Object} - { yyyy, mm, dd, weekday: 'sun'..'sat', minutes: minutes since midnight }
+ */
+export function getLocalTime(date, timezone) {
+  const parts = {};
+  
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  
+  return {
+    yyyy: parts.year,
+    mm: parts.month,
+    dd: parts.day,
+    weekday: parts.weekday.toLowerCase(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * Parse "HH:MM" (24h) into minutes since midnight
+ */
+function parseClock(value) {
+  const match = typeof value === 'string' && value.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Validate one rule's conditions
+ * 
+ * @returns {Object} - { conditions } normalized, or { error }
+ */
+function validateConditions(input) {
+  if (input === undefined || input === null) {
+    return { conditions: {} };
+  }
+  
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'conditions must be an object' };
+  }
+  
+  const unknown = Object.keys(input).filter(key => !CONDITIONS.includes(key));
+  
+  if (unknown.length > 0) {
+    return { error: `unknown condition ${unknown.join(', ')}. Use: ${CONDITIONS.join(', ')}` };
+  }
+  
+  const conditions = {};
+  
+  if (input.visit_count !== undefined) {
+    const visitCount = {};
+    
+    for (const [key, value] of Object.entries(input.visit_count || {})) {
+      if (!['equals', 'min', 'max'].includes(key)) {
+        return { error: 'visit_count takes equals, min and max' };
+      }
+      if (!Number.isInteger(value) || value < 1) {
+        return { error: `visit_count.${key} must be a whole number of at least 1` };
+      }
+      visitCount[key] = value;
+    }
+    
+    if (Object.keys(visitCount).length === 0) {
+      return { error: 'visit_count needs equals, min or max' };
+    }
+    
+    conditions.visit_count = visitCount;
+  }
+  
+  if (input.days !== undefined) {
+    const days = Array.isArray(input.days) 
+      ? input.days.map(day => String(day).slice(0, 3).toLowerCase()) 
+      : [];
+    
+    if (days.length === 0 || days.some(day => !WEEKDAYS.includes(day))) {
+      return { error: `days must list days of the week (${WEEKDAYS.join(', ')})` };
+    }
+    
+    conditions.days = [...new Set(days)];
+  }
+  
+  if (input.time !== undefined) {
+    const from = parseClock(input.time?.from);
+    const to = parseClock(input.time?.to);
+    
+    if (from === null || to === null || from === to) {
+      return { error: 'time needs different from and to times as HH:MM (24-hour)' };
+    }
+    
+    conditions.time = { from: input.time.from, to: input.time.to };
+  }
+  
+  if (input.macs !== undefined) {
+    const macs = Array.isArray(input.macs) ? input.macs.map(normalizeMacAddress) : [];
+    
+    if (macs.length === 0 || macs.some(mac => !mac)) {
+      return { error: 'macs must list valid MAC addresses' };
+    }
+    
+    conditions.macs = [...new Set(macs)];
+  }
+  
+  if (input.payload !== undefined) {
+    if (!Array.isArray(input.payload) || input.payload.length === 0) {
+      return { error: 'payload must list field conditions' };
+    }
+    
+    conditions.payload = [];
+    
+    for (const check of input.payload) {
+      const path = typeof check?.path === 'string' ? check.path.trim() : '';
+      const tests = ['equals', 'in', 'exists'].filter(test => check?.[test] !== undefined);
+      
+      if (!path || tests.length !== 1) {
+        return { error: 'each payload condition needs a path and one of equals, in or exists' };
+      }
+      
+      if (tests[0] === 'in' && (!Array.isArray(check.in) || check.in.length === 0)) {
+        return { error: `payload condition on ${path}: in must be a non-empty list` };
+      }
+      
+      if (tests[0] === 'exists' && typeof check.exists !== 'boolean') {
+        return { error: `payload condition on ${path}: exists must be true or false` };
+      }
+      
+      conditions.payload.push({ path, [tests[0]]: check[tests[0]] });
+    }
+  }
+  
+  return { conditions };
+}
+
+/**
+ * Validate and normalize a location's tag rules
+ * 
+ * @param {Array} input - [{ name, tag, conditions, is_active }]
+ * @returns {Object} - { rules, errors: string[] }
+ */
+export function validateTagRules(input) {
+  if (!Array.isArray(input)) {
+    return { rules: [], errors: ['rules must be an array'] };
+  }
+  
+  if (input.length > MAX_RULES) {
+    return { rules: [], errors: [`At most ${MAX_RULES} tag rules are allowed`] };
+  }
+  
+  const rules = [];
+  const errors = [];
+  
+  input.forEach((item, index) => {
+    const name = typeof item?.name === 'string' ? item.name.trim() : '';
+    const tag = typeof item?.tag === 'string' ? item.tag.trim() : '';
+    const label = `Rule ${index + 1}${name ? ` (${name})` : ''}`;
+    
+    if (!name || name.length > 100) {
+      errors.push(`${label}: name is required (up to 100 characters)`);
+      return;
+    }
+    
+    if (!tag || tag.length > MAX_TAG_LENGTH) {
+      errors.push(`${label}: tag is required (up to ${MAX_TAG_LENGTH} characters)`);
+      return;
+    }
+    
+    const unknown = [...tag.matchAll(/\{([^}]*)\}/g)]
+      .map(match => match[1])
+      .filter(placeholder => !TAG_PLACEHOLDERS.includes(placeholder));
+    
+    if (unknown.length > 0) {
+      errors.push(`${label}: unknown placeholder {${unknown[0]}}. Use: ${TAG_PLACEHOLDERS.map(p => `{${p}}`).join(', ')}`);
+      return;
+    }
+    
+    if (item.is_active !== undefined && typeof item.is_active !== 'boolean') {
+      errors.push(`${label}: is_active must be true or false`);
+      return;
+    }
+    
+    const { conditions, error } = validateConditions(item.conditions);
+    
+    if (error) {
+      errors.push(`${label}: ${error}`);
+      return;
+    }
+    
+    rules.push({ name, tag, conditions, is_active: item.is_active !== false });
+  });
+  
+  return { rules, errors };
+}
+
+/**
+ * Gather what rules are evaluated against for one guest's visit
+ * 
+ * @param {Object} options
+ * @param {Object} options.payload - The webhook payload
+ * @param {number} options.visitCount - Visits so far, including this one
+ * @param {Date} options.visitedAt - When the guest logged in
+ * @param {Object|null} options.mapping - mac_mappings row for the payload's MAC
+ * @param {Object} options.connection - ghl_connections row
+ * @param {string|null} options.timezone - Timezone for day/time rules (default: the location's)
+ * @returns {Object} - Context for evaluateTagRules
+ */
+export function buildTagContext({ payload, visitCount, visitedAt, mapping, connection, timezone = null }) {
+  const locationName = connection?.location_name || '';
+  const restaurant = mapping?.source_restaurant || locationName;
+  
+  return {
+    payload,
+    visitCount,
+    visitedAt,
+    mac: normalizeMacAddress(payload?.mac),
+    restaurant,
+    venue: mapping?.label || restaurant,
+    locationName,
+    timezone: timezone || connection?.timezone || 'UTC'
+  };
+}
+
+/**
+ * Check a payload value against one payload condition
+ */
+function matchesPayload(payload, check) {
+  const value = getPath(payload, check.path);
+  const present = value !== null && value !== undefined && String(value).trim() !== '';
+  
+  if (check.exists !== undefined) {
+    return present === check.exists;
+  }
+  
+  if (!present) return false;
+  
+  const expected = check.equals !== undefined ? [check.equals] : check.in;
+  const values = Array.isArray(value) ? value : [value];
+  
+  return values.some(item => expected.some(option => String(option).toLowerCase() === String(item).trim().toLowerCase()));
+}
+
+/**
+ * Check whether all of a rule's conditions hold
+ */
+function matchesRule({ conditions }, context, local) {
+  const { visit_count: visitCount, days, time, macs, payload } = conditions;
+  
+  if (visitCount) {
+    if (visitCount.equals !== undefined && context.visitCount !== visitCount.equals) return false;
+    if (visitCount.min !== undefined && context.visitCount < visitCount.min) return false;
+    if (visitCount.max !== undefined && context.visitCount > visitCount.max) return false;
+  }
+  
+  if (days && !days.includes(local.weekday)) return false;
+  
+  if (time) {
+    const from = parseClock(time.from);
+    const to = parseClock(time.to);
+    
+    // A window like 22:00-02:00 runs past midnight
+    const inWindow = from < to
+      ? local.minutes >= from && local.minutes < to
+      : local.minutes >= from || local.minutes < to;
+    
+    if (!inWindow) return false;
+  }
+  
+  if (macs && !macs.includes(context.mac)) return false;
+  
+  if (payload && !payload.every(check => matchesPayload(context.payload, check))) return false;
+  
+  return true;
+}
+
+/**
+ * Fill a tag template's placeholders
+ * 
+ * @returns {string|null} - The tag, or null if a placeholder has no value
+ */
+function renderTag(template, context, local) {
+  const values = {
+    restaurant: nameToTag(context.restaurant || ''),
+    venue: nameToTag(context.venue || ''),
+    location: nameToTag(context.locationName || ''),
+    visit_count: String(context.visitCount),
+    yyyy: local.yyyy,
+    mm: local.mm,
+    dd: local.dd,
+    yyyy_mm: `${local.yyyy}_${local.mm}`,
+    weekday: local.weekday.charAt(0).toUpperCase() + local.weekday.slice(1)
+  };
+  
+  let missing = false;
+  
+  const tag = template.replace(/\{([^}]*)\}/g, (match, placeholder) => {
+    if (!values[placeholder]) missing = true;
+    return values[placeholder] || '';
+  });
+  
+  return missing ? null : tag;
+}
+
+/**
+ * Work out the tags the location's rules add for a visit
+ * Rules run in order; inactive rules are skipped.
+ * 
+ * @param {Array} rules - tag_rules rows (or validated rules)
+ * @param {Object} context - From buildTagContext
+ * @returns {Object} - { tags: string[], matched: [{ id, name, tag }], warnings: string[] }
+ */
+export function evaluateTagRules(rules, context) {
+  const warnings = [];
+  let timezone = context.timezone;
+  
+  if (!isValidTimezone(timezone)) {
+    warnings.push(`Unknown timezone "${timezone}", using UTC`);
+    timezone = 'UTC';
+  }
+  
+  const local = getLocalTime(context.visitedAt, timezone);
+  const tags = [];
+  const matched = [];
+  
+  for (const rule of rules || []) {
+    if (rule.is_active === false || !matchesRule(rule, context, local)) continue;
+    
+    const tag = renderTag(rule.tag, context, local);
+    
+    if (!tag) {
+      warnings.push(`${rule.name}: tag template ${rule.tag} has an empty placeholder, not applied`);
+      continue;
+    }
+    
+    matched.push({ id: rule.id, name: rule.name, tag });
+    
+    if (!tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+      tags.push(tag);
+    }
+  }
+  
+  return { tags, matched, warnings };
+}
+
+/**
+ * All tags for a guest: the location's base tags (Vivaspot-WiFi by default),
+ * the restaurant tag of a hospitality group mapping, then the tags added by
+ * rules (case-insensitive duplicates dropped)
+ * 
+ * @param {Object|null} mapping - mac_mappings row (source_tag)
+ * @param {Array} rules - tag_rules rows
+ * @param {Object} context - From buildTagContext
+ * @param {string[]} baseTags - Tags every guest gets (location setting base_tags)
+ * @returns {Object} - evaluateTagRules result, with tags covering all of them
+ */
+export function buildTags(mapping, rules, context, baseTags = [BASE_TAG]) {
+  const result = evaluateTagRules(rules, context);
+  const tags = [];
+  
+  for (const tag of [...baseTags, mapping?.source_tag, ...result.tags]) {
+    if (tag && !tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+      tags.push(tag);
+    }
+  }
+  
+  return { ...result, tags };
+}
+
+export default {
+  BASE_TAG,
+  WEEKDAYS,
+  TAG_PLACEHOLDERS,
+  isValidTimezone,
+  getLocalTime,
+  validateTagRules,
+  buildTagContext,
+  evaluateTagRules,
+  buildTags
+};
@@ -0,0 +1,183 @@
+/**
+ * Token Encryption Service
+ * 
+ * Envelope encryption for OAuth tokens at rest. Each row gets a random data
+ * key (AES-256-GCM) that encrypts its tokens; the data key itself is wrapped
+ * with a master key from TOKEN_ENCRYPTION_KEYS. Rows store the wrapped data
+ * key (token_dek) and the master key id (token_key_id), so rotating the master
+ * key only re-wraps data keys.
+ * 
+ * TOKEN_ENCRYPTION_KEYS:   comma-separated id:base64key pairs (32-byte keys)
+ * TOKEN_ENCRYPTION_KEY_ID: id used for new writes (defaults to the last key listed)
+ * 
+ * Outside production, tokens are stored unencrypted if no keys are configured.
+ */
+
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+let warnedUnencrypted = false;
+
+/**
+ * Load master keys as a Map of id => Buffer
+ */
+function getMasterKeys() {
+  const keys = new Map();
+  
+  for (const entry of (process.env.TOKEN_ENCRYPTION_KEYS || '').split(',')) {
+    const trimmed = entry.trim();
+    if (!trimmed) continue;
+    
+    const index = trimmed.indexOf(':');
+    if (index === -1) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS entries must be id:base64key');
+    }
+    
+    const key = Buffer.from(trimmed.slice(index + 1), 'base64');
+    if (key.length !== 32) {
+      throw new Error(`Token encryption key "${trimmed.slice(0, index)}" must be 32 bytes`);
+    }
+    
+    keys.set(trimmed.slice(0, index), key);
+  }
+  
+  return keys;
+}
+
+/**
+ * Get the id of the master key used for new writes
+ * 
+ * @returns {string|null} - null if encryption is not configured
+ */
+export function getCurrentKeyId() {
+  const keys = getMasterKeys();
+  
+  if (keys.size === 0) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('TOKEN_ENCRYPTION_KEYS must be set in production');
+    }
+    return null;
+  }
+  
+  const keyId = process.env.TOKEN_ENCRYPTION_KEY_ID || [...keys.keys()].pop();
+  
+  if (!keys.has(keyId)) {
+    throw new Error(`TOKEN_ENCRYPTION_KEY_ID "${keyId}" is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+  
+  return keyId;
+}
+
+function getMasterKey(keyId) {
+  const key = getMasterKeys().get(keyId);
+  
+  if (!key) {
+    throw new Error(`Token encryption key "${keyId}" is not configured`);
+  }
+  
+  return key;
+}
+
+/**
+ * Encrypt with AES-256-GCM; output is base64(iv | tag | ciphertext)
+ * The label is bound as associated data so values can't be swapped between columns.
+ */
+function encrypt(key, plaintext, label) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(label));
+  
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function decrypt(key, encoded, label) {
+  const data = Buffer.from(encoded, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_LENGTH));
+  decipher.setAAD(Buffer.from(label));
+  decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  
+  return Buffer.concat([
+    decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)),
+    decipher.final()
+  ]);
+}
+
+/**
+ * Encrypt a token pair for storage
+ * 
+ * @param {Object} tokens - { accessToken, refreshToken } (refreshToken may be null)
+ * @returns {Object} - { accessToken, refreshToken, keyId, wrappedKey } as stored values
+ */
+export function sealTokens({ accessToken, refreshToken }) {
+  const keyId = getCurrentKeyId();
+  
+  if (!keyId) {
+    if (!warnedUnencrypted) {
+      console.warn('TOKEN_ENCRYPTION_KEYS not set; storing OAuth tokens unencrypted');
+      warnedUnencrypted = true;
+    }
+    return { accessToken, refreshToken, keyId: null, wrappedKey: null };
+  }
+  
+  const dataKey = crypto.randomBytes(32);
+  
+  return {
+    accessToken: encrypt(dataKey, accessToken, 'access_token'),
+    refreshToken: refreshToken ? encrypt(dataKey, refreshToken, 'refresh_token') : null,
+    keyId,
+    wrappedKey: encrypt(getMasterKey(keyId), dataKey, 'token_dek')
+  };
+}
+
+/**
+ * Decrypt the token columns of a stored row
+ * Rows without token_key_id hold plaintext (written before encryption was enabled).
+ * 
+ * @param {Object} row - Row with access_token, refresh_token, token_key_id, token_dek
+ * @returns {Object} - { accessToken, refreshToken }
+ */
+export function openTokens(row) {
+  if (!row.token_key_id) {
+    return { accessToken: row.access_token, refreshToken: row.refresh_token };
+  }
+  
+  const dataKey = decrypt(getMasterKey(row.token_key_id), row.token_dek, 'token_dek');
+  
+  return {
+    accessToken: decrypt(dataKey, row.access_token, 'access_token').toString('utf8'),
+    refreshToken: row.refresh_token 
+      ? decrypt(dataKey, row.refresh_token, 'refresh_token').toString('utf8') 
+      : null
+  };
+}
+
+/**
+ * Re-wrap a row's data key with the current master key
+ * 
+ * @returns {Object} - { keyId, wrappedKey }
+ */
+export function rewrapDataKey(keyId, wrappedKey) {
+  const currentKeyId = getCurrentKeyId();
+  
+  if (!currentKeyId) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS is not configured');
+  }
+  
+  const dataKey = decrypt(getMasterKey(keyId), wrappedKey, 'token_dek');
+  
+  return {
+    keyId: currentKeyId,
+    wrappedKey: encrypt(getMasterKey(currentKeyId), dataKey, 'token_dek')
+  };
+}
+
+export default {
+  getCurrentKeyId,
+  sealTokens,
+  openTokens,
+  rewrapDataKey
+};
@@ -0,0 +1,102 @@
+/**
+ * Token Keeper Service
+ * 
+ * Periodically refreshes GHL access tokens before they expire, so quiet
+ * locations that go weeks without a webhook keep a working connection
+ * (and their refresh token never goes unused long enough to expire).
+ */
+
+import { getConnectionsExpiringBefore } from '../db/queries.js';
+import { refreshConnectionToken, isRevokedGrant } from './ghl.js';
+
+const CHECK_INTERVAL_MS = parseInt(process.env.TOKEN_KEEPER_INTERVAL_MS) || 15 * 60 * 1000;
+const EXPIRY_WINDOW_MS = parseInt(process.env.TOKEN_KEEPER_EXPIRY_WINDOW_MS) || 2 * 60 * 60 * 1000;
+
+let checkTimer = null;
+let checking = false;
+
+/**
+ * Refresh every active connection whose token expires within the window
+ * 
+ * Failures are recorded on the connection row by refreshConnectionToken;
+ * rejected refresh tokens deactivate the connection and flag it for re-authorization.
+ * 
+ * @returns {Object} - { checked, refreshed, failed, needsReauth: [locationId] }
+ */
+export async function refreshExpiringTokens() {
+  const cutoff = new Date(Date.now() + EXPIRY_WINDOW_MS);
+  const connections = await getConnectionsExpiringBefore(cutoff);
+  
+  const summary = {
+    checked: connections.length,
+    refreshed: 0,
+    failed: 0,
+    needsReauth: []
+  };
+  
+  for (const connection of connections) {
+    try {
+      await refreshConnectionToken(connection, { force: true });
+      summary.refreshed++;
+    } catch (error) {
+      summary.failed++;
+      
+      if (isRevokedGrant(error)) {
+        summary.needsReauth.push(connection.ghl_location_id);
+      }
+      
+      console.error(`Token keeper: refresh failed for location ${connection.ghl_location_id}:`, error.message);
+    }
+  }
+  
+  if (summary.checked > 0) {
+    console.log('Token keeper run complete:', summary);
+  }
+  
+  return summary;
+}
+
+/**
+ * Run one check, skipping if the previous one is still going
+ */
+async function check() {
+  if (checking) return;
+  
+  checking = true;
+  
+  try {
+    await refreshExpiringTokens();
+  } catch (error) {
+    console.error('Token keeper error:', error);
+  } finally {
+    checking = false;
+  }
+}
+
+/**
+ * Start the background token keeper
+ */
+export function startTokenKeeper() {
+  if (checkTimer) return;
+  
+  console.log(`Token keeper started (every ${Math.round(CHECK_INTERVAL_MS / 60000)} min)`);
+  
+  check();
+  checkTimer = setInterval(check, CHECK_INTERVAL_MS);
+}
+
+/**
+ * Stop the background token keeper
+ */
+export function stopTokenKeeper() {
+  if (checkTimer) {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+}
+
+export default {
+  refreshExpiringTokens,
+  startTokenKeeper,
+  stopTokenKeeper
+};
@@ -0,0 +1,151 @@
+/**
+ * Unmapped MACs
+ * 
+ * Webhook hits from MACs without a mapping are counted in unmapped_macs and
+ * their guests held (see sync.js). Admins review them here, with the
+ * VivaSpot site that lists the MAC as a hint, and assign a MAC to a
+ * location, then replay its held guests through the sync queue or discard
+ * them. Held guests are only ever discarded when asked to.
+ */
+
+import {
+  listUnmappedMacs,
+  resolveUnmappedMac,
+  getPendingHeldContacts,
+  findSitesWithMacs,
+  getVivaSpotSite,
+  getMacMappingOwners,
+  getMacMappingWithTag,
+  saveMacMapping,
+  recordAdminAudit,
+  normalizeMacAddress
+} from '../db/queries.js';
+import { releaseHeldContacts } from './heldContacts.js';
+import { HOLD_UNMAPPED_MAC } from './sync.js';
+
+/**
+ * Suggest where each MAC belongs from the VivaSpot site listing it
+ * If the site's other MACs are mapped to one active location, that
+ * location is suggested too.
+ * 
+ * @param {string[]} macs - Normalized MAC addresses
+ * @returns {Object} - { mac: { site_id, restaurant_name, hospitality_group, location_id, location_name } }
+ */
+async function suggestSites(macs) {
+  const listings = await findSitesWithMacs(macs);
+  const suggestions = {};
+  
+  for (const listing of listings) {
+    const mac = normalizeMacAddress(listing.mac_address);
+    if (suggestions[mac]) continue;
+    
+    const site = await getVivaSpotSite(listing.id);
+    const siblings = (site.mac_addresses || []).map(normalizeMacAddress).filter(other => other && other !== mac);
+    const owners = (await getMacMappingOwners(siblings)).filter(owner => owner.is_active);
+    const locations = [...new Set(owners.map(owner => owner.ghl_location_id))];
+    
+    suggestions[mac] = {
+      site_id: site.id,
+      restaurant_name: site.restaurant_name,
+      hospitality_group: site.hospitality_group,
+      location_id: locations.length === 1 ? locations[0] : null,
+      location_name: locations.length === 1 ? owners[0].location_name : null
+    };
+  }
+  
+  return suggestions;
+}
+
+/**
+ * List unmapped MACs with a suggested site (and location) for each
+ * 
+ * @param {Object} options - { status, limit, offset }, see listUnmappedMacs
+ * @returns {Object} - { unmappedMacs: [row + held_count + suggestion], total }
+ */
+export async function listUnmappedMacsWithSuggestions(options) {
+  const { unmappedMacs, total } = await listUnmappedMacs(options);
+  const suggestions = await suggestSites(unmappedMacs.map(entry => entry.mac_address));
+  
+  return {
+    unmappedMacs: unmappedMacs.map(entry => ({
+      ...entry,
+      suggestion: suggestions[entry.mac_address] || null
+    })),
+    total
+  };
+}
+
+/**
+ * Tagging for a MAC joining a location, copied from a sibling MAC
+ * A MAC from a hospitality group site gets the same restaurant tag as the
+ * site's other MACs already mapped to that location.
+ */
+async function inheritTagging(mac, locationId) {
+  const [listing] = await findSitesWithMacs([mac]);
+  if (!listing) return {};
+  
+  const site = await getVivaSpotSite(listing.id);
+  
+  for (const sibling of site.mac_addresses || []) {
+    const mapping = await getMacMappingWithTag(sibling);
+    
+    if (mapping?.ghl_location_id === locationId && mapping.source_tag) {
+      return { sourceRestaurant: mapping.source_restaurant, sourceTag: mapping.source_tag };
+    }
+  }
+  
+  return {};
+}
+
+/**
+ * Assign an unmapped MAC to a location
+ * Held guests are replayed as new sync jobs (which apply the usual opt-in
+ * and dedupe rules) with `replay`, discarded with `discard`, and otherwise
+ * stay held so a later assign can still replay them.
+ * 
+ * @param {string} mac - Normalized MAC address
+ * @param {string} locationId - The GHL location to map it to
+ * @param {Object} options
+ * @param {string} options.label - Friendly name for the access point
+ * @param {boolean} options.replay - Replay held guests into GHL
+ * @param {boolean} options.discard - Drop held guests for good
+ * @param {boolean} options.allowReassign - Move the MAC if another active location has it
+ * @param {string} options.actor - Who assigned it
+ * @returns {Object} - { success, mapping, replayed, discarded, held } or
+ *   { success: false, conflict } if another active location owns the MAC
+ */
+export async function assignUnmappedMac(mac, locationId, { label, replay = false, discard = false, allowReassign = false, actor }) {
+  const previous = await getMacMappingWithTag(mac);
+  const tagging = await inheritTagging(mac, locationId);
+  const mapping = await saveMacMapping(locationId, mac, { label, ...tagging, allowReassign });
+  
+  if (mapping.conflict) {
+    return { success: false, conflict: mapping };
+  }
+  
+  await resolveUnmappedMac(mac, { locationId, resolvedBy: actor });
+  
+  const pending = await getPendingHeldContacts(HOLD_UNMAPPED_MAC, mac);
+  const { replayed, discarded } = replay || discard
+    ? await releaseHeldContacts(pending, { replay })
+    : { replayed: 0, discarded: 0 };
+  const held = pending.length - replayed - discarded;
+  
+  await recordAdminAudit(null, {
+    actor,
+    action: previous ? 'update' : 'create',
+    entityType: 'mac_mapping',
+    entityId: mac,
+    before: previous || null,
+    after: { ...mapping, replayed, discarded, held }
+  });
+  
+  console.log(`Assigned unmapped MAC ${mac} to ${locationId} (${actor}): ${replayed} replayed, ${discarded} discarded, ${held} still held`);
+  
+  return { success: true, mapping, replayed, discarded, held };
+}
+
+export default {
+  listUnmappedMacsWithSuggestions,
+  assignUnmappedMac
+};
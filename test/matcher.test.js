@@ -0,0 +1,56 @@
+/**
+ * Site Matcher tests
+ * 
+ * Real-world name, address and email-domain pairs from test/fixtures,
+ * each with whether it should auto-map and how the candidates rank.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { normalizeName, rankCandidates, DEFAULT_MIN_SCORE } from '../src/services/matcher.js';
+
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/site-matches.json', import.meta.url), 'utf8'));
+
+/**
+ * A fixture site as a vivaspot_sites row
+ */
+function toSite(site) {
+  return { address: null, hospitality_group: null, ...site };
+}
+
+/**
+ * Name a candidate the way fixtures list them: site:<id> or group:<name>
+ */
+function describeCandidate(candidate) {
+  return candidate.type === 'group' ? `group:${candidate.groupName}` : `site:${candidate.site.id}`;
+}
+
+describe('normalizeName', () => {
+  for (const { name, tokens } of fixtures.names) {
+    it(`tokenizes "${name}"`, () => {
+      assert.deepEqual(normalizeName(name), tokens);
+    });
+  }
+});
+
+describe('rankCandidates', () => {
+  for (const { description, location, sites, match, rank } of fixtures.matches) {
+    it(description, () => {
+      const candidates = rankCandidates(sites.map(toSite), location);
+      
+      assert.deepEqual(candidates.map(describeCandidate), rank);
+      
+      const best = candidates[0]?.score ?? 0;
+      assert.equal(best >= DEFAULT_MIN_SCORE, match, `best score ${best.toFixed(3)}, minimum ${DEFAULT_MIN_SCORE}`);
+    });
+  }
+  
+  it('keeps scores between 0 and 1', () => {
+    for (const { location, sites } of fixtures.matches) {
+      for (const candidate of rankCandidates(sites.map(toSite), location)) {
+        assert.ok(candidate.score >= 0 && candidate.score <= 1, `${describeCandidate(candidate)} scored ${candidate.score}`);
+      }
+    }
+  });
+});
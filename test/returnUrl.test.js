@@ -0,0 +1,48 @@
+/**
+ * Return URL tests
+ * 
+ * Paths that normalize to another host must never become a redirect.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeReturnUrl, addReturnUrlParams } from '../src/services/returnUrl.js';
+
+describe('normalizeReturnUrl', () => {
+  it('keeps paths on this site', () => {
+    assert.equal(normalizeReturnUrl('/setup/abc123'), '/setup/abc123');
+    assert.equal(normalizeReturnUrl('/setup.html?success=true#mappings'), '/setup.html?success=true#mappings');
+    assert.equal(normalizeReturnUrl('/setup/./abc123'), '/setup/abc123');
+  });
+  
+  for (const url of [
+    '/.//evil.com',
+    '/%2e//evil.com',
+    '/%2E//evil.com',
+    '/\\evil.com',
+    '//evil.com',
+    '/\t/evil.com',
+    '/../..//evil.com',
+    'https://evil.com',
+    'evil.com',
+    ''
+  ]) {
+    it(`rejects ${JSON.stringify(url)}`, () => {
+      assert.equal(normalizeReturnUrl(url), null);
+    });
+  }
+  
+  it('rejects anything but a string', () => {
+    assert.equal(normalizeReturnUrl(undefined), null);
+    assert.equal(normalizeReturnUrl(['/setup']), null);
+  });
+});
+
+describe('addReturnUrlParams', () => {
+  it('adds params, replacing ones with the same name', () => {
+    assert.equal(
+      addReturnUrlParams('/setup.html?success=true&location_id=old#top', [['location_id', 'abc'], ['recovered', '3']]),
+      '/setup.html?success=true&location_id=abc&recovered=3#top'
+    );
+  });
+});